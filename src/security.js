@@ -15,565 +15,9160 @@
  */
 
 /**
- * Declares the 'Security' module.
+ * Declares the 'Security' module. It is defined as an AMD or a CommonJS module
+ * if loaded as one, and otherwise added to the global object as 'Security'
+ * using the global 'dcodeIO.bcrypt' if present.
  * 
- * @param {Window} window  the dom window
+ * @param {object} root        the global object
+ * @param {function} factory   creates the module
  * @returns {undefined}
  */
-(function(window) {
+(function(root, factory) {
     'use strict';
     
-    if (typeof(window.Security) === 'undefined') {
+    if (typeof(define) === 'function' && define.amd) {
+        define(['bcryptjs'], function(bcrypt) {
+            return factory(root, bcrypt, null);
+        });
+    } else if (typeof(module) === 'object' && module.exports) {
+        module.exports = factory(root, require('bcryptjs'), function(id) {
+            return module.require(id);
+        });
+    } else if (typeof(root.Security) === 'undefined') {
+        root.Security = factory(root,
+            root.dcodeIO ? root.dcodeIO.bcrypt : null, null);
+    } else {
+        console.warn('Library "Security" already defined.');
+    }
+})(typeof(globalThis) !== 'undefined' ? globalThis
+    : (typeof(self) !== 'undefined' ? self : this),
+
+/**
+ * Creates the 'Security' module.
+ * 
+ * @param {object} window         the global object
+ * @param {object} bcrypt         the bcryptjs library
+ * @param {function} nodeRequire  loads Node.js modules, or null if not in
+ *                                Node.js
+ * @returns {Security}            the default instance
+ */
+function(window, bcrypt, nodeRequire) {
+    'use strict';
+    
+    ////////////////////////////////////////////////////////////////////////////
+    //                                 Errors                                 //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /*
+     * All errors raised by the module extend SecurityError and have a
+     * 'code' that identifies the kind of error. Unlike the message, the
+     * codes will not change, so they can be used to group and handle
+     * errors:
+     * <ul>
+     *     <li>ValidationError:     'INVALID_ARGUMENT', 'UNKNOWN_MODE',
+     *                              'UNKNOWN_SCHEME', 'UNKNOWN_STORAGE',
+     *                              'UNKNOWN_RESPONSE_TYPE',
+     *                              'UNKNOWN_TRANSPORT', 'UNKNOWN_INSTANCE',
+     *                              'DUPLICATE_INSTANCE',
+     *                              'INVALID_OPERATION', 'UNSUPPORTED'
+     *     <li>AuthenticationError: 'INVALID_CREDENTIALS', 'MISSING_TOKEN',
+     *                              'INVALID_CHALLENGE', 'INVALID_PROOF',
+     *                              'HASH_FAILED', 'SESSION_EXPIRED',
+     *                              'NO_CREDENTIALS', 'MFA_REQUIRED',
+     *                              'MFA_CANCELLED', 'INVALID_CODE',
+     *                              'INVALID_STATE', 'OAUTH_ERROR',
+     *                              'OAUTH_CANCELLED',
+     *                              'REAUTHENTICATION_UNAVAILABLE'
+     *     <li>NetworkError:        'NETWORK_ERROR', 'TIMEOUT', 'ABORTED'
+     *     <li>HttpError:           'HTTP_ERROR', 'INVALID_RESPONSE'
+     *     <li>StorageError:        'STORAGE_ERROR', 'DECRYPTION_FAILED'
+     *     <li>AuthorizationError:  'FORBIDDEN'
+     *     <li>AssertionError:      'ASSERTION_FAILED' (only raised by
+     *                              the testing tools)
+     * </ul>
+     */
+
+    /**
+     * Makes the specified error class extend another one.
+     *
+     * @param {function} child   the error class
+     * @param {function} parent  the class to extend
+     * @param {string} name      the name of the error class
+     * @returns {function}       the error class
+     */
+    var extendError = function(child, parent, name) {
+        child.prototype = Object.create(parent.prototype);
+        child.prototype.constructor = child;
+        child.prototype.name        = name;
+        return child;
+    };
+
+    /**
+     * The base class of all errors raised by the module.
+     *
+     * @constructor
+     *
+     * @argument {string} message  a description of the error
+     * @argument {string} code     the error code
+     * @argument {object} cause    the underlying error, or undefined
+     */
+    var SecurityError = extendError(function(message, code, cause) {
+        this.message = message;
+        this.code    = code;
+        this.cause   = typeof(cause) === 'undefined' ? null : cause;
+
+        if (typeof(Error.captureStackTrace) === 'function') {
+            Error.captureStackTrace(this, this.constructor);
+        } else {
+            this.stack = new Error(message).stack;
+        }
+    }, Error, 'SecurityError');
+
+    /**
+     * Copies the 'status', 'body' and 'headers' of a response to an error,
+     * keeping the response itself as 'response'.
+     *
+     * @param {SecurityError} err  the error
+     * @param {HttpResponse} res   the response, or undefined
+     * @returns {undefined}
+     */
+    var attachResponse = function(err, res) {
+        err.response = res || null;
+        err.status   = res ? res.status : 0;
+        err.body     = res ? res.data : null;
+        err.headers  = res ? res.headers : {};
+    };
+
+    /**
+     * Raised if an argument or an option is invalid.
+     *
+     * @constructor
+     *
+     * @argument {string} message  a description of the error
+     * @argument {string} code     the error code, or undefined
+     */
+    var ValidationError = extendError(function(message, code) {
+        SecurityError.call(this, message, code || 'INVALID_ARGUMENT');
+    }, SecurityError, 'ValidationError');
+
+    /**
+     * Raised if the user could not be authenticated. If it was caused by
+     * a response from the server, it has the 'status', 'body' and
+     * 'headers' of it.
+     *
+     * @constructor
+     *
+     * @argument {string} message  a description of the error
+     * @argument {string} code     the error code
+     * @argument {HttpResponse} res  the response, or undefined
+     * @argument {object} cause    the underlying error, or undefined
+     */
+    var AuthenticationError = extendError(
+        function(message, code, res, cause) {
+            SecurityError.call(this, message, code, cause);
+            attachResponse(this, res);
+        }, SecurityError, 'AuthenticationError');
+
+    /**
+     * Raised if no response was received. The 'failure' is 'network',
+     * 'timeout' or 'abort'.
+     *
+     * @constructor
+     *
+     * @argument {string} message  a description of the error
+     * @argument {string} failure  the kind of failure
+     */
+    var NetworkError = extendError(function(message, failure) {
+        SecurityError.call(this, message, failure === 'timeout'
+            ? 'TIMEOUT' : (failure === 'abort' ? 'ABORTED'
+            : 'NETWORK_ERROR'));
+        this.failure = failure;
+        this.status  = 0;
+    }, SecurityError, 'NetworkError');
+
+    /**
+     * Raised if the server responded with an error status, or with a body
+     * that could not be decoded. Has the 'status', 'body' and 'headers' of
+     * the response.
+     *
+     * @constructor
+     *
+     * @argument {HttpResponse} res  the response
+     * @argument {string} code       the error code, or undefined
+     * @argument {string} message    a description, or undefined
+     */
+    var HttpError = extendError(function(res, code, message) {
+        SecurityError.call(this, message ||
+            'Server responded with status ' + res.status + '.',
+            code || 'HTTP_ERROR');
+        attachResponse(this, res);
+    }, SecurityError, 'HttpError');
+
+    /**
+     * Raised if credentials, keys or queued requests could not be read
+     * or written.
+     *
+     * @constructor
+     *
+     * @argument {string} message  a description of the error
+     * @argument {string} code     the error code, or undefined
+     * @argument {object} cause    the underlying error, or undefined
+     */
+    var StorageError = extendError(function(message, code, cause) {
+        SecurityError.call(this, message, code || 'STORAGE_ERROR', cause);
+    }, SecurityError, 'StorageError');
+
+    /**
+     * Raised if the user is not allowed to send a request or to navigate
+     * to a route because of a guard. Has the 'requirement' that was not
+     * met.
+     *
+     * @constructor
+     *
+     * @argument {string} message      a description of the error
+     * @argument {object} requirement  the requirement that was not met
+     */
+    var AuthorizationError = extendError(function(message, requirement) {
+        SecurityError.call(this, message, 'FORBIDDEN');
+        this.requirement = requirement;
+    }, SecurityError, 'AuthorizationError');
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                             Internal methods                           //
+    ////////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Takes a parameter and if it is a valid string, returns it. Otherwise,
+     * an exception is thrown.
+     * 
+     * @param {string} s  the value to check
+     * @returns {string}  the value inputted
+     */
+    var expectString = function(s) {
+        if (typeof(s) === 'string') {
+            return s;
+        } else {
+            throw new ValidationError(
+                'Specified value "' + s + '" is not a string.');
+        }
+    };
+
+    /**
+     * Takes a parameter and if it is a valid number, returns it. Otherwise,
+     * an exception is thrown.
+     * 
+     * @param {number} n  the value to check
+     * @returns {number}  the value inputted
+     */
+    var expectNumber = function(n) {
+        if (typeof(n) === 'number') {
+            return n;
+        } else {
+            throw new ValidationError(
+                'Specified value "' + n + '" is not a number.');
+        }
+    };
+    
+    /**
+     * Takes a parameter and if it is a valid function, returns it. 
+     * Otherwise, an exception is thrown.
+     * 
+     * @param {function} f  the value to check
+     * @returns {function}  the value inputted
+     */
+    var expectFunction = function(f) {
+        if (typeof(f) === 'function') {
+            return f;
+        } else {
+            throw new ValidationError(
+                'Specified value "' + f + '" is not a function.');
+        }
+    };
+
+    /**
+     * If the first parameter is a valid function, return it. If it is
+     * undefined, return the second parameter. If the first parameter is of
+     * an unknown type (not a function or undefined), throw an exception.
+     * 
+     * @param {function} f          the value to check
+     * @param {function} otherwise  value to return if f is undefined
+     * @returns {function}          either 'f' (if function) or 'otherwise'
+     */
+    var functionOr = function(f, otherwise) {
+        if (typeof(f) === 'function') {
+            return f;
+        } else if (typeof(f) === 'undefined') {
+            return otherwise;
+        } else {
+            throw new ValidationError(
+                'Expected function, but got "' + typeof(f) + '".');
+        }
+    };
+    
+    /**
+     * If the first parameter is a valid boolean, return it. If it is
+     * undefined, return the second parameter. If the first parameter is of
+     * an unknown type (not a boolean or undefined), throw an exception.
+     * 
+     * @param {boolean} b          the value to check
+     * @param {boolean} otherwise  value to return if f is undefined
+     * @returns {boolean}          either 'b' (if boolean) or 'otherwise'
+     */
+    var booleanOr = function(b, otherwise) {
+        if (typeof(b) === 'boolean') {
+            return b;
+        } else if (typeof(b) === 'undefined') {
+            return otherwise;
+        } else {
+            throw new ValidationError(
+                'Expected boolean, but got "' + typeof(b) + '".');
+        }
+    };
+
+    /**
+     * Returns a copy of the current options where the keys that are set
+     * in the specified options object are replaced. Keys that the current
+     * options do not have are ignored. If the options are not an object,
+     * an exception is thrown.
+     *
+     * @param {object} current  the current options
+     * @param {object} options  the options to apply
+     * @returns {object}        the merged options
+     */
+    var mergeOptions = function(current, options) {
+        if (typeof(options) !== 'object' || options === null) {
+            throw new ValidationError('Expected options object, but got "' +
+                (options === null ? 'null' : typeof(options)) + '".');
+        }
+
+        var merged = {};
+        Object.keys(current).forEach(function(key) {
+            merged[key] = Object.prototype.hasOwnProperty.call(options, key)
+                ? options[key] : current[key];
+        });
+
+        return merged;
+    };
+
+    /**
+     * A function that does nothing. Used as the default handler when no
+     * callback has been specified.
+     *
+     * @returns {undefined}
+     */
+    var noop = function() {};
+
+    /**
+     * Returns true if the specified http status code should be considered
+     * a successful response.
+     *
+     * @param {number} status  the status code
+     * @returns {boolean}      true if successful, else false
+     */
+    var isSuccessStatus = function(status) {
+        return status >= 200 && status < 300;
+    };
+
+    /**
+     * Parses the raw header string returned by
+     * XMLHttpRequest.getAllResponseHeaders() into an object. The header
+     * names will be in lower case.
+     *
+     * @param {string} raw  the raw header string
+     * @returns {object}    the headers mapped by name
+     */
+    var parseHeaders = function(raw) {
+        var headers = {};
+        if (typeof(raw) !== 'string') {
+            return headers;
+        }
+
+        raw.split(/\r?\n/).forEach(function(line) {
+            var idx = line.indexOf(':');
+            if (idx > 0) {
+                var name  = line.substring(0, idx).trim().toLowerCase();
+                var value = line.substring(idx + 1).trim();
+                if (headers.hasOwnProperty(name)) {
+                    headers[name] += ', ' + value;
+                } else {
+                    headers[name] = value;
+                }
+            }
+        });
+
+        return headers;
+    };
+
+    /**
+     * The response types that a request can be decoded as. 'auto' picks
+     * one of the others based on the Content-Type of the response.
+     */
+    var RESPONSE_TYPES = ['auto', 'json', 'text', 'blob', 'arraybuffer'];
+
+    /**
+     * Returns how a response with the specified Content-Type should be
+     * decoded: 'json', 'text' or 'blob'. If the Content-Type is missing,
+     * 'auto' is returned and the body is decoded as JSON if possible,
+     * else as text.
+     *
+     * @param {string} contentType  the Content-Type header, or null
+     * @returns {string}            the response type
+     */
+    var responseTypeOf = function(contentType) {
+        if (typeof(contentType) !== 'string' || contentType === '') {
+            return 'auto';
+        }
+
+        var mime = contentType.split(';')[0].trim().toLowerCase();
+        if (/^application\/([\w.\-]+\+)?json$/.test(mime)) {
+            return 'json';
+        } else if (/^text\//.test(mime)
+               ||  /^application\/([\w.\-]+\+)?xml$/.test(mime)
+               ||  mime === 'application/javascript'
+               ||  mime === 'application/x-www-form-urlencoded') {
+            return 'text';
+        } else {
+            return 'blob';
+        }
+    };
+
+    /**
+     * Decodes a response body. Unless a response type is specified, it is
+     * chosen based on the Content-Type of the response. The body can be
+     * received either as text or as bytes. Empty bodies are always decoded
+     * as null. Throws an exception if the body is not valid JSON but was
+     * expected to be.
+     *
+     * @param {string|ArrayBuffer|Blob} payload  the received body
+     * @param {number} status        the http status code
+     * @param {object} headers       the response headers by lower case name
+     * @param {string} responseType  the response type, or 'auto'
+     * @returns {object}             the decoded body
+     */
+    var decodeBody = function(payload, status, headers, responseType) {
+        var type = responseType || 'auto';
+        if (type === 'auto') {
+            type = responseTypeOf(headers['content-type']);
+        }
+
+        if (payload === null || typeof(payload) === 'undefined') {
+            return null;
+        }
+
+        if (typeof(Blob) === 'function' && payload instanceof Blob) {
+            return payload.size === 0 ? null : payload;
+        }
+
+        var text = payload;
+        if (typeof(payload) !== 'string') {
+            var bytes = ArrayBuffer.isView(payload)
+                ? new Uint8Array(payload.buffer, payload.byteOffset,
+                    payload.byteLength)
+                : new Uint8Array(payload);
+
+            if (bytes.length === 0) {
+                return null;
+            } else if (type === 'arraybuffer') {
+                return bytes.slice().buffer;
+            } else if (type === 'blob') {
+                return typeof(Blob) === 'function'
+                    ? new Blob([bytes]) : bytes.slice().buffer;
+            }
+
+            text = new TextDecoder().decode(bytes);
+        }
+
+        if (text === '') {
+            return null;
+        }
+
+        switch (type) {
+            case 'json' :
+                try {
+                    return JSON.parse(text);
+                } catch (e) {
+                    throw new HttpError(new HttpResponse(text, status,
+                        headers), 'INVALID_RESPONSE', 'Response with ' +
+                        'status ' + status + ' is not valid JSON.');
+                }
+            case 'auto' :
+                try {
+                    return JSON.parse(text);
+                } catch (e) {
+                    return text;
+                }
+            case 'blob' :
+                return typeof(Blob) === 'function'
+                    ? new Blob([text]) : text;
+            case 'arraybuffer' :
+                return utf8Bytes(text).buffer;
+            default :
+                return text;
+        }
+    };
+
+    /**
+     * Marks the specified promise as handled if a failure callback has
+     * been specified by the caller, so that old callback-style code does
+     * not produce warnings about unhandled rejections. The promise itself
+     * is returned unmodified.
+     *
+     * @param {Promise} promise      the promise to return
+     * @param {boolean} hasCallback  true if a failure callback is used
+     * @returns {Promise}            the same promise
+     */
+    var handledIf = function(promise, hasCallback) {
+        if (hasCallback) {
+            promise.catch(noop);
+        }
+        return promise;
+    };
+
+    /**
+     * The clock that reads the time and schedules timers using the globals.
+     */
+    var SYSTEM_CLOCK = {
+        now          : function() { return Date.now(); },
+        setTimeout   : function(f, ms) { return setTimeout(f, ms); },
+        clearTimeout : function(id) { clearTimeout(id); }
+    };
+
+    /**
+     * The clock used for all timestamps, expiry checks, timeouts and delays
+     * in the module. It is only replaced while a FakeClock is installed.
+     */
+    var clock = SYSTEM_CLOCK;
+
+    /**
+     * Schedules a function on the current clock. The returned timer
+     * remembers the clock, so that clearTimer() cancels it on the same
+     * clock even if another one has been installed since.
+     *
+     * @param {function} f  the function to invoke
+     * @param {number} ms   the delay in milliseconds
+     * @returns {object}    the timer
+     */
+    var startTimer = function(f, ms) {
+        var owner = clock;
+        return {clock : owner, id : owner.setTimeout(f, ms)};
+    };
+
+    /**
+     * Cancels a timer started by startTimer().
+     *
+     * @param {object} timer  the timer, or null
+     * @returns {undefined}
+     */
+    var clearTimer = function(timer) {
+        if (timer !== null) {
+            timer.clock.clearTimeout(timer.id);
+        }
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                             Internal classes                           //
+    ////////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Holds information about a login attempt. If the attempts succeeds,
+     * the 'onSuccess' handler will be invoked with the response from the
+     * server. If not, the 'onFailure' handler will be invoked with the
+     * reponse body.
+     * <p>
+     * If the 'remember' value is set, the credentials will be stored for
+     * future use in the local storage.
+     * 
+     * @constructor
+     * 
+     * @argument {string} username  the username to login with 
+     * @argument {string} password  the unhashed password to login with
+     * @argument {boolean} remember true to store credentials, else false
+     */
+    var LoginSpec = function(username, password, remember) {
+        this.username  = expectString(username);
+        this.password  = expectString(password);
+        this.remember  = booleanOr(remember, false);
+        
+        this.success = function(res) {
+            console.log('Login success! Response: ' + res);
+        };
         
+        this.failure = function(res, status) {
+            console.error('Login failed with status ' + status + 
+                '! Response: ' + res);
+        };
+    };
+    
+    /**
+     * Modified the success handler to be the specified handler function.
+     * <p>
+     * The given function should take the data returned from the server as
+     * its first parameter and the status code of the login request as the
+     * second. Both parameters are optional.
+     * 
+     * @this {LoginSpec}
+     * @argument {function(object, number)} handler  the new success handler
+     * @returns {securityL#23.LoginSpec}             this instance
+     */
+    LoginSpec.prototype.onSuccess = function(handler) {
+        this.success = expectFunction(handler);
+        return this;
+    };
+    
+    /**
+     * Modified the failure handler to be the specified handler function.
+     * <p>
+     * The given function should take the data returned from the server as
+     * its first parameter and the status code of the login request as the
+     * second. Both parameters are optional.
+     * 
+     * @this {LoginSpec}
+     * @argument {function(object, number)} handler  the new failure handler
+     * @returns {securityL#23.LoginSpec}             this instance
+     */
+    LoginSpec.prototype.onFailure = function(handler) {
+        this.failure = expectFunction(handler);
+        return this;
+    };
+
+    /**
+     * The response of a request made through the 'Security' module. This
+     * is the value that promises returned by the public API resolve to
+     * (if successful) or reject with (if the server responded with an
+     * error status).
+     * <p>
+     * If no response was received, the status is 0 and 'failure' tells
+     * why: 'network', 'timeout' or 'abort'. Otherwise it is null.
+     *
+     * @constructor
+     *
+     * @argument {object} data     the decoded body of the response
+     * @argument {number} status   the http status code
+     * @argument {object} headers  the response headers by lower case name
+     */
+    var HttpResponse = function(data, status, headers) {
+        this.data    = data;
+        this.status  = status;
+        this.headers = headers;
+        this.failure = null;
+    };
+
+    /**
+     * Creates a new HttpResponse for a request that did not receive a
+     * response. The data is an object with the 'failure' and a 'message'
+     * describing it.
+     *
+     * @argument {string} failure  'network', 'timeout' or 'abort'
+     * @argument {string} message  a description of the failure
+     * @returns {HttpResponse}     the response
+     */
+    HttpResponse.failed = function(failure, message) {
+        var res = new HttpResponse(
+            {failure : failure, message : message}, 0, {});
+        res.failure = failure;
+        return res;
+    };
+
+    /**
+     * Creates a new HttpResponse from a finished XMLHttpRequest.
+     *
+     * @argument {XMLHttpRequest} xhttp  the finished request
+     * @argument {string} responseType   the response type, or 'auto'
+     * @returns {HttpResponse}           the response
+     */
+    HttpResponse.fromRequest = function(xhttp, responseType) {
+        var status  = expectNumber(xhttp.status);
+        var headers = parseHeaders(xhttp.getAllResponseHeaders());
+        var binary  = xhttp.responseType === 'blob'
+                   || xhttp.responseType === 'arraybuffer';
+
+        return new HttpResponse(decodeBody(
+            binary ? xhttp.response : xhttp.responseText,
+            status, headers, responseType
+        ), status, headers);
+    };
+
+    /**
+     * Returns true if the status code of this response is in the 2xx
+     * range.
+     *
+     * @this {HttpResponse}
+     * @returns {boolean}  true if successful, else false
+     */
+    HttpResponse.prototype.isSuccess = function() {
+        return isSuccessStatus(this.status);
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                            Storage Adapters                            //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /*
+     * A storage adapter is any object with the following three methods:
+     * <ul>
+     *     <li>get(key):        Returns the stored string or null
+     *     <li>set(key, value): Stores the specified string
+     *     <li>remove(key):     Removes the value if present
+     * </ul>
+     * The keys given to the adapter are already namespaced, so adapters
+     * can store them as-is.
+     */
+
+    /**
+     * A storage adapter that only keeps values in memory. Nothing is
+     * persisted between page loads.
+     *
+     * @constructor
+     */
+    var MemoryStorage = function() {
+        this.values = {};
+    };
+
+    MemoryStorage.prototype.get = function(key) {
+        return this.values.hasOwnProperty(key) ? this.values[key] : null;
+    };
+
+    MemoryStorage.prototype.set = function(key, value) {
+        this.values[key] = expectString(value);
+    };
+
+    MemoryStorage.prototype.remove = function(key) {
+        delete this.values[key];
+    };
+
+    /**
+     * Returns the keys of all values in the storage.
+     *
+     * @this {MemoryStorage}
+     * @returns {Array}  the keys
+     */
+    MemoryStorage.prototype.keys = function() {
+        return Object.keys(this.values);
+    };
+
+    /**
+     * Removes all values from the storage.
+     *
+     * @this {MemoryStorage}
+     * @returns {undefined}
+     */
+    MemoryStorage.prototype.clear = function() {
+        this.values = {};
+    };
+
+    /**
+     * A storage adapter that wraps a Web Storage object, like
+     * 'localStorage' or 'sessionStorage'.
+     *
+     * @constructor
+     *
+     * @argument {Storage} storage  the web storage to wrap
+     */
+    var WebStorage = function(storage) {
+        this.storage = storage;
+    };
+
+    WebStorage.prototype.get = function(key) {
+        var value = this.storage.getItem(key);
+        return typeof(value) === 'string' ? value : null;
+    };
+
+    WebStorage.prototype.set = function(key, value) {
+        this.storage.setItem(key, expectString(value));
+    };
+
+    WebStorage.prototype.remove = function(key) {
+        this.storage.removeItem(key);
+    };
+
+    /**
+     * Returns true if the specified web storage exists and can be
+     * written to. In some private-mode browsers, the storage objects are
+     * present but throw an exception on every write.
+     *
+     * @param {Storage} storage  the web storage to test
+     * @returns {boolean}        true if usable, else false
+     */
+    WebStorage.isAvailable = function(storage) {
+        var key = '__security_test__';
+        try {
+            storage.setItem(key, key);
+            storage.removeItem(key);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    /**
+     * A storage adapter that keeps values in browser cookies. The options
+     * object can contain the following keys:
+     * <ul>
+     *     <li>options.path:     The cookie path (default '/')
+     *     <li>options.domain:   The cookie domain (default none)
+     *     <li>options.maxAge:   Lifetime in seconds (default session)
+     *     <li>options.secure:   Only send over https (default true)
+     *     <li>options.sameSite: The SameSite attribute (default 'Strict')
+     * </ul>
+     *
+     * @constructor
+     *
+     * @argument {object} options  the cookie options
+     */
+    var CookieStorage = function(options) {
+        options = options || {};
+        this.path     = options.path || '/';
+        this.domain   = options.domain;
+        this.maxAge   = options.maxAge;
+        this.secure   = booleanOr(options.secure, true);
+        this.sameSite = options.sameSite || 'Strict';
+    };
+
+    CookieStorage.prototype.get = function(key) {
+        var prefix  = encodeURIComponent(key) + '=';
+        var cookies = window.document.cookie.split(/;\s*/);
+        for (var i = 0; i < cookies.length; i++) {
+            if (cookies[i].indexOf(prefix) === 0) {
+                return decodeURIComponent(
+                    cookies[i].substring(prefix.length));
+            }
+        }
+        return null;
+    };
+
+    CookieStorage.prototype.set = function(key, value) {
+        this.write(key, encodeURIComponent(expectString(value)),
+            this.maxAge);
+    };
+
+    CookieStorage.prototype.remove = function(key) {
+        this.write(key, '', 0);
+    };
+
+    /**
+     * Writes a single cookie with the attributes of this adapter.
+     *
+     * @this {CookieStorage}
+     * @argument {string} key     the cookie name
+     * @argument {string} value   the already encoded value
+     * @argument {number} maxAge  lifetime in seconds, or undefined
+     * @returns {undefined}
+     */
+    CookieStorage.prototype.write = function(key, value, maxAge) {
+        var cookie = encodeURIComponent(key) + '=' + value +
+            '; path=' + this.path +
+            '; SameSite=' + this.sameSite;
+
+        if (typeof(this.domain) === 'string') {
+            cookie += '; domain=' + this.domain;
+        }
+
+        if (typeof(maxAge) === 'number') {
+            cookie += '; max-age=' + maxAge;
+        }
+
+        if (this.secure) {
+            cookie += '; secure';
+        }
+
+        window.document.cookie = cookie;
+    };
+
+    /**
+     * Resolves the specified storage option into a storage adapter. The
+     * option can either be the name of a built-in backend ('memory',
+     * 'session', 'local' or 'cookie') or an object implementing the
+     * storage adapter methods. If a web storage is requested but not
+     * usable in this browser, a memory storage is returned instead and
+     * the reason is passed to 'onWarning', if specified.
+     *
+     * @param {string|object} option  the backend name or adapter
+     * @param {function} onWarning    invoked with a message if falling
+     *                                back, or undefined
+     * @returns {object}              the storage adapter
+     */
+    var resolveStorage = function(option, onWarning) {
+        var warn = functionOr(onWarning, noop);
+
+        if (typeof(option) === 'object' && option !== null) {
+            expectFunction(option.get);
+            expectFunction(option.set);
+            expectFunction(option.remove);
+            return option;
+        }
+
+        switch (option) {
+            case 'memory' :
+                return new MemoryStorage();
+            case 'cookie' :
+                if (typeof(window.document) === 'undefined') {
+                    warn('Cookies are not available. Falling back to ' +
+                        'memory storage.');
+                    return new MemoryStorage();
+                }
+                return new CookieStorage();
+            case 'local' : case 'session' :
+                var storage;
+                try {
+                    storage = window[option + 'Storage'];
+                } catch (e) {
+                    storage = undefined;
+                }
+
+                if (typeof(storage) === 'undefined') {
+                    // Not a browser, for example a service worker or
+                    // server-side rendering.
+                    return new MemoryStorage();
+                } else if (WebStorage.isAvailable(storage)) {
+                    return new WebStorage(storage);
+                } else {
+                    warn('Storage "' + option + '" is not available. ' +
+                        'Falling back to memory storage.');
+                    return new MemoryStorage();
+                }
+            default :
+                throw new ValidationError('Unknown storage "' + option +
+                    '".', 'UNKNOWN_STORAGE');
+        }
+    };
+
+    /**
+     * Returns the keys that the session is stored under in the specified
+     * namespace.
+     *
+     * @param {string} namespace  the namespace
+     * @returns {Array}           the storage keys
+     */
+    var sessionKeys = function(namespace) {
+        return ['user', 'pass', 'token', 'claims', 'started', 'active',
+            'oauth'].map(function(key) {
+                return namespace + '.' + key;
+            });
+    };
+
+    /**
+     * Reads the credentials stored under the specified namespace in a
+     * storage adapter. The returned object has the fields 'username',
+     * 'password' and 'token', where either the password or the token is
+     * null depending on how the user logged in. The fields 'started' and
+     * 'active' hold the login and activity times, or null if unknown. If
+     * nothing usable is stored, null is returned.
+     *
+     * @param {object} store      the storage adapter
+     * @param {string} namespace  the key prefix
+     * @returns {object}          the credentials or null
+     */
+    var readCredentials = function(store, namespace) {
+        var username = store.get(namespace + '.user');
+        var password = store.get(namespace + '.pass');
+        var token    = store.get(namespace + '.token');
+
+        if (typeof(username) !== 'string') {
+            return null;
+        }
+
+        if (typeof(token) === 'string') {
+            try {
+                token = JSON.parse(token);
+            } catch (e) {
+                token = null;
+            }
+        }
+
+        if (typeof(password) === 'string'
+        ||  (token !== null && typeof(token) === 'object')) {
+            return {
+                username : username,
+                password : typeof(password) === 'string' ? password : null,
+                token    : typeof(token) === 'object' ? token : null,
+                claims   : readClaims(store, namespace + '.claims'),
+                started  : readTimestamp(store, namespace + '.started'),
+                active   : readTimestamp(store, namespace + '.active')
+            };
+        } else {
+            return null;
+        }
+    };
+
+    /**
+     * Writes credentials under the specified namespace in a storage
+     * adapter. If the token is set, it is stored instead of the password.
+     * The roles and permissions are only stored if the user has any.
+     *
+     * @param {object} store      the storage adapter
+     * @param {string} namespace  the key prefix
+     * @param {object} creds      the username, password, token and claims
+     * @returns {undefined}
+     */
+    var writeCredentials = function(store, namespace, creds) {
+        store.set(namespace + '.user', creds.username);
+        if (creds.token !== null) {
+            store.remove(namespace + '.pass');
+            store.set(namespace + '.token', JSON.stringify(creds.token));
+        } else {
+            store.remove(namespace + '.token');
+            store.set(namespace + '.pass', creds.password);
+        }
+
+        if (creds.claims.roles.length > 0
+        ||  creds.claims.permissions.length > 0) {
+            store.set(namespace + '.claims', JSON.stringify(creds.claims));
+        } else {
+            store.remove(namespace + '.claims');
+        }
+    };
+
+    /**
+     * Removes any credentials stored under the specified namespace in a
+     * storage adapter.
+     *
+     * @param {object} store      the storage adapter
+     * @param {string} namespace  the key prefix
+     * @returns {undefined}
+     */
+    var clearCredentials = function(store, namespace) {
+        store.remove(namespace + '.user');
+        store.remove(namespace + '.pass');
+        store.remove(namespace + '.token');
+        store.remove(namespace + '.claims');
+        store.remove(namespace + '.started');
+        store.remove(namespace + '.active');
+    };
+
+    /**
+     * Reads a timestamp in milliseconds stored under the specified key in
+     * a storage adapter. If no valid timestamp is stored, null is
+     * returned.
+     *
+     * @param {object} store  the storage adapter
+     * @param {string} key    the full key
+     * @returns {number}      the timestamp or null
+     */
+    var readTimestamp = function(store, key) {
+        var value = parseInt(store.get(key), 10);
+        return isNaN(value) ? null : value;
+    };
+
+    /**
+     * Reads the roles and permissions stored under the specified key in a
+     * storage adapter. If nothing valid is stored, the user has none.
+     *
+     * @param {object} store  the storage adapter
+     * @param {string} key    the full key
+     * @returns {object}      the 'roles' and 'permissions'
+     */
+    var readClaims = function(store, key) {
+        var claims = null;
+        try {
+            claims = JSON.parse(store.get(key));
+        } catch (e) {
+            claims = null;
+        }
+
+        claims = claims !== null && typeof(claims) === 'object'
+            ? claims : {};
+
+        return {
+            roles       : claimList(claims.roles) || [],
+            permissions : claimList(claims.permissions) || []
+        };
+    };
+
+    /**
+     * The names of the DOM events that count as user activity.
+     */
+    var ACTIVITY_EVENTS = [
+        'mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'
+    ];
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                                 Tokens                                 //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Decodes the payload of a JSON Web Token without verifying the
+     * signature. If the token is not a valid JWT, null is returned.
+     *
+     * @param {string} token  the encoded token
+     * @returns {object}      the claims or null
+     */
+    var decodeJwt = function(token) {
+        var parts = String(token).split('.');
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        var b64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+        while (b64.length % 4 !== 0) {
+            b64 += '=';
+        }
+
+        try {
+            var bytes = decodeBase64(b64).split('').map(function(c) {
+                return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
+            }).join('');
+
+            var claims = JSON.parse(decodeURIComponent(bytes));
+            return typeof(claims) === 'object' ? claims : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Creates a token record from the body of a successful login or
+     * refresh response. The expiry time is taken from the 'expires in'
+     * field of the response if present, otherwise from the 'exp' claim of
+     * the access token if it is a JWT. If the response does not contain
+     * an access token, null is returned.
+     *
+     * @param {object} data      the decoded response body
+     * @param {object} options   the token options
+     * @param {object} previous  the previous token record, or null
+     * @returns {object}         the token record or null
+     */
+    var parseToken = function(data, options, previous) {
+        if (data === null || typeof(data) !== 'object'
+        ||  typeof(data[options.accessTokenField]) !== 'string') {
+            return null;
+        }
+
+        var access  = data[options.accessTokenField];
+        var refresh = data[options.refreshTokenField];
+        var expires = null;
+
+        if (typeof(refresh) !== 'string') {
+            refresh = previous === null ? null : previous.refresh;
+        }
+
+        if (typeof(data[options.expiresInField]) === 'number') {
+            expires = clock.now() + data[options.expiresInField] * 1000;
+        } else {
+            var claims = decodeJwt(access);
+            if (claims !== null && typeof(claims.exp) === 'number') {
+                expires = claims.exp * 1000;
+            }
+        }
+
+        return {access : access, refresh : refresh, expires : expires};
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                              Authorization                             //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Returns the value at a dot-separated path in an object, like
+     * 'user.roles', or undefined if there is none.
+     *
+     * @param {object} obj   the object, or null
+     * @param {string} path  the path
+     * @returns {object}     the value or undefined
+     */
+    var readPath = function(obj, path) {
+        return path.split('.').reduce(function(value, key) {
+            return value !== null && typeof(value) === 'object'
+                ? value[key] : undefined;
+        }, obj);
+    };
+
+    /**
+     * Converts a claim into a list of strings. Arrays are kept and strings
+     * are split on whitespace and commas, like an OAuth 'scope'. Anything
+     * else gives null, meaning that the claim was not present.
+     *
+     * @param {object} value  the claim
+     * @returns {Array}       the strings, or null
+     */
+    var claimList = function(value) {
+        if (Array.isArray(value)) {
+            return value.map(String);
+        } else if (typeof(value) === 'string') {
+            return value.split(/[\s,]+/).filter(function(item) {
+                return item !== '';
+            });
+        } else {
+            return null;
+        }
+    };
+
+    /**
+     * Extracts the roles and permissions from a response body and the
+     * claims of the access token, if it is a JWT. Fields in the body take
+     * precedence. The 'roles' or the 'permissions' of the returned object
+     * are null if not found.
+     *
+     * @param {object} data     the response body, or null
+     * @param {object} token    the token record, or null
+     * @param {object} options  the claim options
+     * @returns {object}        the 'roles' and 'permissions'
+     */
+    var extractClaims = function(data, token, options) {
+        var jwt = token !== null ? decodeJwt(token.access) : null;
+
+        if (typeof(options.extract) === 'function') {
+            var custom = options.extract(data, jwt) || {};
+            return {
+                roles       : claimList(custom.roles),
+                permissions : claimList(custom.permissions)
+            };
+        }
+
+        var find = function(field) {
+            if (field === null) {
+                return null;
+            }
+
+            var found = claimList(readPath(data, field));
+            return found !== null ? found : claimList(readPath(jwt, field));
+        };
+
+        var permissions = find(options.permissionsField);
+        return {
+            roles       : find(options.rolesField),
+            permissions : permissions !== null
+                ? permissions : find(options.scopeField)
+        };
+    };
+
+    /**
+     * Returns true if the value matches a pattern where '*' matches any
+     * sequence of characters, including none.
+     *
+     * @param {string} pattern  the pattern
+     * @param {string} value    the value to test
+     * @returns {boolean}       true if it matches, else false
+     */
+    var matchesWildcard = function(pattern, value) {
+        if (pattern.indexOf('*') < 0) {
+            return pattern === value;
+        }
+
+        var source = pattern.split('*').map(function(part) {
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('.*');
+
+        return new RegExp('^' + source + '$').test(value);
+    };
+
+    /**
+     * Returns the part of an url that a guard pattern is matched against:
+     * the url without the query and fragment if the pattern has a
+     * protocol, otherwise only the path.
+     *
+     * @param {string} pattern  the guard pattern
+     * @param {string} url      the url or path
+     * @returns {string}        the part to match
+     */
+    var guardTarget = function(pattern, url) {
+        var parsed = new URL(url, 'http://localhost');
+        return pattern.indexOf('://') >= 0
+            ? parsed.origin + parsed.pathname : parsed.pathname;
+    };
+
+    /**
+     * Validates a guard rule, returning a copy with the 'pattern' and the
+     * upper case 'methods' it applies to.
+     *
+     * @param {object} rule    the rule
+     * @param {string} field   'url' for requests or 'path' for routes
+     * @returns {object}       the validated rule
+     */
+    var guardRule = function(rule, field) {
+        if (typeof(rule) !== 'object' || rule === null) {
+            throw new ValidationError('Expected the guard to be an object.');
+        }
+
+        var methods = typeof(rule.method) === 'undefined' ? ['*']
+            : [].concat(rule.method).map(function(method) {
+                return expectString(method).toUpperCase();
+            });
+
+        return {
+            pattern     : expectString(rule[field]),
+            methods     : methods,
+            requirement : rule
+        };
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                               Transports                               //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /*
+     * A transport is any object with a 'send(req)' method that sends a
+     * request and returns a promise for the HttpResponse. The request has the
+     * 'method', 'url', 'headers', 'body' and 'responseType', and optionally
+     * the 'onUploadProgress' and 'onDownloadProgress' callbacks. If no
+     * response could be received, the promise should resolve to
+     * HttpResponse.failed('network', message) rather than reject.
+     * <p>
+     * The returned promise may have an 'abort()' method that is invoked if
+     * the request times out or is aborted. Timeouts and abort signals are
+     * handled outside of the transport.
+     */
+
+    /**
+     * Returns a progress event listener that passes the bytes 'loaded' and
+     * the 'total', or null if unknown, on to the specified handler.
+     *
+     * @param {function} handler  the progress handler
+     * @returns {function}        the event listener
+     */
+    var progressListener = function(handler) {
+        return function(e) {
+            handler({
+                loaded : e.loaded,
+                total  : e.lengthComputable ? e.total : null
+            });
+        };
+    };
+
+    /**
+     * Returns the message of a network failure for the specified url.
+     *
+     * @param {string} url  the url of the request
+     * @returns {string}    the message
+     */
+    var networkFailure = function(url) {
+        return HttpResponse.failed('network',
+            'Request to "' + url + '" failed due to a network error.');
+    };
+
+    /**
+     * Concatenates chunks of bytes.
+     *
+     * @param {Array} chunks  the Uint8Arrays
+     * @returns {Uint8Array}  the concatenated bytes
+     */
+    var concatBytes = function(chunks) {
+        var length = chunks.reduce(function(sum, chunk) {
+            return sum + chunk.length;
+        }, 0);
+
+        var bytes  = new Uint8Array(length);
+        var offset = 0;
+        chunks.forEach(function(chunk) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return bytes;
+    };
+
+    /**
+     * Sends requests using XMLHttpRequest. This is the default in browsers.
+     *
+     * @constructor
+     */
+    var XhrTransport = function() {};
+
+    XhrTransport.prototype.send = function(req) {
+        var xhttp        = new XMLHttpRequest();
+        var responseType = req.responseType || 'auto';
+
+        var promise = new Promise(function(resolve, reject) {
+            xhttp.open(req.method, req.url, true);
+            xhttp.onreadystatechange = function() {
+                if (this.readyState === 2 && responseType === 'auto') {
+                    // Binary responses must be received as a Blob.
+                    var type = xhttp.getResponseHeader('Content-Type');
+                    if (responseTypeOf(type) === 'blob') {
+                        xhttp.responseType = 'blob';
+                    }
+                } else if (this.readyState === 4) {
+                    if (xhttp.status === 0) {
+                        resolve(networkFailure(req.url));
+                    } else {
+                        try {
+                            resolve(HttpResponse.fromRequest(
+                                xhttp, responseType));
+                        } catch (e) {
+                            reject(e);
+                        }
+                    }
+                }
+            };
+
+            if (responseType === 'blob' || responseType === 'arraybuffer') {
+                xhttp.responseType = responseType;
+            }
+
+            // Upload listeners make cross-origin requests preflighted, so
+            // they are only added if asked for.
+            if (typeof(req.onUploadProgress) === 'function' && xhttp.upload) {
+                xhttp.upload.onprogress =
+                    progressListener(req.onUploadProgress);
+            }
+
+            if (typeof(req.onDownloadProgress) === 'function') {
+                xhttp.onprogress = progressListener(req.onDownloadProgress);
+            }
+
+            xhttp.withCredentials = true;
+            Object.keys(req.headers).forEach(function(name) {
+                xhttp.setRequestHeader(name, req.headers[name]);
+            });
+
+            if (typeof(req.body) === 'undefined' || req.body === '') {
+                xhttp.send();
+            } else {
+                xhttp.send(req.body);
+            }
+        });
+
+        promise.abort = function() {
+            xhttp.abort();
+        };
+
+        return promise;
+    };
+
+    /**
+     * Sends requests using the Fetch API, for example in service workers.
+     * Upload progress is not reported, since fetch does not support it. The
+     * options object can contain the following keys:
+     * <ul>
+     *     <li>options.fetch:       The fetch function (default the global)
+     *     <li>options.credentials: The credentials mode (default 'include')
+     * </ul>
+     *
+     * @constructor
+     *
+     * @argument {object} options  the options
+     */
+    var FetchTransport = function(options) {
+        options = options || {};
+        this.fetch       = functionOr(options.fetch, null);
+        this.credentials = options.credentials || 'include';
+    };
+
+    FetchTransport.prototype.send = function(req) {
+        var fetch       = this.fetch || window.fetch;
+        var credentials = this.credentials;
+        var controller  = typeof(AbortController) === 'function'
+            ? new AbortController() : null;
+
+        var read = function(res) {
+            // The body is only streamed if the progress is needed.
+            if (typeof(req.onDownloadProgress) !== 'function'
+            ||  !res.body || typeof(res.body.getReader) !== 'function') {
+                return res.arrayBuffer();
+            }
+
+            var reader = res.body.getReader();
+            var length = parseInt(res.headers.get('Content-Length'), 10);
+            var total  = isNaN(length) ? null : length;
+            var chunks = [];
+            var loaded = 0;
+
+            var next = function() {
+                return reader.read().then(function(part) {
+                    if (part.done) {
+                        return concatBytes(chunks);
+                    }
+
+                    chunks.push(part.value);
+                    loaded += part.value.length;
+                    req.onDownloadProgress({loaded : loaded, total : total});
+                    return next();
+                });
+            };
+
+            return next();
+        };
+
+        var promise = Promise.resolve().then(function() {
+            return fetch(req.url, {
+                method      : req.method,
+                headers     : req.headers,
+                body        : req.body === '' ? undefined : req.body,
+                credentials : credentials,
+                signal      : controller === null
+                    ? undefined : controller.signal
+            });
+        }).then(function(res) {
+            var headers = {};
+            res.headers.forEach(function(value, name) {
+                headers[name.toLowerCase()] = value;
+            });
+
+            return read(res).then(function(bytes) {
+                return new HttpResponse(decodeBody(bytes, res.status,
+                    headers, req.responseType), res.status, headers);
+            });
+        }, function() {
+            return networkFailure(req.url);
+        });
+
+        promise.abort = function() {
+            if (controller !== null) {
+                controller.abort();
+            }
+        };
+
+        return promise;
+    };
+
+    /**
+     * Sends requests using the 'http' and 'https' modules of Node.js, for
+     * example in server-side rendering or integration tests. The urls must
+     * be absolute and no cookies are kept. The options object can contain
+     * the following keys:
+     * <ul>
+     *     <li>options.http:  The 'http' module (loaded if not specified)
+     *     <li>options.https: The 'https' module (loaded if not specified)
+     *     <li>options.agent: The agent to send requests with
+     * </ul>
+     *
+     * @constructor
+     *
+     * @argument {object} options  the options
+     */
+    var NodeTransport = function(options) {
+        options = options || {};
+        this.http  = options.http || null;
+        this.https = options.https || null;
+        this.agent = options.agent;
+    };
+
+    /**
+     * Returns the module to send requests with the specified protocol.
+     *
+     * @this {NodeTransport}
+     * @argument {string} protocol  'http:' or 'https:'
+     * @returns {object}            the module
+     */
+    NodeTransport.prototype.client = function(protocol) {
+        var name = protocol === 'https:' ? 'https' : 'http';
+        if (this[name] === null) {
+            if (nodeRequire === null) {
+                throw new ValidationError('The Node.js "' + name +
+                    '" module is not available.', 'UNSUPPORTED');
+            }
+            this[name] = nodeRequire(name);
+        }
+        return this[name];
+    };
+
+    /**
+     * Encodes a request body as bytes. Bodies that are neither strings nor
+     * bytes, like FormData and Blobs, are encoded using the Response class
+     * of the Fetch API, which also gives the Content-Type.
+     *
+     * @param {object} body     the request body
+     * @param {object} headers  the request headers, modified in place
+     * @returns {Promise}       promise for the Uint8Array, or null if empty
+     */
+    var encodeBytes = function(body, headers) {
+        if (typeof(body) === 'undefined' || body === '') {
+            return Promise.resolve(null);
+        } else if (typeof(body) === 'string') {
+            return Promise.resolve(utf8Bytes(body));
+        } else if (body instanceof ArrayBuffer) {
+            return Promise.resolve(new Uint8Array(body));
+        } else if (ArrayBuffer.isView(body)) {
+            return Promise.resolve(new Uint8Array(
+                body.buffer, body.byteOffset, body.byteLength));
+        } else if (typeof(Response) === 'function') {
+            var wrapped = new Response(body);
+            var type    = wrapped.headers.get('Content-Type');
+            if (type !== null && !hasHeader(headers, 'Content-Type')) {
+                headers['Content-Type'] = type;
+            }
+            return wrapped.arrayBuffer().then(function(buffer) {
+                return new Uint8Array(buffer);
+            });
+        } else {
+            return Promise.reject(new ValidationError(
+                'Unsupported request body.'));
+        }
+    };
+
+    NodeTransport.prototype.send = function(req) {
+        var self     = this;
+        var outgoing = null;
+        var aborted  = false;
+        var headers  = {};
+
+        Object.keys(req.headers).forEach(function(name) {
+            headers[name] = req.headers[name];
+        });
+
+        var promise = encodeBytes(req.body, headers).then(function(body) {
+            return new Promise(function(resolve, reject) {
+                var target = new URL(req.url);
+                var client = self.client(target.protocol);
+
+                if (body !== null) {
+                    headers['Content-Length'] = String(body.length);
+                }
+
+                outgoing = client.request(target, {
+                    method  : req.method,
+                    headers : headers,
+                    agent   : self.agent
+                }, function(incoming) {
+                    var length = parseInt(
+                        incoming.headers['content-length'], 10);
+                    var chunks = [];
+                    var loaded = 0;
+
+                    incoming.on('data', function(chunk) {
+                        chunks.push(chunk);
+                        loaded += chunk.length;
+                        if (typeof(req.onDownloadProgress) === 'function') {
+                            req.onDownloadProgress({
+                                loaded : loaded,
+                                total  : isNaN(length) ? null : length
+                            });
+                        }
+                    });
+
+                    incoming.on('end', function() {
+                        var status   = incoming.statusCode;
+                        var received = {};
+                        Object.keys(incoming.headers).forEach(function(name) {
+                            received[name] = [].concat(incoming.headers[name])
+                                .join(', ');
+                        });
+
+                        try {
+                            resolve(new HttpResponse(decodeBody(
+                                concatBytes(chunks), status, received,
+                                req.responseType), status, received));
+                        } catch (e) {
+                            reject(e);
+                        }
+                    });
+
+                    incoming.on('error', function() {
+                        resolve(networkFailure(req.url));
+                    });
+                });
+
+                outgoing.on('error', function() {
+                    resolve(networkFailure(req.url));
+                });
+
+                if (aborted) {
+                    outgoing.destroy();
+                }
+
+                if (body !== null) {
+                    outgoing.write(body);
+                    if (typeof(req.onUploadProgress) === 'function') {
+                        req.onUploadProgress({
+                            loaded : body.length,
+                            total  : body.length
+                        });
+                    }
+                }
+
+                outgoing.end();
+            });
+        });
+
+        promise.abort = function() {
+            aborted = true;
+            if (outgoing !== null) {
+                outgoing.destroy();
+            }
+        };
+
+        return promise;
+    };
+
+    /**
+     * The transport used by instances that have not configured one.
+     */
+    var defaultTransport = null;
+
+    /**
+     * Resolves the 'transport' option. It can either be the name of a
+     * built-in transport ('xhr', 'fetch' or 'node') or a custom object with
+     * a 'send(req)' method. If it is null or undefined, the default transport
+     * is returned: XMLHttpRequest if available, else fetch, else the
+     * 'http' and 'https' modules of Node.js.
+     *
+     * @param {string|object} option  the transport option
+     * @returns {object}              the transport
+     */
+    var resolveTransport = function(option) {
+        if (typeof(option) === 'object' && option !== null) {
+            expectFunction(option.send);
+            return option;
+        }
+
+        switch (option) {
+            case 'xhr'   : return new XhrTransport();
+            case 'fetch' : return new FetchTransport();
+            case 'node'  : return new NodeTransport();
+            case null : case undefined :
+                if (defaultTransport === null) {
+                    if (typeof(XMLHttpRequest) === 'function') {
+                        defaultTransport = new XhrTransport();
+                    } else if (typeof(window.fetch) === 'function') {
+                        defaultTransport = new FetchTransport();
+                    } else {
+                        defaultTransport = new NodeTransport();
+                    }
+                }
+                return defaultTransport;
+            default :
+                throw new ValidationError('Unknown transport "' + option +
+                    '".', 'UNKNOWN_TRANSPORT');
+        }
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                                Requests                                //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Resolves a url against a base url. Absolute urls and urls starting
+     * with '//' are returned as they are.
+     *
+     * @param {string} base  the base url, or null
+     * @param {string} url   the url to resolve
+     * @returns {string}     the resolved url
+     */
+    var resolveUrl = function(base, url) {
+        if (base === null || /^([a-z][a-z0-9+.\-]*:|\/\/)/i.test(url)) {
+            return url;
+        }
+
+        return base.replace(/\/+$/, '') + '/' + url.replace(/^\/+/, '');
+    };
+
+    /**
+     * Serializes the specified parameters into a query string, without
+     * the leading '?'. Array values are repeated for each element and
+     * null or undefined values are left out.
+     *
+     * @param {object|URLSearchParams} params  the parameters
+     * @returns {string}                       the query string
+     */
+    var buildQuery = function(params) {
+        if (typeof(URLSearchParams) === 'function'
+        &&  params instanceof URLSearchParams) {
+            return params.toString();
+        }
+
+        var parts = [];
+        Object.keys(params).forEach(function(name) {
+            [].concat(params[name]).forEach(function(value) {
+                if (value !== null && typeof(value) !== 'undefined') {
+                    parts.push(encodeURIComponent(name) + '=' +
+                        encodeURIComponent(String(value)));
+                }
+            });
+        });
+
+        return parts.join('&');
+    };
+
+    /**
+     * Appends a query string to the specified url.
+     *
+     * @param {string} url    the url
+     * @param {string} query  the query string, without the leading '?'
+     * @returns {string}      the url with the query
+     */
+    var appendQuery = function(url, query) {
+        if (query === '') {
+            return url;
+        }
+
+        var hash  = url.indexOf('#');
+        var tail  = hash < 0 ? '' : url.substring(hash);
+        var head  = hash < 0 ? url : url.substring(0, hash);
+        var glue  = head.indexOf('?') < 0 ? '?'
+            : (/[?&]$/.test(head) ? '' : '&');
+        return head + glue + query + tail;
+    };
+
+    /**
+     * Returns true if the headers contain the specified header, ignoring
+     * case.
+     *
+     * @param {object} headers  the headers by name
+     * @param {string} name     the header to look for
+     * @returns {boolean}       true if present
+     */
+    var hasHeader = function(headers, name) {
+        name = name.toLowerCase();
+        return Object.keys(headers).some(function(key) {
+            return key.toLowerCase() === name;
+        });
+    };
+
+    /**
+     * Methods that can not have a request body. Data sent with them is
+     * added to the query string instead.
+     */
+    var BODYLESS_METHODS = ['GET', 'HEAD'];
+
+    /**
+     * Encodes the specified data as a request body and sets the matching
+     * Content-Type, unless one is already set:
+     * <ul>
+     *     <li>FormData is sent as multipart/form-data. The browser sets
+     *         the Content-Type, including the boundary.
+     *     <li>URLSearchParams are sent url-encoded.
+     *     <li>Blobs, ArrayBuffers and typed arrays are sent as they are,
+     *         using the type of the Blob if it has one.
+     *     <li>Strings are sent as they are, as plain text.
+     *     <li>Anything else is sent as JSON.
+     * </ul>
+     *
+     * @param {object} data     the data to send, or undefined
+     * @param {object} headers  the request headers, modified in place
+     * @returns {object}        the body, or '' if there is none
+     */
+    var encodeBody = function(data, headers) {
+        var type = null;
+        var body;
+
+        if (typeof(data) === 'undefined') {
+            return '';
+        } else if (typeof(FormData) === 'function'
+               &&  data instanceof FormData) {
+            body = data;
+        } else if (typeof(URLSearchParams) === 'function'
+               &&  data instanceof URLSearchParams) {
+            type = 'application/x-www-form-urlencoded;charset=UTF-8';
+            body = data.toString();
+        } else if (typeof(Blob) === 'function' && data instanceof Blob) {
+            type = data.type || null;
+            body = data;
+        } else if (typeof(ArrayBuffer) === 'function'
+               && (data instanceof ArrayBuffer
+               ||  ArrayBuffer.isView(data))) {
+            type = 'application/octet-stream';
+            body = data;
+        } else if (typeof(data) === 'string') {
+            type = 'text/plain;charset=UTF-8';
+            body = data;
+        } else {
+            type = 'application/json';
+            body = JSON.stringify(data);
+        }
+
+        if (type !== null && !hasHeader(headers, 'Content-Type')) {
+            headers['Content-Type'] = type;
+        }
+
+        return body;
+    };
+
+    /**
+     * Encodes the data of a request that can not have a body as a query
+     * string. Strings are expected to be url-encoded already. FormData,
+     * Blobs, ArrayBuffers and typed arrays can not be sent in a query
+     * string and raise a ValidationError.
+     *
+     * @param {object} data  the data to send, or undefined
+     * @returns {string}     the query string, or '' if there is none
+     */
+    var encodeQuery = function(data) {
+        if (typeof(data) === 'undefined' || data === null) {
+            return '';
+        } else if (typeof(data) === 'string') {
+            return data.replace(/^\?/, '');
+        } else if ((typeof(FormData) === 'function'
+               &&   data instanceof FormData)
+               ||  (typeof(Blob) === 'function' && data instanceof Blob)
+               ||  (typeof(ArrayBuffer) === 'function'
+               &&  (data instanceof ArrayBuffer
+               ||   ArrayBuffer.isView(data)))
+               ||  typeof(data) !== 'object') {
+            throw new ValidationError('The data can not be sent in the ' +
+                'query string of a request without a body.');
+        } else {
+            return buildQuery(data);
+        }
+    };
+
+    /**
+     * Sends an asynchronous http request using a transport. The returned
+     * promise resolves to the HttpResponse once the request is done,
+     * regardless of the status code. If no response is received because of
+     * a network error, a timeout or an abort signal, it resolves to a
+     * response with the status 0 and the 'failure' set. It is only rejected
+     * if the response could not be decoded. The options object can contain
+     * the following keys:
+     * <ul>
+     *     <li>options.transport:          The transport to send it with
+     *     <li>options.responseType:       How to decode the response (see
+     *                                     RESPONSE_TYPES), default 'auto'
+     *     <li>options.timeout:            Milliseconds before giving up
+     *     <li>options.signal:             AbortSignal that cancels it
+     *     <li>options.onUploadProgress:   Invoked as the body is sent
+     *     <li>options.onDownloadProgress: Invoked as the response arrives
+     * </ul>
+     *
+     * The progress callbacks get an object with the bytes 'loaded' and
+     * the 'total', which is null if unknown.
+     *
+     * @param {string} method   the HTTP request method to use
+     * @param {string} url      the url to send the request to
+     * @param {object} headers  the request headers by name
+     * @param {string} body     the request body, or undefined
+     * @param {object} options  the request options, or undefined
+     * @returns {Promise}       promise for the HttpResponse
+     */
+    var request = function(method, url, headers, body, options) {
+        options = options || {};
+
+        var transport = options.transport || resolveTransport(null);
+        var signal    = options.signal || null;
+
+        return new Promise(function(resolve, reject) {
+            var timer   = null;
+            var done    = false;
+            var pending = null;
+
+            var settle = function(action) {
+                if (!done) {
+                    done = true;
+                    if (timer !== null) {
+                        clearTimer(timer);
+                    }
+                    if (signal !== null) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    action();
+                }
+            };
+
+            var fail = function(failure, message) {
+                settle(function() {
+                    resolve(HttpResponse.failed(failure, message));
+                });
+
+                if (pending !== null && typeof(pending.abort) === 'function') {
+                    pending.abort();
+                }
+            };
+
+            var onAbort = function() {
+                fail('abort', 'Request to "' + url + '" was aborted.');
+            };
+
+            if (signal !== null && signal.aborted) {
+                return onAbort();
+            }
+
+            if (typeof(options.timeout) === 'number' && options.timeout > 0) {
+                timer = startTimer(function() {
+                    fail('timeout', 'Request to "' + url +
+                        '" timed out after ' + options.timeout + ' ms.');
+                }, options.timeout);
+            }
+
+            if (signal !== null) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            try {
+                pending = transport.send({
+                    method             : method,
+                    url                : url,
+                    headers            : headers,
+                    body               : body,
+                    responseType       : options.responseType || 'auto',
+                    onUploadProgress   : options.onUploadProgress || null,
+                    onDownloadProgress : options.onDownloadProgress || null
+                });
+            } catch (e) {
+                return settle(function() {
+                    reject(e);
+                });
+            }
+
+            Promise.resolve(pending).then(function(res) {
+                settle(function() {
+                    resolve(res);
+                });
+            }, function(err) {
+                settle(function() {
+                    reject(err);
+                });
+            });
+        });
+    };
+
+    /**
+     * Creates an AbortController that aborts when the specified signal
+     * does, so that a request can be cancelled either way. Returns null
+     * if AbortController is not supported.
+     *
+     * @param {AbortSignal} signal  a signal to follow, or undefined
+     * @returns {AbortController}   the controller, or null
+     */
+    var createController = function(signal) {
+        if (typeof(AbortController) !== 'function') {
+            return null;
+        }
+
+        var controller = new AbortController();
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', function() {
+                    controller.abort();
+                });
+            }
+        }
+
+        return controller;
+    };
+
+    /**
+     * Adds an 'abort()' method to the specified promise that aborts the
+     * controller, and returns the promise.
+     *
+     * @param {Promise} promise             the promise to return
+     * @param {AbortController} controller  the controller, or null
+     * @returns {Promise}                   the same promise
+     */
+    var abortable = function(promise, controller) {
+        promise.abort = function() {
+            if (controller !== null) {
+                controller.abort();
+            }
+        };
+
+        return promise;
+    };
+
+    /**
+     * Returns the error to reject with for a response that failed: a
+     * NetworkError if no response was received, else a HttpError.
+     *
+     * @param {HttpResponse} res  the response
+     * @returns {SecurityError}   the error
+     */
+    var errorFor = function(res) {
+        if (res.failure !== null) {
+            return new NetworkError(res.data.message, res.failure);
+        } else {
+            return new HttpError(res);
+        }
+    };
+
+    /**
+     * Returns the error to reject a login with for a response that
+     * failed. A 401 or 403 response means the credentials were wrong.
+     *
+     * @param {HttpResponse} res  the response
+     * @returns {SecurityError}   the error
+     */
+    var loginErrorFor = function(res) {
+        if (res.failure === null
+        && (res.status === 401 || res.status === 403)) {
+            return new AuthenticationError('Invalid username or password.',
+                'INVALID_CREDENTIALS', res);
+        } else {
+            return errorFor(res);
+        }
+    };
+
+    /**
+     * Invokes the specified failure handler with the reason a request
+     * failed. If the reason was caused by a response, the handler gets
+     * its body and status. Otherwise it gets the reason itself and status
+     * 0. The reason is always passed as the third argument.
+     *
+     * @param {function} handler  the failure handler
+     * @param {object} reason     the rejection reason
+     * @returns {undefined}
+     */
+    var notifyFailure = function(handler, reason) {
+        if (reason instanceof HttpResponse) {
+            handler(reason.data, reason.status, errorFor(reason));
+        } else if (reason instanceof SecurityError && reason.response) {
+            handler(reason.body, reason.status, reason);
+        } else {
+            handler(reason, 0, reason);
+        }
+    };
+
+    /**
+     * Returns a rejected promise for an error raised before a request
+     * was sent, passing it to the failure handler if there is one.
+     *
+     * @param {SecurityError} err  the error
+     * @param {function} handler   the failure handler, or undefined
+     * @returns {Promise}          the rejected promise
+     */
+    var failEarly = function(err, handler) {
+        var hasCallback = typeof(handler) === 'function';
+        if (hasCallback) {
+            notifyFailure(handler, err);
+        }
+        return handledIf(Promise.reject(err), hasCallback);
+    };
+
+    /**
+     * Sends a request authenticated using the specified scheme. If the
+     * server responds with 401 and the scheme accepts the challenge, the
+     * request is authorized again and retried once.
+     * <p>
+     * The request object should have the fields 'method', 'url',
+     * 'headers' and 'body'. The headers may be modified by the scheme.
+     *
+     * @param {object} scheme  the authentication scheme
+     * @param {object} req     the request to send
+     * @param {object} creds   the credentials to authorize with
+     * @returns {Promise}      promise for the HttpResponse
+     */
+    var exchange = function(scheme, req, creds) {
+        var attempt = function(retry) {
+            return Promise.resolve(scheme.authorize(req, creds))
+                .then(function() {
+                    return request(req.method, req.url, req.headers,
+                        req.body, req);
+                }).then(function(res) {
+                    if (res.status !== 401 || !retry
+                    ||  typeof(scheme.challenge) !== 'function') {
+                        return res;
+                    }
+
+                    return Promise.resolve(scheme.challenge(res, req, creds))
+                        .then(function(again) {
+                            return again ? attempt(false) : res;
+                        });
+                });
+        };
+
+        return attempt(true);
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                               Cryptography                             //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Encodes a string as UTF-8.
+     *
+     * @param {string} str   the string to encode
+     * @returns {Uint8Array} the encoded bytes
+     */
+    var utf8Bytes = function(str) {
+        return new TextEncoder().encode(str);
+    };
+
+    /**
+     * Returns the lower case hexadecimal representation of some bytes.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer  the bytes
+     * @returns {string}                       the hex string
+     */
+    var toHex = function(buffer) {
+        var bytes = new Uint8Array(buffer);
+        var hex   = '';
+        for (var i = 0; i < bytes.length; i++) {
+            hex += ('0' + bytes[i].toString(16)).slice(-2);
+        }
+        return hex;
+    };
+
+    /**
+     * The characters of the base64 alphabet.
+     */
+    var BASE64_CHARS =
+        'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    /**
+     * Encodes a binary string, where each character is one byte, as base64.
+     * The global 'btoa' is used if available.
+     *
+     * @param {string} binary  the binary string
+     * @returns {string}       the base64 string
+     */
+    var encodeBase64 = function(binary) {
+        if (typeof(window.btoa) === 'function') {
+            return window.btoa(binary);
+        }
+
+        var b64 = '';
+        for (var i = 0; i < binary.length; i += 3) {
+            var n = (binary.charCodeAt(i) << 16)
+                | ((binary.charCodeAt(i + 1) || 0) << 8)
+                | (binary.charCodeAt(i + 2) || 0);
+
+            var left = binary.length - i;
+            b64 += BASE64_CHARS.charAt(n >> 18 & 63) +
+                BASE64_CHARS.charAt(n >> 12 & 63) +
+                (left > 1 ? BASE64_CHARS.charAt(n >> 6 & 63) : '=') +
+                (left > 2 ? BASE64_CHARS.charAt(n & 63) : '=');
+        }
+        return b64;
+    };
+
+    /**
+     * Decodes a base64 string into a binary string, where each character is
+     * one byte. The global 'atob' is used if available.
+     *
+     * @param {string} b64  the base64 string
+     * @returns {string}    the binary string
+     */
+    var decodeBase64 = function(b64) {
+        if (typeof(window.atob) === 'function') {
+            return window.atob(b64);
+        }
+
+        var clean = String(b64).replace(/[\s=]+/g, '');
+        if (/[^A-Za-z0-9+\/]/.test(clean) || clean.length % 4 === 1) {
+            throw new ValidationError('Invalid base64 string.');
+        }
+
+        var binary = '';
+        var bits   = 0;
+        var count  = 0;
+        for (var i = 0; i < clean.length; i++) {
+            bits   = (bits << 6 | BASE64_CHARS.indexOf(clean.charAt(i)))
+                & 0xffff;
+            count += 6;
+            if (count >= 8) {
+                count  -= 8;
+                binary += String.fromCharCode(bits >> count & 255);
+            }
+        }
+        return binary;
+    };
+
+    /**
+     * Returns the base64 representation of some bytes.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer  the bytes
+     * @returns {string}                       the base64 string
+     */
+    var toBase64 = function(buffer) {
+        var bytes  = new Uint8Array(buffer);
+        var binary = '';
+        for (var i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return encodeBase64(binary);
+    };
+
+    /**
+     * Returns a hex string of the specified number of random bytes.
+     *
+     * @param {number} count  the number of bytes
+     * @returns {string}      the hex string
+     */
+    var randomHex = function(count) {
+        return toHex(window.crypto.getRandomValues(new Uint8Array(count)));
+    };
+
+    /**
+     * Computes the SHA-256 digest of a string using WebCrypto.
+     *
+     * @param {string} str  the string to hash
+     * @returns {Promise}   promise for the hex digest
+     */
+    var sha256Hex = function(str) {
+        return window.crypto.subtle.digest('SHA-256', utf8Bytes(str))
+            .then(toHex);
+    };
+
+    /**
+     * Computes the HMAC-SHA256 of a message using WebCrypto.
+     *
+     * @param {string} key      the secret key
+     * @param {string} message  the message to sign
+     * @returns {Promise}       promise for the signature as an ArrayBuffer
+     */
+    var hmacSha256 = function(key, message) {
+        var subtle = window.crypto.subtle;
+        return subtle.importKey('raw', utf8Bytes(key),
+            {name : 'HMAC', hash : 'SHA-256'}, false, ['sign']
+        ).then(function(cryptoKey) {
+            return subtle.sign('HMAC', cryptoKey, utf8Bytes(message));
+        });
+    };
+
+    /**
+     * Computes the MD5 digest of a string. WebCrypto does not support MD5,
+     * but it is still the most common algorithm in HTTP Digest challenges.
+     *
+     * @param {string} str  the string to hash
+     * @returns {string}    the hex digest
+     */
+    var md5Hex = function(str) {
+        var bytes  = utf8Bytes(str);
+        var len    = bytes.length;
+        var total  = (((len + 8) >>> 6) + 1) * 16;
+        var words  = [];
+        var shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23,
+                      6, 10, 15, 21];
+        var consts = [];
+        var i, j;
+
+        for (i = 0; i < 64; i++) {
+            consts[i] = Math.floor(Math.abs(Math.sin(i + 1)) *
+                4294967296) | 0;
+        }
+
+        for (i = 0; i < total; i++) {
+            words[i] = 0;
+        }
+
+        for (i = 0; i < len; i++) {
+            words[i >> 2] |= bytes[i] << ((i % 4) * 8);
+        }
+
+        words[len >> 2] |= 0x80 << ((len % 4) * 8);
+        words[total - 2] = (len * 8) | 0;
+        words[total - 1] = Math.floor(len / 0x20000000);
+
+        var h = [0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476];
+
+        for (i = 0; i < total; i += 16) {
+            var a = h[0], b = h[1], c = h[2], d = h[3];
+
+            for (j = 0; j < 64; j++) {
+                var round = j >> 4;
+                var f, g;
+
+                switch (round) {
+                    case 0 : f = (b & c) | (~b & d); g = j;                break;
+                    case 1 : f = (d & b) | (~d & c); g = (5 * j + 1) % 16; break;
+                    case 2 : f = b ^ c ^ d;          g = (3 * j + 5) % 16; break;
+                    default: f = c ^ (b | ~d);       g = (7 * j) % 16;     break;
+                }
+
+                var x = (a + f + consts[j] + words[i + g]) | 0;
+                var s = shifts[round * 4 + j % 4];
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((x << s) | (x >>> (32 - s)))) | 0;
+            }
+
+            h[0] = (h[0] + a) | 0;
+            h[1] = (h[1] + b) | 0;
+            h[2] = (h[2] + c) | 0;
+            h[3] = (h[3] + d) | 0;
+        }
+
+        var out = new Uint8Array(16);
+        for (i = 0; i < 16; i++) {
+            out[i] = (h[i >> 2] >>> ((i % 4) * 8)) & 0xff;
+        }
+        return toHex(out);
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                          Authentication Schemes                        //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /*
+     * An authentication scheme is an object with the following methods:
+     * <ul>
+     *     <li>prepare(username, password): Optional. Returns the secret
+     *         (or a promise for it) that is stored in place of the
+     *         password when logging in. Defaults to the password as is.
+     *     <li>authorize(req, creds): Adds authentication to the request,
+     *         usually by setting req.headers['Authorization']. May return
+     *         a promise.
+     *     <li>challenge(res, req, creds): Optional. Invoked when the
+     *         server responds with 401. Returns true (or a promise for
+     *         true) if the request should be authorized and sent again.
+     *     <li>reset(): Optional. Invoked when the user logs out.
+     * </ul>
+     * The 'req' has the fields 'method', 'url', 'headers' and 'body' and
+     * the 'creds' has the fields 'username', 'password' and 'token'.
+     */
+
+    /**
+     * Returns the path and query of an url, as used in the request line.
+     *
+     * @param {string} url  the absolute or relative url
+     * @returns {string}    the request uri
+     */
+    var requestUri = function(url) {
+        var uri = String(url)
+            .replace(/^[a-z][a-z0-9+.\-]*:\/\/[^\/?#]*/i, '')
+            .replace(/#.*$/, '');
+        return uri === '' ? '/' : uri;
+    };
+
+    /**
+     * Returns a value as a quoted-string of a header parameter, escaping
+     * the quotes and backslashes in it as RFC 7230 requires.
+     *
+     * @param {string} value  the value
+     * @returns {string}      the quoted-string
+     */
+    var quoteString = function(value) {
+        return '"' + String(value).replace(/["\\]/g, '\\$&') + '"';
+    };
+
+    /**
+     * Parses the value of one or several 'WWW-Authenticate' headers into
+     * a list of challenges. Each challenge has the field 'scheme' (in
+     * lower case) and 'params', an object of the auth-params by lower
+     * case name.
+     *
+     * @param {string} header  the header value
+     * @returns {Array}        the challenges
+     */
+    var parseChallenges = function(header) {
+        var pattern    = /\s*([^\s=,]+)(?:\s*=\s*("(?:[^"\\]|\\.)*"|[^,\s]*))?\s*,?/g;
+        var challenges = [];
+        var current    = null;
+        var match;
+
+        if (typeof(header) !== 'string') {
+            return challenges;
+        }
+
+        while ((match = pattern.exec(header)) !== null && match[0] !== '') {
+            if (typeof(match[2]) === 'undefined') {
+                current = {scheme : match[1].toLowerCase(), params : {}};
+                challenges.push(current);
+            } else if (current !== null) {
+                var value = match[2];
+                if (value.charAt(0) === '"') {
+                    value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+                }
+                current.params[match[1].toLowerCase()] = value;
+            }
+        }
+
+        return challenges;
+    };
+
+    /**
+     * Returns the bcryptjs library. It is only needed by the schemes that hash
+     * passwords, so a missing library is not reported until then.
+     *
+     * @returns {object}  the bcryptjs library
+     */
+    var loadBcrypt = function() {
+        if (bcrypt === null || typeof(bcrypt) === 'undefined') {
+            throw new ValidationError('The "bcryptjs" library is not ' +
+                'loaded.', 'UNSUPPORTED');
+        }
+        return bcrypt;
+    };
+
+    /**
+     * The 'basic' scheme. The password is hashed using a 10 pass bcrypt
+     * before it is stored and sent in the Basic Authentication header.
+     *
+     * @constructor
+     */
+    var BasicScheme = function() {};
+
+    BasicScheme.prototype.prepare = function(username, password) {
+        return new Promise(function(resolve, reject) {
+            loadBcrypt().hash(password, 10, function(err, hash) {
+                if (err) {
+                    reject(new AuthenticationError('Failed to hash the ' +
+                        'password.', 'HASH_FAILED', undefined, err));
+                } else {
+                    resolve(hash);
+                }
+            });
+        }).then(expectString);
+    };
+
+    BasicScheme.prototype.authorize = function(req, creds) {
+        req.headers['Authorization'] = 'Basic ' +
+            encodeBase64(creds.username + ':' + creds.password);
+    };
+
+    /**
+     * The 'bearer' scheme, used in the 'token' mode. The access token is
+     * sent in the Authorization header.
+     *
+     * @constructor
+     */
+    var BearerScheme = function() {};
+
+    BearerScheme.prototype.authorize = function(req, creds) {
+        req.headers['Authorization'] = 'Bearer ' + creds.token.access;
+    };
+
+    /**
+     * The 'digest' scheme, implementing HTTP Digest Access Authentication
+     * as described in RFC 7616. The first request is sent without
+     * credentials and the challenge of the server is remembered for
+     * subsequent requests. The algorithms 'MD5', 'SHA-256' and their
+     * '-sess' variants are supported with the 'auth' and 'auth-int'
+     * quality of protection.
+     * <p>
+     * Since the realm is not known until the server has responded, the
+     * password is stored as is.
+     *
+     * @constructor
+     */
+    var DigestScheme = function() {
+        this.params = null;
+        this.count  = 0;
+    };
+
+    DigestScheme.algorithms = {
+        'MD5'     : function(str) { return Promise.resolve(md5Hex(str)); },
+        'SHA-256' : sha256Hex
+    };
+
+    DigestScheme.prototype.authorize = function(req, creds) {
+        var params = this.params;
+        if (params === null) {
+            delete req.headers['Authorization'];
+            return;
+        }
+
+        var sess   = /-sess$/i.test(params.algorithm);
+        var hash   = DigestScheme.algorithms[
+            params.algorithm.replace(/-sess$/i, '').toUpperCase()];
+        var uri    = requestUri(req.url);
+        var cnonce = randomHex(16);
+        var nc     = ('0000000' + (++this.count).toString(16)).slice(-8);
+        var qop    = params.qop;
+        var body   = typeof(req.body) === 'string' ? req.body : '';
+
+        return hash(creds.username + ':' + params.realm + ':' +
+            creds.password
+        ).then(function(ha1) {
+            return sess
+                ? hash(ha1 + ':' + params.nonce + ':' + cnonce)
+                : ha1;
+        }).then(function(ha1) {
+            var ha2 = qop === 'auth-int'
+                ? hash(body).then(function(bodyHash) {
+                    return hash(req.method + ':' + uri + ':' + bodyHash);
+                })
+                : hash(req.method + ':' + uri);
+
+            return ha2.then(function(ha2) {
+                return qop === null
+                    ? hash(ha1 + ':' + params.nonce + ':' + ha2)
+                    : hash(ha1 + ':' + params.nonce + ':' + nc + ':' +
+                        cnonce + ':' + qop + ':' + ha2);
+            });
+        }).then(function(response) {
+            var header = 'Digest username=' + quoteString(creds.username) +
+                ', realm=' + quoteString(params.realm) +
+                ', uri=' + quoteString(uri) +
+                ', algorithm=' + params.algorithm +
+                ', nonce=' + quoteString(params.nonce);
+
+            if (qop !== null) {
+                header += ', nc=' + nc +
+                    ', cnonce=' + quoteString(cnonce) +
+                    ', qop=' + qop;
+            }
+
+            header += ', response=' + quoteString(response);
+
+            if (typeof(params.opaque) === 'string') {
+                header += ', opaque=' + quoteString(params.opaque);
+            }
+
+            req.headers['Authorization'] = header;
+        });
+    };
+
+    DigestScheme.prototype.challenge = function(res) {
+        var challenges = parseChallenges(res.headers['www-authenticate']);
+
+        for (var i = 0; i < challenges.length; i++) {
+            var params    = challenges[i].params;
+            var algorithm = params.algorithm || 'MD5';
+            var base      = algorithm.replace(/-sess$/i, '').toUpperCase();
+
+            if (challenges[i].scheme !== 'digest'
+            ||  typeof(params.nonce) !== 'string'
+            ||  !DigestScheme.algorithms.hasOwnProperty(base)) {
+                continue;
+            }
+
+            var qops = (params.qop || '').split(/\s*,\s*/);
+            this.params = {
+                realm     : params.realm || '',
+                nonce     : params.nonce,
+                opaque    : params.opaque,
+                algorithm : algorithm,
+                qop       : qops.indexOf('auth') >= 0 ? 'auth'
+                          : qops.indexOf('auth-int') >= 0 ? 'auth-int'
+                          : null
+            };
+            this.count = 0;
+            return true;
+        }
+
+        return false;
+    };
+
+    DigestScheme.prototype.reset = function() {
+        this.params = null;
+        this.count  = 0;
+    };
+
+    /**
+     * Returns the bytes of a request body as they will be sent. Strings are
+     * encoded as UTF-8. FormData and streams are only encoded by the
+     * transport, so their bytes are not known in advance and a
+     * ValidationError is raised instead.
+     *
+     * @param {object} body  the request body
+     * @returns {Promise}    promise for the bytes as a Uint8Array
+     */
+    var bodyBytes = function(body) {
+        if (typeof(body) === 'undefined' || body === null) {
+            return Promise.resolve(new Uint8Array(0));
+        } else if (typeof(body) === 'string') {
+            return Promise.resolve(utf8Bytes(body));
+        } else if (typeof(Blob) === 'function' && body instanceof Blob) {
+            return body.arrayBuffer().then(function(buffer) {
+                return new Uint8Array(buffer);
+            });
+        } else if (typeof(ArrayBuffer) === 'function'
+               &&  ArrayBuffer.isView(body)) {
+            return Promise.resolve(new Uint8Array(
+                body.buffer, body.byteOffset, body.byteLength));
+        } else if (typeof(ArrayBuffer) === 'function'
+               &&  body instanceof ArrayBuffer) {
+            return Promise.resolve(new Uint8Array(body));
+        } else {
+            return Promise.reject(new ValidationError('Only bodies of ' +
+                'strings, Blobs and buffers can be signed.',
+                'UNSUPPORTED'));
+        }
+    };
+
+    /**
+     * The 'hmac' scheme. Every request is signed using HMAC-SHA256 over
+     * the following string, where the body hash is the hex SHA-256 of the
+     * bytes of the request body (or of no bytes):
+     * <pre>
+     * METHOD + '\n' + PATH + '\n' + TIMESTAMP + '\n' + BODY_HASH
+     * </pre>
+     * The signature is sent in the Authorization header as:
+     * <pre>
+     * HMAC-SHA256 Credential="username", Timestamp=1500000000,
+     *     Signature=base64
+     * </pre>
+     * The username is sent as a quoted-string, with any '"' and '\' in it
+     * escaped by a backslash. The signing key is the hex SHA-256 of
+     * 'username:password', which is also what the server should store
+     * instead of the password.
+     * <p>
+     * FormData bodies are encoded by the transport, so they can not be
+     * signed and the request fails with a Security.ValidationError. Send
+     * them as a Blob instead.
+     *
+     * @constructor
+     */
+    var HmacScheme = function() {};
+
+    HmacScheme.prototype.prepare = function(username, password) {
+        return sha256Hex(username + ':' + password);
+    };
+
+    HmacScheme.prototype.authorize = function(req, creds) {
+        var timestamp = String(Math.floor(clock.now() / 1000));
+
+        return bodyBytes(req.body).then(function(bytes) {
+            return window.crypto.subtle.digest('SHA-256', bytes);
+        }).then(function(bodyHash) {
+            return hmacSha256(creds.password, req.method.toUpperCase() +
+                '\n' + requestUri(req.url) +
+                '\n' + timestamp +
+                '\n' + toHex(bodyHash));
+        }).then(function(signature) {
+            req.headers['Authorization'] = 'HMAC-SHA256 ' +
+                'Credential=' + quoteString(creds.username) +
+                ', Timestamp=' + timestamp +
+                ', Signature=' + toBase64(signature);
+        });
+    };
+
+    /**
+     * The registered authentication schemes by name. Each value is a
+     * constructor (or factory function) that is invoked with 'new' and
+     * the scheme options.
+     */
+    var schemes = {
+        'basic'  : BasicScheme,
+        'bearer' : BearerScheme,
+        'digest' : DigestScheme,
+        'hmac'   : HmacScheme
+    };
+
+    /**
+     * Creates a new instance of the registered scheme with the specified
+     * name.
+     *
+     * @param {string} name     the scheme name
+     * @param {object} options  the options to pass to the scheme
+     * @returns {object}        the scheme instance
+     */
+    var createScheme = function(name, options) {
+        if (!schemes.hasOwnProperty(expectString(name))) {
+            throw new ValidationError('Unknown authentication scheme "' +
+                name + '".', 'UNKNOWN_SCHEME');
+        }
+
+        var scheme = new schemes[name](options || {});
+        expectFunction(scheme.authorize);
+        return scheme;
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                          Secure Remote Password                        //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /*
+     * The SRP-6a protocol (RFC 5054) using the 2048-bit group and SHA-256.
+     * The values exchanged with the server are hex encoded. The private
+     * key is derived from a bcrypt hash of the password, using the bcrypt
+     * salt stored on the server:
+     * <pre>
+     * x  = H(salt | H(username ':' bcrypt(password, salt)))
+     * v  = g^x
+     * k  = H(N | PAD(g))
+     * u  = H(PAD(A) | PAD(B))
+     * K  = H(PAD(S))
+     * M1 = H(PAD(A) | PAD(B) | K)
+     * M2 = H(PAD(A) | M1 | K)
+     * </pre>
+     */
+
+    /**
+     * The hex encoded 2048-bit prime from RFC 5054.
+     */
+    var SRP_N =
+        'AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050' +
+        'A37329CBB4A099ED8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50' +
+        'E8083969EDB767B0CF6095179A163AB3661A05FBD5FAAAE82918A9962F0B93B8' +
+        '55F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA71D281E446B14773B' +
+        'CA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748' +
+        '544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB3786160279004E57AE6' +
+        'AF874E7303CE53299CCC041C7BC308D82A5698F3A8D0C38271AE35F8E9DBFBB6' +
+        '94B5C803D89F7AE435DE236D525F54759B65E372FCD68EF20FA7111F9E4AFF73';
+
+    /**
+     * Returns the hex representation of the UTF-8 encoding of a string.
+     *
+     * @param {string} str  the string
+     * @returns {string}    the hex string
+     */
+    var hexOf = function(str) {
+        return toHex(utf8Bytes(str));
+    };
+
+    /**
+     * Converts a hex string into bytes.
+     *
+     * @param {string} hex    the hex string
+     * @returns {Uint8Array}  the bytes
+     */
+    var fromHex = function(hex) {
+        var bytes = new Uint8Array(hex.length / 2);
+        for (var i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    };
+
+    /**
+     * Computes the SHA-256 digest of the bytes represented by a hex
+     * string.
+     *
+     * @param {string} hex  the bytes to hash as hex
+     * @returns {Promise}   promise for the hex digest
+     */
+    var sha256OfHex = function(hex) {
+        return window.crypto.subtle.digest('SHA-256', fromHex(hex))
+            .then(toHex);
+    };
+
+    /**
+     * Returns the hex representation of a big integer, left padded with
+     * zeroes to the specified number of characters.
+     *
+     * @param {BigInt} n       the number
+     * @param {number} length  the minimum number of characters
+     * @returns {string}       the hex string
+     */
+    var bigToHex = function(n, length) {
+        var hex = n.toString(16);
+        while (hex.length < length || hex.length % 2 !== 0) {
+            hex = '0' + hex;
+        }
+        return hex;
+    };
+
+    /**
+     * Computes (base ^ exp) mod m for big integers.
+     *
+     * @param {BigInt} base  the base
+     * @param {BigInt} exp   the exponent
+     * @param {BigInt} m     the modulus
+     * @returns {BigInt}     the result
+     */
+    var modPow = function(base, exp, m) {
+        var zero   = BigInt(0);
+        var one    = BigInt(1);
+        var two    = BigInt(2);
+        var result = one;
+
+        base = ((base % m) + m) % m;
+        while (exp > zero) {
+            if (exp % two === one) {
+                result = (result * base) % m;
+            }
+            exp  = exp / two;
+            base = (base * base) % m;
+        }
+
+        return result;
+    };
+
+    /**
+     * Returns the parameters of the SRP group: the prime 'N', the
+     * generator 'g', the multiplier 'k' (as a promise) and the padded
+     * length 'len' in hex characters.
+     *
+     * @returns {object}  the group parameters
+     */
+    var srpGroup = function() {
+        if (typeof(BigInt) !== 'function') {
+            throw new ValidationError('SRP requires BigInt support.',
+                'UNSUPPORTED');
+        }
+
+        if (typeof(srpGroup.cached) === 'undefined') {
+            var N   = BigInt('0x' + SRP_N);
+            var g   = BigInt(2);
+            var len = SRP_N.length;
+
+            srpGroup.cached = {
+                N   : N,
+                g   : g,
+                len : len,
+                k   : sha256OfHex(bigToHex(N, len) + bigToHex(g, len))
+                    .then(function(hex) {
+                        return BigInt('0x' + hex);
+                    })
+            };
+        }
+
+        return srpGroup.cached;
+    };
+
+    /**
+     * Derives the SRP private key 'x' from the credentials and the bcrypt
+     * salt.
+     *
+     * @param {string} username  the username
+     * @param {string} password  the unhashed password
+     * @param {string} salt      the bcrypt salt
+     * @returns {Promise}        promise for 'x' as a BigInt
+     */
+    var srpPrivateKey = function(username, password, salt) {
+        return new Promise(function(resolve, reject) {
+            loadBcrypt().hash(password, salt, function(err, hash) {
+                if (err) {
+                    reject(new AuthenticationError('Failed to hash the ' +
+                        'password.', 'HASH_FAILED', undefined, err));
+                } else {
+                    resolve(hash);
+                }
+            });
+        }).then(function(hash) {
+            expectString(hash);
+            return sha256OfHex(hexOf(username + ':' + hash));
+        }).then(function(inner) {
+            return sha256OfHex(hexOf(salt) + inner);
+        }).then(function(hex) {
+            return BigInt('0x' + hex);
+        });
+    };
+
+    /**
+     * Computes the scrambling parameter 'u' of SRP.
+     *
+     * @param {BigInt} A  the public ephemeral of the client
+     * @param {BigInt} B  the public ephemeral of the server
+     * @returns {Promise} promise for 'u' as a BigInt
+     */
+    var srpScrambler = function(A, B) {
+        var len = srpGroup().len;
+        return sha256OfHex(bigToHex(A, len) + bigToHex(B, len))
+            .then(function(hex) {
+                return BigInt('0x' + hex);
+            });
+    };
+
+    /**
+     * Computes the session key 'K' and the proofs 'M1' and 'M2' from the
+     * shared secret 'S' of SRP.
+     *
+     * @param {BigInt} A  the public ephemeral of the client
+     * @param {BigInt} B  the public ephemeral of the server
+     * @param {BigInt} S  the shared secret
+     * @returns {Promise} promise for an object with 'K', 'M1' and 'M2'
+     */
+    var srpProofs = function(A, B, S) {
+        var len  = srpGroup().len;
+        var hexA = bigToHex(A, len);
+        var hexB = bigToHex(B, len);
+
+        return sha256OfHex(bigToHex(S, len)).then(function(K) {
+            return sha256OfHex(hexA + hexB + K).then(function(M1) {
+                return sha256OfHex(hexA + M1 + K).then(function(M2) {
+                    return {K : K, M1 : M1, M2 : M2};
+                });
+            });
+        });
+    };
+
+    /**
+     * Creates the salt and verifier that the server should store for a
+     * user in order to support SRP login. This is typically done during
+     * registration.
+     *
+     * @param {string} username  the username
+     * @param {string} password  the unhashed password
+     * @returns {Promise}        promise for an object with the bcrypt
+     *                           'salt' and the hex 'verifier'
+     */
+    var createSrpVerifier = function(username, password) {
+        var group = srpGroup();
+        return new Promise(function(resolve, reject) {
+            loadBcrypt().genSalt(10, function(err, salt) {
+                if (err) {
+                    reject(new AuthenticationError('Failed to generate ' +
+                        'a salt.', 'HASH_FAILED', undefined, err));
+                } else {
+                    resolve(salt);
+                }
+            });
+        }).then(function(salt) {
+            return srpPrivateKey(username, password, salt)
+                .then(function(x) {
+                    return {
+                        salt     : salt,
+                        verifier : bigToHex(
+                            modPow(group.g, x, group.N), group.len)
+                    };
+                });
+        });
+    };
+
+    /**
+     * Performs the client side of an SRP handshake given the response to
+     * the first step.
+     *
+     * @param {string} username  the username
+     * @param {string} password  the unhashed password
+     * @param {string} salt      the bcrypt salt from the server
+     * @param {string} hexB      the public ephemeral of the server
+     * @returns {Promise}        promise for an object with 'A', 'K', 'M1'
+     *                           and 'M2' as hex strings
+     */
+    var srpClient = function(username, password, salt, hexB) {
+        var group = srpGroup();
+        var zero  = BigInt(0);
+        var B     = BigInt('0x' + expectString(hexB));
+        var a     = BigInt('0x' + randomHex(32));
+        var A     = modPow(group.g, a, group.N);
+
+        if (B % group.N === zero) {
+            return Promise.reject(new AuthenticationError(
+                'Invalid SRP challenge from server.', 'INVALID_CHALLENGE'));
+        }
+
+        return Promise.all([
+            group.k,
+            srpPrivateKey(username, password, expectString(salt)),
+            srpScrambler(A, B)
+        ]).then(function(values) {
+            var k = values[0];
+            var x = values[1];
+            var u = values[2];
+
+            if (u === zero) {
+                throw new AuthenticationError(
+                    'Invalid SRP challenge from server.',
+                    'INVALID_CHALLENGE');
+            }
+
+            var base = B - k * modPow(group.g, x, group.N);
+            var S    = modPow(base, a + u * x, group.N);
+
+            return srpProofs(A, B, S).then(function(proofs) {
+                proofs.A = bigToHex(A, group.len);
+                return proofs;
+            });
+        });
+    };
+
+    /**
+     * A reference implementation of the server side of the SRP handshake,
+     * intended for tests and as documentation of the protocol. Create one
+     * per login attempt from the stored salt and verifier.
+     *
+     * @constructor
+     *
+     * @argument {string} salt      the bcrypt salt of the user
+     * @argument {string} verifier  the hex verifier of the user
+     */
+    var SrpServer = function(salt, verifier) {
+        this.salt = expectString(salt);
+        this.v    = BigInt('0x' + expectString(verifier));
+        this.b    = BigInt('0x' + randomHex(32));
+        this.B    = null;
+        this.K    = null;
+    };
+
+    /**
+     * Returns the first response of the handshake, with the 'salt' and
+     * the public ephemeral 'B' of the server.
+     *
+     * @this {SrpServer}
+     * @returns {Promise}  promise for an object with 'salt' and 'B'
+     */
+    SrpServer.prototype.challenge = function() {
+        var self  = this;
+        var group = srpGroup();
+        return group.k.then(function(k) {
+            self.B = (k * self.v + modPow(group.g, self.b, group.N)) %
+                group.N;
+            return {salt : self.salt, B : bigToHex(self.B, group.len)};
+        });
+    };
+
+    /**
+     * Verifies the proof 'M1' of the client. If it is correct, the
+     * session key is stored in the field 'K' and the proof 'M2' of the
+     * server is returned. Otherwise, the promise is rejected.
+     *
+     * @this {SrpServer}
+     * @argument {string} hexA  the public ephemeral of the client
+     * @argument {string} M1    the proof of the client
+     * @returns {Promise}       promise for 'M2'
+     */
+    SrpServer.prototype.verify = function(hexA, M1) {
+        var self  = this;
+        var group = srpGroup();
+        var A     = BigInt('0x' + expectString(hexA));
+
+        if (this.B === null || A % group.N === BigInt(0)) {
+            return Promise.reject(new AuthenticationError(
+                'Invalid SRP handshake.', 'INVALID_CHALLENGE'));
+        }
+
+        return srpScrambler(A, this.B).then(function(u) {
+            var S = modPow(A * modPow(self.v, u, group.N), self.b, group.N);
+            return srpProofs(A, self.B, S);
+        }).then(function(proofs) {
+            if (proofs.M1 !== M1) {
+                throw new AuthenticationError('Invalid SRP proof.',
+                    'INVALID_PROOF');
+            }
+            self.K = proofs.K;
+            return proofs.M2;
+        });
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                           One-Time Passwords                           //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * The characters of the base32 alphabet used for TOTP secrets.
+     */
+    var BASE32_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+    /**
+     * The hash algorithms that TOTP secrets can be used with, by the name
+     * used in otpauth URIs.
+     */
+    var TOTP_ALGORITHMS = {
+        SHA1   : 'SHA-1',
+        SHA256 : 'SHA-256',
+        SHA512 : 'SHA-512'
+    };
+
+    /**
+     * Encodes bytes as base32 without padding.
+     *
+     * @param {Uint8Array} bytes  the bytes
+     * @returns {string}          the base32 string
+     */
+    var toBase32 = function(bytes) {
+        var out   = '';
+        var bits  = 0;
+        var value = 0;
+
+        for (var i = 0; i < bytes.length; i++) {
+            value = (value << 8 | bytes[i]) & 0xffff;
+            bits += 8;
+            while (bits >= 5) {
+                bits -= 5;
+                out  += BASE32_CHARS.charAt(value >> bits & 31);
+            }
+        }
+
+        if (bits > 0) {
+            out += BASE32_CHARS.charAt(value << (5 - bits) & 31);
+        }
+
+        return out;
+    };
+
+    /**
+     * Decodes a base32 string, ignoring case, spaces and padding.
+     *
+     * @param {string} str    the base32 string
+     * @returns {Uint8Array}  the bytes
+     */
+    var fromBase32 = function(str) {
+        var clean = expectString(str).toUpperCase().replace(/[\s=-]+/g, '');
+        var bytes = [];
+        var bits  = 0;
+        var value = 0;
+
+        for (var i = 0; i < clean.length; i++) {
+            var index = BASE32_CHARS.indexOf(clean.charAt(i));
+            if (index < 0) {
+                throw new ValidationError('Invalid base32 secret.');
+            }
+
+            value = (value << 5 | index) & 0xffff;
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push(value >> bits & 255);
+            }
+        }
+
+        return new Uint8Array(bytes);
+    };
+
+    /**
+     * Validates the options of a TOTP secret, filling in the defaults of
+     * authenticator apps: 'SHA1', 6 digits and a 30 second period.
+     *
+     * @param {object} options  the options, or undefined
+     * @returns {object}        the 'algorithm', 'digits' and 'period'
+     */
+    var totpOptions = function(options) {
+        options = options || {};
+
+        var algorithm = (options.algorithm || 'SHA1').toUpperCase()
+            .replace('-', '');
+        if (!TOTP_ALGORITHMS.hasOwnProperty(algorithm)) {
+            throw new ValidationError('Unknown TOTP algorithm "' +
+                options.algorithm + '".');
+        }
+
+        return {
+            algorithm : algorithm,
+            digits    : typeof(options.digits) === 'undefined'
+                ? 6 : expectNumber(options.digits),
+            period    : typeof(options.period) === 'undefined'
+                ? 30 : expectNumber(options.period)
+        };
+    };
+
+    /**
+     * Computes the HOTP code of a counter as described in RFC 4226.
+     *
+     * @param {Uint8Array} key    the secret
+     * @param {number} counter    the counter
+     * @param {object} options    the validated TOTP options
+     * @returns {Promise}         promise for the code as a string
+     */
+    var hotp = function(key, counter, options) {
+        var subtle  = window.crypto.subtle;
+        var message = new Uint8Array(8);
+        for (var i = 7, c = counter; i >= 0; i--, c = Math.floor(c / 256)) {
+            message[i] = c & 255;
+        }
+
+        return subtle.importKey('raw', key, {
+            name : 'HMAC',
+            hash : TOTP_ALGORITHMS[options.algorithm]
+        }, false, ['sign']).then(function(cryptoKey) {
+            return subtle.sign('HMAC', cryptoKey, message);
+        }).then(function(signature) {
+            var mac    = new Uint8Array(signature);
+            var offset = mac[mac.length - 1] & 15;
+            var binary = (mac[offset] & 127) * 0x1000000 +
+                mac[offset + 1] * 0x10000 +
+                mac[offset + 2] * 0x100 +
+                mac[offset + 3];
+
+            var code = String(binary % Math.pow(10, options.digits));
+            while (code.length < options.digits) {
+                code = '0' + code;
+            }
+            return code;
+        });
+    };
+
+    /**
+     * Returns true if a string looks like a TOTP code, ignoring spaces.
+     *
+     * @param {string} code  the code
+     * @returns {boolean}    true if it has 6 to 8 digits, else false
+     */
+    var isTotpCode = function(code) {
+        return typeof(code) === 'string'
+            && /^\d{6,8}$/.test(code.replace(/\s+/g, ''));
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                                  OAuth                                 //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * The name of the popup window of an OAuth login. The callback page
+     * uses it to tell that it should hand the result to the opener.
+     */
+    var OAUTH_WINDOW = 'security.oauth';
+
+    /**
+     * Returns the unpadded base64url representation of some bytes, as
+     * used for the PKCE verifier and challenge.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer  the bytes
+     * @returns {string}                       the base64url string
+     */
+    var toBase64Url = function(buffer) {
+        return toBase64(buffer).replace(/\+/g, '-').replace(/\//g, '_')
+            .replace(/=+$/, '');
+    };
+
+    /**
+     * Generates a PKCE code verifier and its S256 challenge (RFC 7636).
+     *
+     * @returns {Promise}  promise for the 'verifier' and the 'challenge'
+     */
+    var createPkce = function() {
+        var verifier = toBase64Url(
+            window.crypto.getRandomValues(new Uint8Array(32)));
+
+        return window.crypto.subtle.digest('SHA-256', utf8Bytes(verifier))
+            .then(function(digest) {
+                return {verifier : verifier, challenge : toBase64Url(digest)};
+            });
+    };
+
+    /**
+     * Reads the result of an authorization request from the url that the
+     * provider redirected to. Both the query and the fragment are
+     * searched. If the url has neither a 'code' nor an 'error', null is
+     * returned.
+     *
+     * @param {string} url  the callback url
+     * @returns {object}    the 'code', 'state', 'error' and 'description'
+     */
+    var readCallback = function(url) {
+        var parsed = new URL(url, 'http://localhost');
+        var params = new URLSearchParams(parsed.search);
+
+        if (!params.has('code') && !params.has('error')) {
+            params = new URLSearchParams(parsed.hash.replace(/^#/, ''));
+            if (!params.has('code') && !params.has('error')) {
+                return null;
+            }
+        }
+
+        return {
+            code        : params.get('code'),
+            state       : params.get('state'),
+            error       : params.get('error'),
+            description : params.get('error_description')
+        };
+    };
+
+    /**
+     * Waits for the callback page in an OAuth popup to post its url back
+     * to this window. The promise rejects if the popup is closed first.
+     *
+     * @param {Window} popup       the popup window
+     * @param {AbortSignal} signal  aborts the wait, or null
+     * @returns {Promise}           promise for the callback url
+     */
+    var waitForPopup = function(popup, signal) {
+        return new Promise(function(resolve, reject) {
+            var timer = null;
+
+            var settle = function(action, value) {
+                window.removeEventListener('message', onMessage);
+                if (signal !== null) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (timer !== null) {
+                    clearTimer(timer);
+                    timer = null;
+                }
+                action(value);
+            };
+
+            var onMessage = function(event) {
+                if (event.source === popup
+                &&  event.origin === window.location.origin
+                &&  event.data !== null && typeof(event.data) === 'object'
+                &&  event.data.type === OAUTH_WINDOW) {
+                    settle(resolve, String(event.data.url));
+                }
+            };
+
+            var onAbort = function() {
+                popup.close();
+                settle(reject, new NetworkError('The OAuth login was ' +
+                    'aborted.', 'abort'));
+            };
+
+            var poll = function() {
+                timer = startTimer(function() {
+                    timer = null;
+                    if (popup.closed) {
+                        settle(reject, new AuthenticationError('The ' +
+                            'login window was closed.', 'OAUTH_CANCELLED'));
+                    } else {
+                        poll();
+                    }
+                }, 500);
+            };
+
+            window.addEventListener('message', onMessage);
+            if (signal !== null) {
+                if (signal.aborted) {
+                    return onAbort();
+                }
+                signal.addEventListener('abort', onAbort);
+            }
+            poll();
+        });
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                                 Retries                                //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * The default retry policy. Requests are only sent once unless the
+     * number of attempts is increased.
+     */
+    var DEFAULT_RETRY = {
+        attempts  : 1,
+        methods   : ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'],
+        statuses  : [0, 408, 429, 502, 503, 504],
+        baseDelay : 300,
+        maxDelay  : 30000
+    };
+
+    /**
+     * Merges the specified retry options into a policy. The options can
+     * be false to disable retries, a number of attempts or an object with
+     * any of the keys of the policy.
+     *
+     * @param {object} policy           the policy to start from
+     * @param {object|number} options   the options to merge
+     * @returns {object}                the merged policy
+     */
+    var mergeRetry = function(policy, options) {
+        var merged = {};
+
+        Object.keys(policy).forEach(function(key) {
+            merged[key] = policy[key];
+        });
+
+        if (options === false) {
+            merged.attempts = 1;
+        } else if (typeof(options) === 'number') {
+            merged.attempts = options;
+        } else if (options !== null && typeof(options) === 'object') {
+            Object.keys(policy).forEach(function(key) {
+                if (options.hasOwnProperty(key)) {
+                    merged[key] = options[key];
+                }
+            });
+        } else if (typeof(options) !== 'undefined') {
+            throw new ValidationError(
+                'Unexpected retry options "' + options + '".');
+        }
+
+        expectNumber(merged.attempts);
+        expectNumber(merged.baseDelay);
+        expectNumber(merged.maxDelay);
+        merged.methods = merged.methods.map(function(m) {
+            return expectString(m).toUpperCase();
+        });
+
+        return merged;
+    };
+
+    /**
+     * Parses the 'Retry-After' header of a response into a delay in
+     * milliseconds. The header can either be a number of seconds or a
+     * http date. If it is missing or invalid, null is returned.
+     *
+     * @param {HttpResponse} res  the response
+     * @returns {number}          the delay or null
+     */
+    var retryAfter = function(res) {
+        var value = res.headers['retry-after'];
+        if (typeof(value) !== 'string') {
+            return null;
+        }
+
+        if (/^\s*\d+\s*$/.test(value)) {
+            return parseInt(value, 10) * 1000;
+        }
+
+        var date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - clock.now());
+    };
+
+    /**
+     * Returns the number of milliseconds to wait before retrying a
+     * request, or -1 if it should not be retried. The delay grows
+     * exponentially with the attempt and has a random jitter, unless the
+     * server specified a 'Retry-After' header. If the server asks to wait
+     * longer than the maximum delay, the request is not retried.
+     *
+     * @param {object} policy     the retry policy
+     * @param {string} method     the request method
+     * @param {number} attempt    the attempt that just finished, from 1
+     * @param {HttpResponse} res  the response of the attempt
+     * @returns {number}          the delay in milliseconds or -1
+     */
+    var retryDelay = function(policy, method, attempt, res) {
+        if (attempt >= policy.attempts
+        ||  policy.methods.indexOf(method.toUpperCase()) < 0
+        ||  policy.statuses.indexOf(res.status) < 0
+        ||  res.failure === 'abort') {
+            return -1;
+        }
+
+        var after = retryAfter(res);
+        if (after !== null) {
+            return after > policy.maxDelay ? -1 : after;
+        }
+
+        var delay = Math.min(policy.maxDelay,
+            policy.baseDelay * Math.pow(2, attempt - 1));
+
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    };
+
+    /**
+     * Returns a promise that resolves after the specified delay, or
+     * rejects with a NetworkError if the signal aborts first.
+     *
+     * @param {number} ms           the delay in milliseconds
+     * @param {AbortSignal} signal  aborts the wait, or null
+     * @returns {Promise}           the promise
+     */
+    var wait = function(ms, signal) {
+        return new Promise(function(resolve, reject) {
+            var onAbort = function() {
+                clearTimer(timer);
+                reject(new NetworkError('The wait was aborted.', 'abort'));
+            };
+
+            var timer = startTimer(function() {
+                if (signal !== null) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal !== null) {
+                if (signal.aborted) {
+                    return onAbort();
+                }
+                signal.addEventListener('abort', onAbort);
+            }
+        });
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                              Offline Queue                             //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /*
+     * An offline queue is any object with the following methods, all
+     * returning promises:
+     * <ul>
+     *     <li>add(entry): Stores the entry and resolves to its new 'id'
+     *     <li>list():     Resolves to all entries in the order added
+     *     <li>remove(id): Removes the entry with the specified id
+     *     <li>clear():    Removes all entries
+     * </ul>
+     */
+
+    /**
+     * The methods that modify data on the server and are therefore queued
+     * while offline.
+     */
+    var MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+    /**
+     * Converts a request body into a value that can be stored in the
+     * offline queue. FormData can not be stored in IndexedDB, so the list
+     * of its entries is stored instead. Strings, Blobs, ArrayBuffers and
+     * typed arrays are stored as they are. Other bodies, like streams,
+     * can only be sent once and raise a ValidationError.
+     *
+     * @param {object} body  the request body
+     * @returns {object}     the storable body
+     */
+    var storableBody = function(body) {
+        if (body === null || typeof(body) === 'string') {
+            return body;
+        } else if (typeof(FormData) === 'function'
+               &&  body instanceof FormData) {
+            var entries = [];
+            body.forEach(function(value, name) {
+                entries.push([name, value]);
+            });
+            return {formData : entries};
+        } else if ((typeof(Blob) === 'function' && body instanceof Blob)
+               ||  (typeof(ArrayBuffer) === 'function'
+               &&  (body instanceof ArrayBuffer
+               ||   ArrayBuffer.isView(body)))) {
+            return body;
+        } else {
+            throw new ValidationError('The body of the request can not ' +
+                'be stored in the offline queue.');
+        }
+    };
+
+    /**
+     * Converts a body stored by storableBody() back into a request body.
+     *
+     * @param {object} stored  the stored body
+     * @returns {object}       the request body
+     */
+    var restoreBody = function(stored) {
+        if (stored === null || typeof(stored) !== 'object'
+        ||  !Array.isArray(stored.formData)) {
+            return stored;
+        }
+
+        var data = new FormData();
+        stored.formData.forEach(function(entry) {
+            data.append(entry[0], entry[1]);
+        });
+        return data;
+    };
+
+    /**
+     * Opens an IndexedDB database with a single object store, creating
+     * the store if the database is new.
+     *
+     * @param {string} name       the name of the database
+     * @param {string} storeName  the name of the object store
+     * @param {object} params     the parameters of the object store
+     * @returns {Promise}         promise for the IDBDatabase
+     */
+    var openDatabase = function(name, storeName, params) {
+        return new Promise(function(resolve, reject) {
+            var req = window.indexedDB.open(name, 1);
+            req.onupgradeneeded = function() {
+                req.result.createObjectStore(storeName, params);
+            };
+            req.onsuccess = function() {
+                resolve(req.result);
+            };
+            req.onerror = function() {
+                reject(new StorageError('Could not open the database "' +
+                    name + '".', 'STORAGE_ERROR', req.error));
+            };
+        });
+    };
+
+    /**
+     * Runs an action on an object store in a transaction. The promise
+     * resolves to the result of the request returned by the action once
+     * the transaction is complete. If the transaction can not be started
+     * or the action throws, for example because a value can not be
+     * cloned, the promise rejects with a StorageError.
+     *
+     * @param {Promise} db          promise for the IDBDatabase
+     * @param {string} storeName    the name of the object store
+     * @param {string} mode         'readonly' or 'readwrite'
+     * @param {function} action     invoked with the object store
+     * @returns {Promise}           promise for the result
+     */
+    var inTransaction = function(db, storeName, mode, action) {
+        return db.then(function(database) {
+            return new Promise(function(resolve, reject) {
+                var tx, req;
+
+                try {
+                    tx  = database.transaction(storeName, mode);
+                    req = action(tx.objectStore(storeName));
+                } catch (err) {
+                    if (typeof(tx) !== 'undefined') {
+                        tx.abort();
+                    }
+                    return reject(new StorageError('Transaction on "' +
+                        storeName + '" failed.', 'STORAGE_ERROR', err));
+                }
+
+                tx.oncomplete = function() {
+                    resolve(req.result);
+                };
+                tx.onerror = tx.onabort = function() {
+                    reject(new StorageError('Transaction on "' +
+                        storeName + '" failed.', 'STORAGE_ERROR',
+                        tx.error));
+                };
+            });
+        });
+    };
+
+    /**
+     * An offline queue that keeps the entries in memory. Used where
+     * IndexedDB is not available.
+     *
+     * @constructor
+     */
+    var MemoryQueue = function() {
+        this.entries = [];
+        this.nextId  = 1;
+    };
+
+    MemoryQueue.prototype.add = function(entry) {
+        entry.id = this.nextId++;
+        this.entries.push(entry);
+        return Promise.resolve(entry.id);
+    };
+
+    MemoryQueue.prototype.list = function() {
+        return Promise.resolve(this.entries.slice());
+    };
+
+    MemoryQueue.prototype.remove = function(id) {
+        this.entries = this.entries.filter(function(e) {
+            return e.id !== id;
+        });
+        return Promise.resolve();
+    };
+
+    MemoryQueue.prototype.clear = function() {
+        this.entries = [];
+        return Promise.resolve();
+    };
+
+    /**
+     * An offline queue that persists the entries in an IndexedDB
+     * database, so that they survive page reloads.
+     *
+     * @constructor
+     *
+     * @argument {string} name  the name of the database
+     */
+    var IndexedDbQueue = function(name) {
+        this.name = expectString(name);
+        this.db   = null;
+    };
+
+    /**
+     * Runs an action on the object store in a transaction, opening the
+     * database first if needed.
+     *
+     * @this {IndexedDbQueue}
+     * @argument {string} mode      'readonly' or 'readwrite'
+     * @argument {function} action  invoked with the object store
+     * @returns {Promise}           promise for the result
+     */
+    IndexedDbQueue.prototype.transaction = function(mode, action) {
+        var self = this;
+
+        if (this.db === null) {
+            this.db = openDatabase(this.name, 'requests', {
+                keyPath       : 'id',
+                autoIncrement : true
+            }).catch(function(err) {
+                self.db = null;
+                throw err;
+            });
+        }
+
+        return inTransaction(this.db, 'requests', mode, action);
+    };
+
+    IndexedDbQueue.prototype.add = function(entry) {
+        return this.transaction('readwrite', function(store) {
+            return store.add(entry);
+        });
+    };
+
+    IndexedDbQueue.prototype.list = function() {
+        return this.transaction('readonly', function(store) {
+            return store.getAll();
+        });
+    };
+
+    IndexedDbQueue.prototype.remove = function(id) {
+        return this.transaction('readwrite', function(store) {
+            return store.delete(id);
+        });
+    };
+
+    IndexedDbQueue.prototype.clear = function() {
+        return this.transaction('readwrite', function(store) {
+            return store.clear();
+        });
+    };
+
+    /**
+     * Resolves the specified queue option into an offline queue. If no
+     * queue is specified, an IndexedDbQueue with the specified name is
+     * used if IndexedDB is available, otherwise a MemoryQueue and the
+     * reason is passed to 'onWarning'.
+     *
+     * @param {object} option       a custom queue or undefined
+     * @param {string} name         the database name for the default
+     *                              queue
+     * @param {function} onWarning  invoked with a message if falling back
+     * @returns {object}            the offline queue
+     */
+    var resolveQueue = function(option, name, onWarning) {
+        if (typeof(option) === 'object' && option !== null) {
+            expectFunction(option.add);
+            expectFunction(option.list);
+            expectFunction(option.remove);
+            expectFunction(option.clear);
+            return option;
+        } else if (typeof(window.indexedDB) !== 'undefined') {
+            return new IndexedDbQueue(name);
+        } else {
+            onWarning('IndexedDB is not available. Offline requests ' +
+                'will only be kept in memory.');
+            return new MemoryQueue();
+        }
+    };
+
+    /**
+     * Returns true if the browser reports that it is offline.
+     *
+     * @returns {boolean}  true if offline, else false
+     */
+    var isOffline = function() {
+        return typeof(window.navigator) !== 'undefined'
+            && window.navigator.onLine === false;
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                            Encrypted Storage                           //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Decodes a base64 string into bytes.
+     *
+     * @param {string} b64    the base64 string
+     * @returns {Uint8Array}  the bytes
+     */
+    var fromBase64 = function(b64) {
+        var binary = decodeBase64(b64);
+        var bytes  = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+
+    /**
+     * Returns the AES-GCM key kept in the IndexedDB database with the
+     * specified name, generating and storing a new one if there is none.
+     * The key is not extractable, so it can only be used through
+     * WebCrypto and never read by scripts. If IndexedDB is not available,
+     * a key is generated that only lasts until the page is closed, and
+     * 'onWarning' is invoked.
+     *
+     * @param {string} name         the name of the database
+     * @param {function} onWarning  invoked with a message if falling back
+     * @returns {Promise}           promise for the CryptoKey
+     */
+    var loadStoredKey = function(name, onWarning) {
+        var generate = function() {
+            return window.crypto.subtle.generateKey(
+                {name : 'AES-GCM', length : 256}, false,
+                ['encrypt', 'decrypt']);
+        };
+
+        if (typeof(window.indexedDB) === 'undefined') {
+            onWarning('IndexedDB is not available. Encrypted ' +
+                'credentials will not survive a page reload.');
+            return generate();
+        }
+
+        var db = openDatabase(name, 'keys');
+        var get = function() {
+            return inTransaction(db, 'keys', 'readonly', function(store) {
+                return store.get('aes');
+            });
+        };
+
+        return get().then(function(key) {
+            if (typeof(key) !== 'undefined') {
+                return key;
+            }
+
+            return generate().then(function(created) {
+                return inTransaction(db, 'keys', 'readwrite',
+                    function(store) {
+                        return store.add(created, 'aes');
+                    }
+                ).then(function() {
+                    return created;
+                }, function() {
+                    // Another tab stored a key first.
+                    return get();
+                });
+            });
+        });
+    };
+
+    /**
+     * Derives an AES-GCM key from a PIN using PBKDF2 with SHA-256.
+     *
+     * @param {string} pin          the PIN or passphrase
+     * @param {Uint8Array} salt     the salt
+     * @param {number} iterations   the number of PBKDF2 iterations
+     * @returns {Promise}           promise for the CryptoKey
+     */
+    var derivePinKey = function(pin, salt, iterations) {
+        var subtle = window.crypto.subtle;
+        return subtle.importKey('raw', utf8Bytes(pin), 'PBKDF2', false,
+            ['deriveKey']
+        ).then(function(material) {
+            return subtle.deriveKey({
+                name       : 'PBKDF2',
+                salt       : salt,
+                iterations : iterations,
+                hash       : 'SHA-256'
+            }, material, {name : 'AES-GCM', length : 256}, false,
+                ['encrypt', 'decrypt']);
+        });
+    };
+
+    /**
+     * A storage adapter that encrypts every value with AES-GCM before
+     * passing it on to another adapter. By default the key is generated
+     * once and kept non-extractable in IndexedDB. If a PIN is specified,
+     * the key is instead derived from it. The options object can contain
+     * the following keys:
+     * <ul>
+     *     <li>options.name:       Name of the key database and prefix of
+     *                             the PIN salt (default 'security.keys')
+     *     <li>options.pin:        PIN to derive the key from
+     *     <li>options.iterations: PBKDF2 iterations (default 310000)
+     *     <li>options.onWarning:  Invoked with a message if a fallback
+     *                             is used, like a key that does not
+     *                             survive a reload
+     * </ul>
+     *
+     * Since WebCrypto is asynchronous, the values are decrypted into
+     * memory by .load() and written back in the background. If values
+     * can not be decrypted, because they or the key have been tampered
+     * with or the PIN is wrong, .load() rejects and they are kept, so
+     * that they can be loaded again with the right PIN.
+     *
+     * @constructor
+     *
+     * @argument {string|object} inner  the backend to store values in
+     * @argument {object} options       the encryption options
+     */
+    var EncryptedStorage = function(inner, options) {
+        options = options || {};
+        this.onWarning  = functionOr(options.onWarning, noop);
+        this.inner      = resolveStorage(inner, this.onWarning);
+        this.name       = options.name || 'security.keys';
+        this.pin        = options.pin;
+        this.iterations = options.iterations || 310000;
+        this.key        = null;
+        this.cache      = {};
+        this.versions   = {};
+        this.failures   = {};
+        this.pending    = Promise.resolve();
+
+        if (typeof(this.pin) !== 'undefined') {
+            expectString(this.pin);
+        }
+    };
+
+    /**
+     * Returns a promise for the encryption key, loading or deriving it
+     * the first time. If that fails, the promise rejects with a
+     * StorageError and the next call tries again.
+     *
+     * @this {EncryptedStorage}
+     * @returns {Promise}  promise for the CryptoKey
+     */
+    EncryptedStorage.prototype.getKey = function() {
+        var self = this;
+
+        if (this.key === null) {
+            if (typeof(this.pin) === 'undefined') {
+                this.key = loadStoredKey(this.name, this.onWarning);
+            } else {
+                var saltKey = this.name + '.salt';
+                var salt    = this.inner.get(saltKey);
+
+                if (salt === null) {
+                    salt = toBase64(window.crypto.getRandomValues(
+                        new Uint8Array(16)));
+                    this.inner.set(saltKey, salt);
+                }
+
+                this.key = derivePinKey(this.pin, fromBase64(salt),
+                    this.iterations);
+            }
+
+            this.key = this.key.catch(function(err) {
+                self.key = null;
+                throw new StorageError('The encryption key could not be ' +
+                    'loaded.', 'STORAGE_ERROR', err);
+            });
+        }
+
+        return this.key;
+    };
+
+    /**
+     * Encrypts a value stored under the specified key. The key is used as
+     * additional data, so that encrypted values can not be swapped.
+     *
+     * @this {EncryptedStorage}
+     * @argument {string} key    the storage key
+     * @argument {string} value  the plain value
+     * @returns {Promise}        promise for the encrypted value
+     */
+    EncryptedStorage.prototype.encrypt = function(key, value) {
+        var iv = window.crypto.getRandomValues(new Uint8Array(12));
+        return this.getKey().then(function(cryptoKey) {
+            return window.crypto.subtle.encrypt({
+                name           : 'AES-GCM',
+                iv             : iv,
+                additionalData : utf8Bytes(key)
+            }, cryptoKey, utf8Bytes(value));
+        }).then(function(cipher) {
+            return 'v1.' + toBase64(iv) + '.' + toBase64(cipher);
+        });
+    };
+
+    /**
+     * Decrypts a value previously encrypted by .encrypt(). The promise is
+     * rejected if the value is malformed or fails authentication.
+     *
+     * @this {EncryptedStorage}
+     * @argument {string} key     the storage key
+     * @argument {string} stored  the encrypted value
+     * @returns {Promise}         promise for the plain value
+     */
+    EncryptedStorage.prototype.decrypt = function(key, stored) {
+        var parts = stored.split('.');
+        if (parts.length !== 3 || parts[0] !== 'v1') {
+            return Promise.reject(new StorageError(
+                'Malformed encrypted value.', 'DECRYPTION_FAILED'));
+        }
+
+        return this.getKey().then(function(cryptoKey) {
+            return window.crypto.subtle.decrypt({
+                name           : 'AES-GCM',
+                iv             : fromBase64(parts[1]),
+                additionalData : utf8Bytes(key)
+            }, cryptoKey, fromBase64(parts[2]));
+        }).then(function(plain) {
+            return new TextDecoder().decode(plain);
+        });
+    };
+
+    /**
+     * Decrypts the values stored under the specified keys into memory. The
+     * keys are expected to belong together, so if any of the values can
+     * not be decrypted, none of them are loaded and the promise rejects
+     * with a StorageError. The stored values are left as they are.
+     *
+     * @this {EncryptedStorage}
+     * @argument {Array} keys  the storage keys to load
+     * @returns {Promise}      promise that resolves when loaded
+     */
+    EncryptedStorage.prototype.load = function(keys) {
+        var self = this;
+        return Promise.all(keys.map(function(key) {
+            var stored = self.inner.get(key);
+            if (stored === null) {
+                return null;
+            }
+
+            return self.decrypt(key, stored);
+        })).then(function(values) {
+            keys.forEach(function(key, i) {
+                if (values[i] === null) {
+                    delete self.cache[key];
+                } else {
+                    self.cache[key] = values[i];
+                }
+            });
+        }, function(err) {
+            throw err instanceof StorageError ? err : new StorageError(
+                'Stored values could not be decrypted.',
+                'DECRYPTION_FAILED', err);
+        });
+    };
+
+    EncryptedStorage.prototype.get = function(key) {
+        return this.cache.hasOwnProperty(key) ? this.cache[key] : null;
+    };
+
+    /**
+     * Sets the value right away and encrypts it into the underlying
+     * storage in the background. The returned promise rejects with a
+     * StorageError if the value could not be encrypted or written.
+     *
+     * @this {EncryptedStorage}
+     * @argument {string} key    the storage key
+     * @argument {string} value  the plain value
+     * @returns {Promise}        promise that resolves once written
+     */
+    EncryptedStorage.prototype.set = function(key, value) {
+        var self    = this;
+        var version = (this.versions[key] || 0) + 1;
+
+        this.cache[key]    = expectString(value);
+        this.versions[key] = version;
+
+        var write = this.pending.then(function() {
+            return self.encrypt(key, value);
+        }).then(function(encrypted) {
+            // Skip the write if the value changed in the meantime.
+            if (self.versions[key] === version) {
+                self.inner.set(key, encrypted);
+                delete self.failures[key];
+            }
+        }).catch(function(err) {
+            err = err instanceof StorageError ? err : new StorageError(
+                'The value of "' + key + '" could not be stored.',
+                'STORAGE_ERROR', err);
+
+            if (self.versions[key] === version) {
+                self.failures[key] = err;
+            }
+            throw err;
+        });
+
+        this.pending = write.catch(noop);
+        return write;
+    };
+
+    EncryptedStorage.prototype.remove = function(key) {
+        this.versions[key] = (this.versions[key] || 0) + 1;
+        delete this.cache[key];
+        delete this.failures[key];
+        this.inner.remove(key);
+    };
+
+    /**
+     * Returns a promise that resolves once all values have been written
+     * to the underlying storage. It rejects with a StorageError if the
+     * last value set for any key could not be written.
+     *
+     * @this {EncryptedStorage}
+     * @returns {Promise}  the promise
+     */
+    EncryptedStorage.prototype.flush = function() {
+        var self = this;
+        return this.pending.then(function() {
+            var keys = Object.keys(self.failures);
+            if (keys.length > 0) {
+                throw self.failures[keys[0]];
+            }
+        });
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                              Interceptors                              //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /*
+     * An interceptor is an object with any of the following methods:
+     * <ul>
+     *     <li>request(req): Invoked before a request is authenticated and
+     *         sent. May modify the 'method', 'url', 'headers' and 'body'
+     *         of the request, or return a new request object. Returning
+     *         an HttpResponse skips the network and uses that response.
+     *     <li>response(res, req): Invoked with every response, before it
+     *         is checked for success. May return a different response.
+     *     <li>error(err, req): Invoked if the request failed, either with
+     *         a HttpError for an error status, a NetworkError if there was
+     *         no response, or with the exception. Returning an
+     *         HttpResponse recovers from the failure. To
+     *         fail with a different reason, throw it.
+     * </ul>
+     * All methods may also return a promise. Interceptors are invoked in
+     * the order they were added.
+     */
+
+    /**
+     * Passes a request through the 'request' method of each interceptor.
+     * The returned promise resolves to either the final request or an
+     * HttpResponse if an interceptor short-circuited the chain.
+     *
+     * @param {Array} interceptors  the interceptors
+     * @param {object} req          the request
+     * @returns {Promise}           promise for the request or response
+     */
+    var interceptRequest = function(interceptors, req) {
+        return interceptors.reduce(function(chain, interceptor) {
+            if (typeof(interceptor.request) !== 'function') {
+                return chain;
+            }
+
+            return chain.then(function(current) {
+                if (current instanceof HttpResponse) {
+                    return current;
+                }
+
+                return Promise.resolve(interceptor.request(current))
+                    .then(function(result) {
+                        return typeof(result) === 'undefined'
+                            ? current : result;
+                    });
+            });
+        }, Promise.resolve(req));
+    };
+
+    /**
+     * Passes a response through the 'response' method of each
+     * interceptor.
+     *
+     * @param {Array} interceptors  the interceptors
+     * @param {HttpResponse} res    the response
+     * @param {object} req          the request
+     * @returns {Promise}           promise for the final response
+     */
+    var interceptResponse = function(interceptors, res, req) {
+        return interceptors.reduce(function(chain, interceptor) {
+            if (typeof(interceptor.response) !== 'function') {
+                return chain;
+            }
+
+            return chain.then(function(current) {
+                return Promise.resolve(interceptor.response(current, req))
+                    .then(function(result) {
+                        return typeof(result) === 'undefined'
+                            ? current : result;
+                    });
+            });
+        }, Promise.resolve(res));
+    };
+
+    /**
+     * Passes a failure through the 'error' method of each interceptor
+     * until one of them recovers by returning an HttpResponse. If none
+     * does, the returned promise is rejected with the last reason.
+     *
+     * @param {Array} interceptors  the interceptors
+     * @param {object} err          the reason of the failure
+     * @param {object} req          the request
+     * @returns {Promise}           promise for the recovered response
+     */
+    var interceptError = function(interceptors, err, req) {
+        return interceptors.reduce(function(chain, interceptor) {
+            if (typeof(interceptor.error) !== 'function') {
+                return chain;
+            }
+
+            return chain.catch(function(reason) {
+                return Promise.resolve(interceptor.error(reason, req))
+                    .then(function(result) {
+                        if (result instanceof HttpResponse) {
+                            return result;
+                        }
+                        throw reason;
+                    });
+            });
+        }, Promise.reject(err));
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                           Cross-Tab Messaging                          //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Opens a channel for messages between browser tabs of the same
+     * origin. A BroadcastChannel is used if available. Otherwise messages
+     * are passed through 'storage' events by briefly writing them to the
+     * local storage. The returned object has the methods 'post(message)'
+     * and 'close()'. If neither is supported, messages are dropped. In
+     * Node.js, the channel does not keep the process alive.
+     *
+     * @param {string} name          the channel name
+     * @param {function} onMessage   invoked with each received message
+     * @returns {object}             the channel
+     */
+    var openChannel = function(name, onMessage) {
+        if (typeof(window.BroadcastChannel) === 'function') {
+            var channel = new window.BroadcastChannel(name);
+            channel.onmessage = function(e) {
+                onMessage(e.data);
+            };
+
+            if (typeof(channel.unref) === 'function') {
+                channel.unref();
+            }
+
+            return {
+                post  : function(message) { channel.postMessage(message); },
+                close : function() { channel.close(); }
+            };
+        }
+
+        var storage;
+        try {
+            storage = window.localStorage;
+        } catch (e) {
+            storage = undefined;
+        }
+
+        if (typeof(window.addEventListener) === 'function'
+        &&  typeof(storage) !== 'undefined'
+        &&  WebStorage.isAvailable(storage)) {
+            var listener = function(e) {
+                if (e.key === name && typeof(e.newValue) === 'string') {
+                    try {
+                        onMessage(JSON.parse(e.newValue).message);
+                    } catch (ignored) {
+                        // Not a message from this library.
+                    }
+                }
+            };
+
+            window.addEventListener('storage', listener);
+
+            return {
+                post : function(message) {
+                    storage.setItem(name, JSON.stringify({
+                        message : message,
+                        nonce   : Date.now() + ':' + Math.random()
+                    }));
+                    storage.removeItem(name);
+                },
+                close : function() {
+                    window.removeEventListener('storage', listener);
+                }
+            };
+        }
+
+        return {post : noop, close : noop};
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                                 Testing                                //
+    ////////////////////////////////////////////////////////////////////////////
+
+    /*
+     * Tools for testing applications that use the module without a server
+     * or browser globals. They are exposed as 'Security.testing':
+     *
+     *     var server = new Security.testing.MockServer();
+     *     server.route('GET', '/login', {status : 200},
+     *         {auth : 'Basic'});
+     *
+     *     var security = Security.create({
+     *         name      : 'test',
+     *         transport : server,
+     *         storage   : new Security.testing.MemoryStorage(),
+     *         sync      : false
+     *     });
+     *
+     *     security.login('/login', {username : 'u', password : 'p'})
+     *         .then(function() {
+     *             server.recorder.expectAuthorization('Basic');
+     *         });
+     */
+
+    /**
+     * Raised by the testing tools if an expectation is not met. Has the
+     * 'actual' and the 'expected' value.
+     *
+     * @constructor
+     *
+     * @argument {string} message  a description of the failure
+     * @argument {object} actual   the actual value
+     * @argument {object} expected the expected value
+     */
+    var AssertionError = extendError(function(message, actual, expected) {
+        SecurityError.call(this, message, 'ASSERTION_FAILED');
+        this.actual   = actual;
+        this.expected = expected;
+    }, SecurityError, 'AssertionError');
+
+    /**
+     * Returns the value of a header regardless of the case of its name.
+     *
+     * @param {object} headers  the headers by name
+     * @param {string} name     the header name
+     * @returns {string}        the value, or null if not set
+     */
+    var headerValue = function(headers, name) {
+        var lower = name.toLowerCase();
+        var found = Object.keys(headers).filter(function(key) {
+            return key.toLowerCase() === lower;
+        });
+        return found.length === 0 ? null : String(headers[found[0]]);
+    };
+
+    /**
+     * Decodes the body of a recorded request into 'data': JSON is parsed,
+     * form-encoded bodies become objects and anything else is kept as is.
+     *
+     * @param {object} body     the request body
+     * @param {object} headers  the request headers
+     * @returns {object}        the decoded body
+     */
+    var requestData = function(body, headers) {
+        if (typeof(URLSearchParams) === 'function'
+        &&  body instanceof URLSearchParams) {
+            body = body.toString();
+        } else if (typeof(body) !== 'string') {
+            return typeof(body) === 'undefined' ? null : body;
+        }
+
+        var type = headerValue(headers, 'Content-Type') || '';
+        if (body === '') {
+            return null;
+        } else if (type.indexOf('x-www-form-urlencoded') >= 0) {
+            var data = {};
+            new URLSearchParams(body).forEach(function(value, name) {
+                data[name] = value;
+            });
+            return data;
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            return body;
+        }
+    };
+
+    /**
+     * Records the requests sent through it. If a transport is specified,
+     * the requests are passed on to it, so the recorder can be used as the
+     * 'transport' option to observe real requests. Each recorded request
+     * has the following fields:
+     * <ul>
+     *     <li>method:        The upper case method
+     *     <li>url:           The full url
+     *     <li>path:          The path of the url
+     *     <li>query:         The query parameters by name
+     *     <li>params:        Parameters matched by a MockServer route
+     *     <li>headers:       A copy of the headers
+     *     <li>authorization: The Authorization header, or null
+     *     <li>body:          The body as sent
+     *     <li>data:          The body decoded from JSON or a form
+     *     <li>time:          When it was sent, according to the clock
+     * </ul>
+     *
+     * @constructor
+     *
+     * @argument {string|object} transport  transport to send requests
+     *                                      with, or undefined
+     */
+    var RequestRecorder = function(transport) {
+        this.transport = typeof(transport) === 'undefined'
+            ? null : resolveTransport(transport);
+        this.requests  = [];
+    };
+
+    RequestRecorder.prototype.send = function(req) {
+        this.record(req);
+        return (this.transport || resolveTransport(null)).send(req);
+    };
+
+    /**
+     * Records a request.
+     *
+     * @this {RequestRecorder}
+     * @argument {object} req  the request passed to the transport
+     * @returns {object}       the recorded request
+     */
+    RequestRecorder.prototype.record = function(req) {
+        var url     = new URL(req.url, 'http://localhost');
+        var query   = {};
+        var headers = {};
+
+        url.searchParams.forEach(function(value, name) {
+            query[name] = value;
+        });
+
+        Object.keys(req.headers).forEach(function(name) {
+            headers[name] = req.headers[name];
+        });
+
+        var entry = {
+            method        : req.method.toUpperCase(),
+            url           : req.url,
+            path          : url.pathname,
+            query         : query,
+            params        : {},
+            headers       : headers,
+            authorization : headerValue(headers, 'Authorization'),
+            body          : req.body,
+            data          : requestData(req.body, headers),
+            time          : clock.now()
+        };
+
+        this.requests.push(entry);
+        return entry;
+    };
+
+    /**
+     * Returns a recorded request by index. Negative indexes count from the
+     * end, so -1 is the last request.
+     *
+     * @this {RequestRecorder}
+     * @argument {number} index  the index, or undefined for the last
+     * @returns {object}         the request, or null if there is none
+     */
+    RequestRecorder.prototype.at = function(index) {
+        var i = typeof(index) === 'number' ? index : -1;
+        var entry = this.requests[i < 0 ? this.requests.length + i : i];
+        return typeof(entry) === 'undefined' ? null : entry;
+    };
+
+    /**
+     * Returns the last recorded request, or null if there is none.
+     *
+     * @this {RequestRecorder}
+     * @returns {object}  the request
+     */
+    RequestRecorder.prototype.last = function() {
+        return this.at(-1);
+    };
+
+    /**
+     * Returns the recorded requests with the specified method and path.
+     * Either can be '*' to match any.
+     *
+     * @this {RequestRecorder}
+     * @argument {string} method  the method
+     * @argument {string} path    the path of the url
+     * @returns {Array}           the matching requests
+     */
+    RequestRecorder.prototype.find = function(method, path) {
+        var m = expectString(method).toUpperCase();
+        return this.requests.filter(function(entry) {
+            return (m === '*' || entry.method === m)
+                && (path === '*' || entry.path === path);
+        });
+    };
+
+    /**
+     * Forgets all recorded requests.
+     *
+     * @this {RequestRecorder}
+     * @returns {RequestRecorder}  this recorder
+     */
+    RequestRecorder.prototype.clear = function() {
+        this.requests = [];
+        return this;
+    };
+
+    /**
+     * Asserts that a recorded request was authorized. If 'expected' is a
+     * string, the Authorization header must either equal it or use it as
+     * the scheme, like 'Bearer'. It can also be a RegExp or a function
+     * that returns true if the header is acceptable.
+     *
+     * @this {RequestRecorder}
+     * @argument {string|RegExp|function} expected  the expected header,
+     *                                              or undefined for any
+     * @argument {number} index  the request index, default the last
+     * @returns {string}         the Authorization header
+     * @throws {AssertionError}  if the header is missing or unexpected
+     */
+    RequestRecorder.prototype.expectAuthorization = function(expected,
+            index) {
+        var entry  = this.expectRequest(index);
+        var actual = entry.authorization;
+        var ok;
+
+        if (actual === null) {
+            ok = false;
+        } else if (typeof(expected) === 'undefined') {
+            ok = true;
+        } else if (typeof(expected) === 'string') {
+            ok = actual === expected || actual.toLowerCase()
+                .indexOf(expected.toLowerCase() + ' ') === 0;
+        } else if (expected instanceof RegExp) {
+            ok = expected.test(actual);
+        } else {
+            ok = expectFunction(expected)(actual, entry) === true;
+        }
+
+        if (!ok) {
+            throw new AssertionError('Expected ' + entry.method + ' ' +
+                entry.url + ' to be authorized' +
+                (typeof(expected) === 'string' ? ' with "' + expected +
+                '"' : '') + ', but the Authorization header was ' +
+                (actual === null ? 'missing' : '"' + actual + '"') + '.',
+                actual, expected);
+        }
+
+        return actual;
+    };
+
+    /**
+     * Asserts that a recorded request was sent without an Authorization
+     * header.
+     *
+     * @this {RequestRecorder}
+     * @argument {number} index  the request index, default the last
+     * @returns {undefined}
+     * @throws {AssertionError}  if the header is present
+     */
+    RequestRecorder.prototype.expectNoAuthorization = function(index) {
+        var entry = this.expectRequest(index);
+        if (entry.authorization !== null) {
+            throw new AssertionError('Expected ' + entry.method + ' ' +
+                entry.url + ' not to be authorized, but the Authorization ' +
+                'header was "' + entry.authorization + '".',
+                entry.authorization, null);
+        }
+    };
+
+    /**
+     * Returns a recorded request by index, asserting that it exists.
+     *
+     * @this {RequestRecorder}
+     * @argument {number} index  the request index, default the last
+     * @returns {object}         the request
+     * @throws {AssertionError}  if there is no such request
+     */
+    RequestRecorder.prototype.expectRequest = function(index) {
+        var entry = this.at(index);
+        if (entry === null) {
+            throw new AssertionError('Expected a request at index ' +
+                (typeof(index) === 'number' ? index : -1) + ', but ' +
+                this.requests.length + ' were recorded.',
+                this.requests.length, index);
+        }
+        return entry;
+    };
+
+    /**
+     * Compiles a route path into a regular expression. Segments like ':id'
+     * match one path segment and are captured by name, and '*' matches
+     * anything. Paths with a protocol are matched against the full url
+     * without the query, other paths only against the path.
+     *
+     * @param {string} path  the route path
+     * @returns {object}     the 'regex', parameter 'names' and whether
+     *                       it is 'absolute'
+     */
+    var compileRoute = function(path) {
+        var names  = [];
+        var source = path.split(/(:[A-Za-z_]\w*|\*)/).map(function(part) {
+            if (part === '*') {
+                return '.*';
+            } else if (part.charAt(0) === ':') {
+                names.push(part.substring(1));
+                return '([^/]+)';
+            } else {
+                return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }).join('');
+
+        return {
+            regex    : new RegExp('^' + source + '$'),
+            names    : names,
+            absolute : path.indexOf('://') >= 0
+        };
+    };
+
+    /**
+     * Encodes the body of a mocked response as text, setting the
+     * Content-Type if not specified.
+     *
+     * @param {object} body     the body, or undefined for none
+     * @param {object} headers  the response headers by lower case name
+     * @returns {string}        the encoded body
+     */
+    var mockBody = function(body, headers) {
+        if (typeof(body) === 'undefined' || body === null) {
+            return '';
+        } else if (typeof(body) === 'string') {
+            headers['content-type'] = headers['content-type'] ||
+                'text/plain;charset=UTF-8';
+            return body;
+        } else {
+            headers['content-type'] = headers['content-type'] ||
+                'application/json';
+            return JSON.stringify(body);
+        }
+    };
+
+    /**
+     * A scriptable in-memory server that can be used as the 'transport'
+     * option. Responses are set up with .route() and every request is kept
+     * in the 'recorder'. Requests that match no route get a 404 response.
+     * The options object can contain the following key:
+     * <ul>
+     *     <li>options.delay: Default milliseconds before responding
+     * </ul>
+     *
+     * The delays are scheduled on the module clock, so they can be skipped
+     * with an installed FakeClock.
+     *
+     * @constructor
+     *
+     * @argument {object} options  the options, or undefined
+     */
+    var MockServer = function(options) {
+        options = options || {};
+        this.routes   = [];
+        this.delay    = typeof(options.delay) === 'undefined'
+            ? 0 : expectNumber(options.delay);
+        this.recorder = new RequestRecorder();
+    };
+
+    /**
+     * Adds a route. The response is either an object or a function that
+     * takes the recorded request, with any ':name' segments of the path in
+     * 'params', and returns an object or a promise for one. The object can
+     * have the following keys:
+     * <ul>
+     *     <li>status:  The status code (default 200)
+     *     <li>body:    The body. Strings are sent as text, anything else
+     *                  as JSON
+     *     <li>headers: The response headers
+     *     <li>delay:   Milliseconds before responding
+     *     <li>failure: 'network' to fail without a response
+     * </ul>
+     *
+     * The options object can contain the following keys:
+     * <ul>
+     *     <li>options.auth:  Requires the request to be authorized, or it
+     *                        gets a 401 response. Either true for any
+     *                        Authorization header, the required scheme
+     *                        like 'Bearer', or a function that takes the
+     *                        header and the request and returns true if
+     *                        it is accepted
+     *     <li>options.times: How many requests the route answers before
+     *                        it is removed (default unlimited)
+     * </ul>
+     *
+     * Routes are tried in the order they were added.
+     *
+     * @this {MockServer}
+     * @argument {string} method           the method, or '*' for any
+     * @argument {string} path             the path, like '/users/:id'
+     * @argument {object|function} response the response
+     * @argument {object} options          the options, or undefined
+     * @returns {MockServer}               this server
+     */
+    MockServer.prototype.route = function(method, path, response, options) {
+        options = options || {};
+
+        if (typeof(response) !== 'function'
+        &&  (typeof(response) !== 'object' || response === null)) {
+            throw new ValidationError('Expected the response to be an ' +
+                'object or a function.');
+        }
+
+        this.routes.push({
+            method   : expectString(method).toUpperCase(),
+            pattern  : compileRoute(expectString(path)),
+            response : response,
+            auth     : typeof(options.auth) === 'undefined'
+                ? null : options.auth,
+            times    : typeof(options.times) === 'undefined'
+                ? Infinity : expectNumber(options.times)
+        });
+
+        return this;
+    };
+
+    /**
+     * Removes all routes and recorded requests.
+     *
+     * @this {MockServer}
+     * @returns {MockServer}  this server
+     */
+    MockServer.prototype.reset = function() {
+        this.routes = [];
+        this.recorder.clear();
+        return this;
+    };
+
+    /**
+     * Returns the first route that matches the specified request, filling
+     * in its 'params', or null if none matches.
+     *
+     * @this {MockServer}
+     * @argument {object} entry  the recorded request
+     * @returns {object}         the route, or null
+     */
+    MockServer.prototype.match = function(entry) {
+        var url = new URL(entry.url, 'http://localhost');
+
+        for (var i = 0; i < this.routes.length; i++) {
+            var route = this.routes[i];
+            if (route.method !== '*' && route.method !== entry.method) {
+                continue;
+            }
+
+            var target = route.pattern.absolute
+                ? url.origin + url.pathname : url.pathname;
+            var found  = route.pattern.regex.exec(target);
+            if (found === null) {
+                continue;
+            }
+
+            route.pattern.names.forEach(function(name, j) {
+                entry.params[name] = decodeURIComponent(found[j + 1]);
+            });
+
+            if (--route.times <= 0) {
+                this.routes.splice(i, 1);
+            }
+
+            return route;
+        }
+
+        return null;
+    };
+
+    /**
+     * Returns true if the recorded request passes the authorization check
+     * of a route.
+     *
+     * @param {object} auth   the 'auth' option of the route, or null
+     * @param {object} entry  the recorded request
+     * @returns {boolean}     true if authorized, else false
+     */
+    var isAuthorized = function(auth, entry) {
+        var header = entry.authorization;
+        if (auth === null || auth === false) {
+            return true;
+        } else if (header === null) {
+            return false;
+        } else if (auth === true) {
+            return true;
+        } else if (typeof(auth) === 'string') {
+            return header.toLowerCase().indexOf(auth.toLowerCase() + ' ')
+                === 0;
+        } else {
+            return expectFunction(auth)(header, entry) === true;
+        }
+    };
+
+    MockServer.prototype.send = function(req) {
+        var self  = this;
+        var entry = this.recorder.record(req);
+        var route = this.match(entry);
+        var timer = null;
+
+        var promise = Promise.resolve().then(function() {
+            if (route === null) {
+                return {status : 404, body : {error : 'Not Found'}};
+            } else if (!isAuthorized(route.auth, entry)) {
+                return {status : 401, body : {error : 'Unauthorized'}};
+            } else if (typeof(route.response) === 'function') {
+                return route.response(entry);
+            } else {
+                return route.response;
+            }
+        }).then(function(spec) {
+            spec = spec || {};
+
+            var delay = typeof(spec.delay) === 'number'
+                ? spec.delay : self.delay;
+
+            return new Promise(function(resolve) {
+                timer = startTimer(resolve, delay);
+            }).then(function() {
+                if (spec.failure) {
+                    return HttpResponse.failed(spec.failure, 'Request to "' +
+                        req.url + '" failed due to a mocked ' +
+                        spec.failure + ' error.');
+                }
+
+                var status  = typeof(spec.status) === 'number'
+                    ? spec.status : 200;
+                var headers = {};
+                Object.keys(spec.headers || {}).forEach(function(name) {
+                    headers[name.toLowerCase()] = String(spec.headers[name]);
+                });
+
+                var text = mockBody(spec.body, headers);
+                return new HttpResponse(decodeBody(text, status, headers,
+                    req.responseType), status, headers);
+            });
+        });
+
+        promise.abort = function() {
+            if (timer !== null) {
+                clearTimer(timer);
+            }
+        };
+
+        return promise;
+    };
+
+    /**
+     * Resolves once the pending promise callbacks have run, using a real
+     * timer even if a FakeClock is installed.
+     *
+     * @returns {Promise}  promise resolved on the next turn
+     */
+    var flushPromises = function() {
+        return new Promise(function(resolve) {
+            SYSTEM_CLOCK.setTimeout(resolve, 0);
+        });
+    };
+
+    /**
+     * A clock that only moves when told to. Once installed, it is used
+     * for all timestamps, session expiry, token refresh, request timeouts,
+     * retry delays and MockServer delays in the module, across all
+     * instances.
+     *
+     * @constructor
+     *
+     * @argument {number} now  the start time in milliseconds since the
+     *                         epoch (default the current time)
+     */
+    var FakeClock = function(now) {
+        this.time   = typeof(now) === 'undefined' ? Date.now()
+            : expectNumber(now);
+        this.timers = [];
+        this.nextId = 1;
+    };
+
+    FakeClock.prototype.now = function() {
+        return this.time;
+    };
+
+    FakeClock.prototype.setTimeout = function(f, ms) {
+        var id = this.nextId++;
+        this.timers.push({
+            id : id,
+            at : this.time + Math.max(0, Number(ms) || 0),
+            f  : f
+        });
+        return id;
+    };
+
+    FakeClock.prototype.clearTimeout = function(id) {
+        this.timers = this.timers.filter(function(timer) {
+            return timer.id !== id;
+        });
+    };
+
+    /**
+     * Makes the module use this clock. Timers that were started on the
+     * previous clock are still cancelled on that clock.
+     *
+     * @this {FakeClock}
+     * @returns {FakeClock}  this clock
+     */
+    FakeClock.prototype.install = function() {
+        clock = this;
+        return this;
+    };
+
+    /**
+     * Makes the module use the real clock again.
+     *
+     * @this {FakeClock}
+     * @returns {FakeClock}  this clock
+     */
+    FakeClock.prototype.uninstall = function() {
+        if (clock === this) {
+            clock = SYSTEM_CLOCK;
+        }
+        return this;
+    };
+
+    /**
+     * Returns the number of timers that have not fired yet.
+     *
+     * @this {FakeClock}
+     * @returns {number}  the number of pending timers
+     */
+    FakeClock.prototype.pending = function() {
+        return this.timers.length;
+    };
+
+    /**
+     * Moves the clock forward, firing the timers that become due in order.
+     * Pending promise callbacks are run before each timer, so that timers
+     * scheduled as a result of earlier ones also fire if they are due.
+     *
+     * @this {FakeClock}
+     * @argument {number} ms  the milliseconds to move forward
+     * @returns {Promise}     promise resolved once all due timers fired
+     */
+    FakeClock.prototype.tick = function(ms) {
+        var self   = this;
+        var target = this.time + expectNumber(ms);
+
+        var step = function() {
+            return flushPromises().then(function() {
+                var due = self.timers.filter(function(timer) {
+                    return timer.at <= target;
+                }).sort(function(a, b) {
+                    return a.at - b.at || a.id - b.id;
+                })[0];
+
+                if (typeof(due) === 'undefined') {
+                    self.time = target;
+                    return flushPromises();
+                }
+
+                self.clearTimeout(due.id);
+                self.time = due.at;
+                due.f();
+                return step();
+            });
+        };
+
+        return step();
+    };
+
+    ////////////////////////////////////////////////////////////////////////////
+    //                                Constructor                             //
+    ////////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Instances of the login service by name, including the default one
+     * exposed as 'window.Security'.
+     */
+    var instances = {};
+
+    /**
+     * The name of the currently selected account.
+     */
+    var currentName = 'default';
+
+    /**
+     * Creates an instance of the login service. Each instance has its own
+     * credentials, storage namespace and configuration. Use
+     * Security.create() to create new instances.
+     *
+     * @constructor
+     *
+     * @argument {string} name  the name of the instance
+     */
+    var Security = function(name) {
+        this.name             = name;
+        this.baseUrl          = null;
+        this.username         = null;
+        this.password         = null;
+        this.token            = null;
+        this.roles            = [];
+        this.permissions      = [];
+        this.remember         = false;
+        this.mode             = 'basic';
+        this.scheme           = 'basic';
+        this.authScheme       = null;
+        this.bearerScheme     = new BearerScheme();
+        this.srpScheme        = new HmacScheme();
+        this.namespace        = 'security';
+        this.localStore       = null;
+        this.sessionStore     = null;
+        this.ready            = null;
+        this.refreshTimer     = null;
+        this.refreshing       = null;
+        this.listeners        = {};
+        this.started          = null;
+        this.lastActivity     = null;
+        this.lastPersist      = 0;
+        this.expiryTimer      = null;
+        this.warned           = false;
+        this.onActivity       = null;
+        this.interceptors     = [];
+        this.reauthHandler    = null;
+        this.reauthenticating = null;
+        this.retryPolicy      = DEFAULT_RETRY;
+        this.requestTimeout   = null;
+        this.transport        = null;
+        this.offline          = null;
+        this.queue            = null;
+        this.onOnline         = null;
+        this.replaying        = null;
+        this.timeouts         = {
+            idle      : null,
+            absolute  : null,
+            warning   : 60,
+            onWarning : null
+        };
+        this.channel          = null;
+        this.sync             = typeof(window.document) !== 'undefined';
+        this.syncing          = false;
+        this.tokenOptions     = {
+            refreshUrl        : null,
+            accessTokenField  : 'access_token',
+            refreshTokenField : 'refresh_token',
+            expiresInField    : 'expires_in',
+            refreshMargin     : 30
+        };
+        this.claimOptions     = {
+            rolesField       : 'roles',
+            permissionsField : 'permissions',
+            scopeField       : 'scope',
+            extract          : null
+        };
+        this.guards           = {requests : [], routes : []};
+        this.mfaOptions       = {
+            requiredField : 'mfa_required',
+            typeField     : 'mfa_type',
+            tokenField    : 'mfa_token',
+            url           : null
+        };
+    };
+    
+    /**
+     * The 'Security' namespace. These methods are part of the public API.
+     */
+    Security.prototype = {
+        constructor : Security,
+
+        ////////////////////////////////////////////////////////////////////////
+        //                            Configuration                           //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Configures the login service. The options object can contain
+         * the following keys:
+         * <ul>
+         *     <li>options.mode:          Either 'basic' (default), 'token'
+         *                                or 'srp'
+         *     <li>options.token:         Options for the 'token' mode
+         *     <li>options.scheme:        Name of the authentication scheme
+         *                                to use in the 'basic' mode
+         *     <li>options.schemeOptions: Options passed to the scheme
+         *     <li>options.timeouts:      Options for session expiry
+         *     <li>options.reauthenticate: Invoked when a request gets a
+         *                                401 response (see
+         *                                .reauthenticate())
+         *     <li>options.retry:         The default retry policy (see
+         *                                .configureRetry())
+         *     <li>options.offline:       Options for the offline queue
+         *                                (see .configureOffline())
+         *     <li>options.baseUrl:       Url that relative urls are
+         *                                resolved against
+         *     <li>options.requestTimeout: Default timeout of requests in
+         *                                milliseconds (default none)
+         *     <li>options.transport:     'xhr', 'fetch', 'node' or an
+         *                                object with a 'send(req)' method
+         *                                (default depends on environment)
+         *     <li>options.mfa:           How second factors are asked for
+         *                                (see .configureMfa())
+         *     <li>options.claims:        Where roles and permissions are
+         *                                read from (see
+         *                                .configureClaims())
+         *     <li>options.guards:        Rules that block requests and
+         *                                routes (see .configureGuards())
+         * </ul>
+         *
+         * The built-in schemes are 'basic' (default), 'digest' and
+         * 'hmac'. More can be added using .registerScheme().
+         * <p>
+         * If 'options.sync' is true, logins and logouts are synchronized
+         * with other browser tabs. It defaults to true in browsers and to
+         * false elsewhere. The channel is held until .synchronize(false)
+         * or .destroy() is called. If any of the storage options is set,
+         * the options are also passed on to .configureStorage().
+         *
+         * @param {object} options  the options
+         * @returns {Security}      this instance
+         */
+        configure : function(options) {
+            options = options || {};
+
+            if (typeof(options.mode) !== 'undefined') {
+                if (['basic', 'token', 'srp'].indexOf(options.mode) < 0) {
+                    throw new ValidationError('Unknown mode "' +
+                        options.mode + '".', 'UNKNOWN_MODE');
+                }
+                this.mode = options.mode;
+            }
+
+            if (typeof(options.token) !== 'undefined') {
+                this.configureTokens(options.token);
+            }
+
+            if (typeof(options.timeouts) !== 'undefined') {
+                this.configureTimeouts(options.timeouts);
+            }
+
+            if (typeof(options.mfa) !== 'undefined') {
+                this.configureMfa(options.mfa);
+            }
+
+            if (typeof(options.claims) !== 'undefined') {
+                this.configureClaims(options.claims);
+            }
+
+            if (typeof(options.guards) !== 'undefined') {
+                this.configureGuards(options.guards);
+            }
+
+            if (typeof(options.retry) !== 'undefined') {
+                this.configureRetry(options.retry);
+            }
+
+            if (typeof(options.offline) !== 'undefined') {
+                this.configureOffline(options.offline);
+            }
+
+            if (typeof(options.reauthenticate) !== 'undefined') {
+                this.reauthHandler = options.reauthenticate === null
+                    ? null : expectFunction(options.reauthenticate);
+            }
+
+            if (typeof(options.scheme) !== 'undefined'
+            ||  this.authScheme === null) {
+                this.authScheme = createScheme(
+                    options.scheme || this.scheme, options.schemeOptions);
+                this.scheme = options.scheme || this.scheme;
+            }
+
+            if (typeof(options.sync) !== 'undefined') {
+                this.sync = booleanOr(options.sync,
+                    typeof(window.document) !== 'undefined');
+            }
+
+            if (typeof(options.requestTimeout) !== 'undefined') {
+                this.requestTimeout = options.requestTimeout === null
+                    ? null : expectNumber(options.requestTimeout);
+            }
+
+            if (typeof(options.transport) !== 'undefined') {
+                this.transport = options.transport === null
+                    ? null : resolveTransport(options.transport);
+            }
+
+            if (typeof(options.baseUrl) !== 'undefined') {
+                this.baseUrl = options.baseUrl === null
+                    ? null : expectString(options.baseUrl);
+            }
+
+            if (this.localStore === null
+            ||  typeof(options.namespace) !== 'undefined'
+            ||  typeof(options.storage) !== 'undefined'
+            ||  typeof(options.sessionStorage) !== 'undefined') {
+                this.configureStorage(options);
+                return this.synchronize(this.sync);
+            } else if (typeof(options.sync) !== 'undefined') {
+                return this.synchronize(this.sync);
+            } else {
+                return this;
+            }
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                                 Errors                             //
+        ////////////////////////////////////////////////////////////////////////
+        SecurityError       : SecurityError,
+        ValidationError     : ValidationError,
+        AuthenticationError : AuthenticationError,
+        NetworkError        : NetworkError,
+        HttpError           : HttpError,
+        StorageError        : StorageError,
+        AuthorizationError  : AuthorizationError,
+
+        ////////////////////////////////////////////////////////////////////////
+        //                               Transports                           //
+        ////////////////////////////////////////////////////////////////////////
+        XhrTransport        : XhrTransport,
+        FetchTransport      : FetchTransport,
+        NodeTransport       : NodeTransport,
+
+        ////////////////////////////////////////////////////////////////////////
+        //                                Testing                             //
+        ////////////////////////////////////////////////////////////////////////
+        testing : {
+            MockServer      : MockServer,
+            RequestRecorder : RequestRecorder,
+            MemoryStorage   : MemoryStorage,
+            FakeClock       : FakeClock,
+            AssertionError  : AssertionError
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                               Instances                            //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Creates a new instance of the login service, isolated from this
+         * one. The options object is passed on to .configure() of the new
+         * instance and must contain the following key:
+         * <ul>
+         *     <li>options.name: Unique name of the instance
+         * </ul>
+         *
+         * Unless 'options.namespace' is set, the credentials of the new
+         * instance are stored under the namespace 'security.' followed by
+         * the name. Call .start() on the returned instance to load them.
+         *
+         * @param {object} options  the options
+         * @returns {Security}      the new instance
+         */
+        create : function(options) {
+            options = options || {};
+            var name = expectString(options.name);
+
+            if (instances.hasOwnProperty(name)) {
+                throw new ValidationError('An instance named "' + name +
+                    '" already exists.', 'DUPLICATE_INSTANCE');
+            }
+
+            var config = {};
+            Object.keys(options).forEach(function(key) {
+                config[key] = options[key];
+            });
+
+            if (typeof(config.namespace) === 'undefined') {
+                config.namespace = 'security.' + name;
+            }
+
+            var instance = new Security(name);
+            instance.configure(config);
+            instances[name] = instance;
+            return instance;
+        },
+
+        /**
+         * Returns the instance with the specified name, or null if there
+         * is none. The default instance is named 'default'.
+         *
+         * @param {string} name  the name of the instance
+         * @returns {Security}   the instance, or null
+         */
+        getInstance : function(name) {
+            return instances.hasOwnProperty(name) ? instances[name] : null;
+        },
+
+        /**
+         * Returns the accounts managed by this page, one for each
+         * instance. Each account is an object with the 'name' of the
+         * instance, the 'username' if logged in, 'loggedIn' and 'current'
+         * to tell if it is the selected account.
+         *
+         * @returns {Array}  the accounts
+         */
+        accounts : function() {
+            return Object.keys(instances).map(function(name) {
+                var instance = instances[name];
+                return {
+                    name     : name,
+                    username : instance.username,
+                    loggedIn : instance.isLoggedIn(),
+                    current  : name === currentName
+                };
+            });
+        },
+
+        /**
+         * Returns the instance of the selected account. Initially this is
+         * the default instance.
+         *
+         * @returns {Security}  the selected instance
+         */
+        currentAccount : function() {
+            return instances[currentName];
+        },
+
+        /**
+         * Selects the account of the instance with the specified name. A
+         * 'switch' event is emitted on the default instance with the
+         * 'account' switched to and the 'previous' one.
+         *
+         * @param {string} name  the name of the instance
+         * @returns {Security}   the selected instance
+         */
+        switchAccount : function(name) {
+            if (!instances.hasOwnProperty(expectString(name))) {
+                throw new ValidationError('No instance named "' + name +
+                    '".', 'UNKNOWN_INSTANCE');
+            }
+
+            var previous = currentName;
+            currentName  = name;
+
+            if (previous !== name) {
+                instances['default'].emit('switch', {
+                    account  : name,
+                    previous : previous,
+                    username : instances[name].username
+                });
+            }
+
+            return instances[name];
+        },
+
+        /**
+         * Stops all timers and listeners of this instance and removes it
+         * from the accounts. Stored credentials are left as they are, so
+         * use .logout() first to remove them. The default instance can
+         * not be destroyed.
+         *
+         * @returns {Security}  this instance
+         */
+        destroy : function() {
+            if (this.name === 'default') {
+                throw new ValidationError(
+                    'The default instance can not be destroyed.',
+                    'INVALID_OPERATION');
+            }
+
+            if (this.refreshTimer !== null) {
+                clearTimer(this.refreshTimer);
+                this.refreshTimer = null;
+            }
+
+            if (this.expiryTimer !== null) {
+                clearTimer(this.expiryTimer);
+                this.expiryTimer = null;
+            }
+
+            this.watchActivity(false);
+            this.synchronize(false);
+            this.configureOffline(false);
+            this.listeners = {};
+
+            if (instances[this.name] === this) {
+                delete instances[this.name];
+                if (currentName === this.name) {
+                    this.switchAccount('default');
+                }
+            }
+
+            return this;
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                            Session Expiry                          //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Configures when the session of a logged in user expires. The
+         * options object can contain the following keys, all in seconds:
+         * <ul>
+         *     <li>options.idle:      Logout after this long without any
+         *                            activity (default never)
+         *     <li>options.absolute:  Logout this long after the login, no
+         *                            matter the activity (default never)
+         *     <li>options.warning:   Warn this long before the session
+         *                            expires (default 60)
+         *     <li>options.onWarning: Invoked with the remaining seconds
+         *                            and a function that extends the
+         *                            session when it is about to expire
+         * </ul>
+         *
+         * Mouse, keyboard, scroll and touch events as well as requests
+         * made through .send() count as activity. The login and activity
+         * times are stored with the credentials, so a remembered session
+         * also expires while the page is closed. When the session expires,
+         * an 'expired' event is emitted and the user is logged out.
+         *
+         * @param {object} options  the timeout options
+         * @returns {Security}      this instance
+         */
+        configureTimeouts : function(options) {
+            var merged = mergeOptions(this.timeouts, options);
+
+            if (merged.idle !== null) {
+                expectNumber(merged.idle);
+            }
+            if (merged.absolute !== null) {
+                expectNumber(merged.absolute);
+            }
+            expectNumber(merged.warning);
+            if (merged.onWarning !== null) {
+                expectFunction(merged.onWarning);
+            }
+
+            this.timeouts = merged;
+            return this.scheduleExpiry();
+        },
+
+        /**
+         * Returns the time in milliseconds when the current session will
+         * expire unless there is more activity, or null if it never will.
+         *
+         * @returns {number}  the expiry time or null
+         */
+        getExpiry : function() {
+            var expiry = null;
+
+            if (this.timeouts.idle !== null && this.lastActivity !== null) {
+                expiry = this.lastActivity + this.timeouts.idle * 1000;
+            }
+
+            if (this.timeouts.absolute !== null && this.started !== null) {
+                var hard = this.started + this.timeouts.absolute * 1000;
+                expiry = expiry === null ? hard : Math.min(expiry, hard);
+            }
+
+            return expiry;
+        },
+
+        /**
+         * Records user activity, postponing the idle timeout. The time is
+         * written to the storage at most every few seconds.
+         *
+         * @returns {Security}  this instance
+         */
+        touch : function() {
+            if (!this.isLoggedIn()) {
+                return this;
+            }
+
+            var now = clock.now();
+            this.lastActivity = now;
+
+            if (now - this.lastPersist > 5000 && this.persistsSession()) {
+                this.lastPersist = now;
+                this.currentStore().set(
+                    this.namespace + '.active', String(now));
+            }
+
+            if (this.warned) {
+                this.warned = false;
+                this.scheduleExpiry();
+            }
+
+            return this;
+        },
+
+        /**
+         * Extends the current session by recording activity. The absolute
+         * lifetime of the session can not be extended.
+         *
+         * @returns {Security}  this instance
+         */
+        extendSession : function() {
+            this.lastPersist = 0;
+            this.touch();
+            return this.scheduleExpiry();
+        },
+
+        /**
+         * Checks if the current session has expired, logging out if so.
+         * Otherwise the user is warned if the session is about to expire
+         * and the next check is scheduled.
+         *
+         * @returns {Security}  this instance
+         */
+        scheduleExpiry : function() {
+            var self = this;
+
+            if (this.expiryTimer !== null) {
+                clearTimer(this.expiryTimer);
+                this.expiryTimer = null;
+            }
+
+            if (!this.isLoggedIn()) {
+                return this.watchActivity(false);
+            }
+
+            // Another tab may have recorded activity in a shared storage.
+            var stored = readTimestamp(this.currentStore(),
+                this.namespace + '.active');
+            if (stored !== null && stored > this.lastActivity) {
+                this.lastActivity = stored;
+                this.warned       = false;
+            }
+
+            var expiry = this.getExpiry();
+            if (expiry === null) {
+                return this.watchActivity(false);
+            }
+
+            this.watchActivity(this.timeouts.idle !== null);
+
+            var now     = clock.now();
+            var warnAt  = expiry - this.timeouts.warning * 1000;
+
+            if (now >= expiry) {
+                this.emit('expired');
+                this.logout();
+                return this;
+            }
+
+            if (now >= warnAt && !this.warned) {
+                this.warned = true;
+                var remaining = Math.ceil((expiry - now) / 1000);
+                var extend    = function() {
+                    self.extendSession();
+                };
+
+                if (this.timeouts.onWarning !== null) {
+                    this.timeouts.onWarning(remaining, extend);
+                }
+
+                this.emit('expiring', {remaining : remaining, extend : extend});
+            }
+
+            var next = this.warned ? expiry : warnAt;
+            this.expiryTimer = startTimer(function() {
+                self.expiryTimer = null;
+                self.scheduleExpiry();
+            }, Math.max(0, Math.min(next - now, 0x7FFFFFFF)));
+
+            return this;
+        },
+
+        /**
+         * Starts or stops listening for user activity in the document.
+         *
+         * @param {boolean} enabled  true to listen, else false
+         * @returns {Security}       this instance
+         */
+        watchActivity : function(enabled) {
+            var self     = this;
+            var document = window.document;
+
+            if (typeof(document) === 'undefined'
+            ||  typeof(document.addEventListener) !== 'function') {
+                return this;
+            }
+
+            if (enabled && this.onActivity === null) {
+                this.onActivity = function() {
+                    self.touch();
+                };
+                ACTIVITY_EVENTS.forEach(function(name) {
+                    document.addEventListener(name, self.onActivity, true);
+                });
+            } else if (!enabled && this.onActivity !== null) {
+                ACTIVITY_EVENTS.forEach(function(name) {
+                    document.removeEventListener(
+                        name, self.onActivity, true);
+                });
+                this.onActivity = null;
+            }
+
+            return this;
+        },
+
+        /**
+         * Returns the storage adapter where the credentials of the current
+         * user are kept.
+         *
+         * @returns {object}  the storage adapter
+         */
+        currentStore : function() {
+            return this.remember ? this.localStore : this.sessionStore;
+        },
+
+        /**
+         * Returns true if the session of the current user is written to the
+         * current store. The session key of the 'srp' mode can sign
+         * requests as the user until the next login, so it is only written
+         * to an encrypted store. Otherwise, the session ends with the page.
+         *
+         * @returns {boolean}  true if the session is stored, else false
+         */
+        persistsSession : function() {
+            return this.mode !== 'srp'
+                || this.currentStore() instanceof EncryptedStorage;
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                                Events                              //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Adds a handler that is invoked every time the specified event
+         * occurs. The handler gets an event object with the field 'type'
+         * set to the name of the event. The following events exist:
+         * <ul>
+         *     <li>login:        A user logged in. The field 'source' is
+         *                       'login', 'register', 'oauth',
+         *                       'stored', 'session' or 'sync' depending
+         *                       on where the credentials came from.
+         *     <li>logout:       The user logged out, in this or another
+         *                       tab.
+         *     <li>expiring:     The session is about to expire. The field
+         *                       'remaining' is the number of seconds
+         *                       left and 'extend' is a function that
+         *                       extends the session.
+         *     <li>expired:      The session could not be kept alive and
+         *                       the user is about to be logged out. If
+         *                       a token refresh failed, the field
+         *                       'error' is set.
+         *     <li>unauthorized: A request got a 401 response. The fields
+         *                       'method', 'url' and 'response' are set.
+         *     <li>forbidden:    A guard blocked a request or a route.
+         *                       The 'requirement' and either the
+         *                       'method' and 'url' or the 'path' are
+         *                       set.
+         *     <li>queued:       A request was stored in the offline
+         *                       queue. The field 'entry' is set.
+         *     <li>warning:      Something did not work as configured,
+         *                       but a fallback is used. The field
+         *                       'message' is set.
+         *     <li>error:        Something failed in the background, or
+         *                       an event handler threw. The field
+         *                       'error' is set.
+         * </ul>
+         * All events also have the field 'username'.
+         *
+         * @param {string} event      the event name
+         * @param {function} handler  the handler to add
+         * @returns {Security}        this instance
+         */
+        on : function(event, handler) {
+            expectString(event);
+            expectFunction(handler);
+
+            if (!this.listeners.hasOwnProperty(event)) {
+                this.listeners[event] = [];
+            }
+
+            this.listeners[event].push(handler);
+            return this;
+        },
+
+        /**
+         * Removes a handler previously added using .on(). If no handler
+         * is specified, all handlers for the event are removed.
+         *
+         * @param {string} event      the event name
+         * @param {function} handler  the handler to remove
+         * @returns {Security}        this instance
+         */
+        off : function(event, handler) {
+            expectString(event);
+
+            if (!this.listeners.hasOwnProperty(event)) {
+                return this;
+            }
+
+            if (typeof(handler) === 'undefined') {
+                delete this.listeners[event];
+            } else {
+                this.listeners[event] = this.listeners[event].filter(
+                    function(h) { return h !== handler; });
+            }
+
+            return this;
+        },
+
+        /**
+         * Invokes all handlers for the specified event. The 'type' and
+         * 'username' fields are added to the event object. Exceptions
+         * thrown by handlers do not stop other handlers. They are passed
+         * on to the 'error' handlers, except for those thrown by the
+         * 'error' handlers themselves.
+         *
+         * @param {string} event   the event name
+         * @param {object} detail  additional fields of the event
+         * @returns {Security}     this instance
+         */
+        emit : function(event, detail) {
+            var self    = this;
+            var payload = detail || {};
+            payload.type = event;
+            if (!payload.hasOwnProperty('username')) {
+                payload.username = this.username;
+            }
+
+            (this.listeners[event] || []).slice().forEach(function(h) {
+                try {
+                    h(payload);
+                } catch (e) {
+                    if (event !== 'error') {
+                        self.emit('error', {error : e, event : event});
+                    }
+                }
+            });
+
+            return this;
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                         Cross-Tab Synchronization                  //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Enables or disables the synchronization of the session with
+         * other browser tabs of the same origin and namespace. Disabling
+         * it closes the channel to the other tabs.
+         *
+         * @param {boolean} enabled  true to synchronize, else false
+         * @returns {Security}       this instance
+         */
+        synchronize : function(enabled) {
+            var self = this;
+
+            if (this.channel !== null) {
+                this.channel.close();
+                this.channel = null;
+            }
+
+            if (enabled) {
+                this.channel = openChannel(this.namespace + '.sync',
+                    function(message) {
+                        self.receive(message);
+                    });
+            }
+
+            return this;
+        },
+
+        /**
+         * Tells other tabs that the session changed. Only the type and the
+         * username are posted, since the channel may be backed by the
+         * local storage. The other tabs load the session from their own
+         * storage, so it is posted once the credentials are written. Does
+         * nothing if synchronization is disabled or if the change was just
+         * received from another tab.
+         *
+         * @param {string} type  'login', 'update' or 'logout'
+         * @returns {Security}   this instance
+         */
+        broadcast : function(type) {
+            var channel = this.channel;
+            var store   = this.currentStore();
+
+            if (channel === null || this.syncing) {
+                return this;
+            }
+
+            var message = {type : type, username : this.username};
+
+            if (type === 'logout' || typeof(store.flush) !== 'function') {
+                channel.post(message);
+            } else {
+                store.flush().then(function() {
+                    channel.post(message);
+                }, noop);
+            }
+
+            return this;
+        },
+
+        /**
+         * Applies a message posted by another tab to this tab. On a login
+         * or an update, the session is loaded from the storage of this
+         * tab. Sessions that are not remembered are usually kept in the
+         * storage of a single tab, so only their logouts are applied.
+         *
+         * @param {object} message  the received message
+         * @returns {Security}      this instance
+         */
+        receive : function(message) {
+            var self = this;
+
+            if (message === null || typeof(message) !== 'object') {
+                return this;
+            }
+
+            switch (message.type) {
+                case 'login' : case 'update' :
+                    Promise.resolve(this.loadStores()).then(function() {
+                        self.reload(message.username,
+                            message.type === 'login' ? 'sync' : null);
+                    }).catch(function(err) {
+                        self.emit('error', {error : err});
+                    });
+                    break;
+                case 'logout' :
+                    if (this.isLoggedIn()) {
+                        this.syncing = true;
+                        try {
+                            this.logout();
+                        } finally {
+                            this.syncing = false;
+                        }
+                    }
+                    break;
+            }
+
+            return this;
+        },
+
+        /**
+         * Restores the session of the specified user from the local
+         * storage, or else from the session storage. Nothing happens if
+         * neither has a session for the user.
+         *
+         * @param {string} username  the username
+         * @param {string} source    the source of the 'login' event, or
+         *                           null
+         * @returns {Security}       this instance
+         */
+        reload : function(username, source) {
+            var remember = true;
+            var creds    = readCredentials(this.localStore, this.namespace);
+
+            if (creds === null || creds.username !== username) {
+                remember = false;
+                creds    = readCredentials(this.sessionStore,
+                    this.namespace);
+            }
+
+            if (creds === null || creds.username !== username) {
+                return this;
+            }
+
+            this.syncing = true;
+            try {
+                this.restore(creds, remember, source);
+            } finally {
+                this.syncing = false;
+            }
+
+            return this;
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                           Storage Backends                         //
+        ////////////////////////////////////////////////////////////////////////
+        MemoryStorage    : MemoryStorage,
+        WebStorage       : WebStorage,
+        CookieStorage    : CookieStorage,
+        EncryptedStorage : EncryptedStorage,
+
+        /**
+         * Configures where credentials are stored. The options object can
+         * contain the following keys:
+         * <ul>
+         *     <li>options.namespace:      Prefix for all stored keys
+         *     <li>options.storage:        Backend used if 'remember' is set
+         *     <li>options.sessionStorage: Backend used otherwise
+         *     <li>options.encrypt:        True or the options for an
+         *                                 EncryptedStorage to wrap both
+         *                                 backends in
+         * </ul>
+         *
+         * The backends can either be the name of a built-in one
+         * ('memory', 'session', 'local' or 'cookie') or a custom object
+         * with the methods 'get(key)', 'set(key, value)' and
+         * 'remove(key)'. By default, 'local' and 'session' are used and
+         * the namespace is 'security'. If a backend is not available, a
+         * memory storage is used instead and a 'warning' is emitted.
+         * <p>
+         * If 'options.encrypt' is set, the credentials are encrypted with
+         * AES-GCM before they are stored. The key is kept in IndexedDB
+         * where it can not be read by scripts, or derived from a PIN if
+         * 'options.encrypt.pin' is set. Since decryption is asynchronous,
+         * wait for the promise in 'Security.ready' after .start() before
+         * checking if the user is logged in.
+         *
+         * @param {object} options  the storage options
+         * @returns {Security}      this instance
+         */
+        configureStorage : function(options) {
+            var self = this;
+            var warn = function(message) {
+                self.emit('warning', {message : message});
+            };
+
+            options = options || {};
+
+            if (typeof(options.namespace) !== 'undefined') {
+                this.namespace = expectString(options.namespace);
+            }
+
+            this.localStore   = resolveStorage(options.storage || 'local',
+                warn);
+            this.sessionStore = resolveStorage(
+                options.sessionStorage || 'session', warn);
+
+            if (options.encrypt) {
+                var given   = options.encrypt === true ? {} : options.encrypt;
+                var encrypt = {onWarning : warn};
+
+                Object.keys(given).forEach(function(key) {
+                    encrypt[key] = given[key];
+                });
+
+                this.localStore   = new EncryptedStorage(
+                    this.localStore, encrypt);
+                this.sessionStore = new EncryptedStorage(
+                    this.sessionStore, encrypt);
+            }
+
+            return this;
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                        Secure Remote Password                      //
+        ////////////////////////////////////////////////////////////////////////
+        SrpServer : SrpServer,
+
+        /**
+         * Creates the bcrypt salt and the verifier that the server should
+         * store for a user to support login in the 'srp' mode. The
+         * password itself should never be sent to the server.
+         *
+         * @param {string} username  the username
+         * @param {string} password  the unhashed password
+         * @returns {Promise}        promise for an object with the
+         *                           'salt' and the 'verifier'
+         */
+        createSrpVerifier : function(username, password) {
+            return createSrpVerifier(
+                expectString(username), expectString(password));
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                            Bearer Tokens                           //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Configures how tokens are handled in the 'token' mode. The
+         * options object can contain the following keys:
+         * <ul>
+         *     <li>options.refreshUrl:        Url to refresh tokens at
+         *     <li>options.accessTokenField:  Default 'access_token'
+         *     <li>options.refreshTokenField: Default 'refresh_token'
+         *     <li>options.expiresInField:    Default 'expires_in'
+         *     <li>options.refreshMargin:     Seconds to refresh before
+         *                                    expiry (default 30)
+         * </ul>
+         *
+         * If no refresh url is specified, the session is dropped once the
+         * access token expires.
+         *
+         * @param {object} options  the token options
+         * @returns {Security}      this instance
+         */
+        configureTokens : function(options) {
+            var merged = mergeOptions(this.tokenOptions, options);
+
+            if (merged.refreshUrl !== null) {
+                expectString(merged.refreshUrl);
+            }
+            expectNumber(merged.refreshMargin);
+
+            this.tokenOptions = merged;
+            return this;
+        },
+
+        /**
+         * Returns the current access token, or null if not logged in
+         * using the 'token' mode.
+         *
+         * @returns {string}  the access token
+         */
+        getAccessToken : function() {
+            return this.token === null ? null : this.token.access;
+        },
+
+        /**
+         * Returns true if the current access token is expired or will
+         * expire within the configured refresh margin.
+         *
+         * @returns {boolean}  true if the token should be refreshed
+         */
+        isTokenExpiring : function() {
+            if (this.token === null || this.token.expires === null) {
+                return false;
+            }
+
+            var margin = this.tokenOptions.refreshMargin * 1000;
+            return clock.now() + margin >= this.token.expires;
+        },
+
+        /**
+         * Exchanges the refresh token for a new access token. If several
+         * refreshes are requested at the same time, they share the same
+         * request. If the refresh fails, the session is dropped. The
+         * tokens of an OAuth login are refreshed at the token endpoint of
+         * the provider instead of the configured 'refreshUrl'.
+         *
+         * @returns {Promise}  promise for the new access token
+         */
+        refresh : function() {
+            var self = this;
+
+            if (this.refreshing !== null) {
+                return this.refreshing;
+            }
+
+            var oauth = this.token === null ? null : this.token.oauth || null;
+
+            if (this.token === null
+            ||  this.token.refresh === null
+            ||  (oauth === null && this.tokenOptions.refreshUrl === null)) {
+                this.emit('expired');
+                this.logout();
+                return Promise.reject(new AuthenticationError(
+                    'Session can not be refreshed.', 'SESSION_EXPIRED'));
+            }
+
+            var url, headers, body;
+
+            // Tokens of an OAuth login are refreshed at the token endpoint
+            // of the provider.
+            if (oauth !== null) {
+                url     = oauth.tokenUrl;
+                headers = {'Content-Type' :
+                    'application/x-www-form-urlencoded'};
+                body    = buildQuery({
+                    grant_type    : 'refresh_token',
+                    refresh_token : this.token.refresh,
+                    client_id     : oauth.clientId
+                });
+            } else {
+                var fields = {};
+                fields[this.tokenOptions.refreshTokenField] =
+                    this.token.refresh;
+
+                url     = resolveUrl(this.baseUrl,
+                    this.tokenOptions.refreshUrl);
+                headers = {'Content-Type' : 'application/json'};
+                body    = JSON.stringify(fields);
+            }
+
+            this.refreshing = request('POST', url, headers, body,
+                {timeout : this.requestTimeout, transport : this.transport}
+            ).then(function(res) {
+                var token = res.isSuccess()
+                    ? parseToken(res.data, self.tokenOptions, self.token)
+                    : null;
+
+                if (token !== null && oauth !== null) {
+                    token.oauth = oauth;
+                }
+
+                if (token === null) {
+                    throw res.failure !== null ? errorFor(res)
+                        : new AuthenticationError('Session could not ' +
+                            'be refreshed.', 'SESSION_EXPIRED', res);
+                }
+
+                self.refreshing = null;
+                self.token      = token;
+                self.updateClaims(res.data);
+                self.storeCredentials();
+                self.scheduleRefresh();
+                self.broadcast('update');
+                return token.access;
+            }).catch(function(err) {
+                self.refreshing = null;
+                self.emit('expired', {error : err});
+                self.logout();
+                throw err;
+            });
+
+            return this.refreshing;
+        },
+
+        /**
+         * Schedules a refresh of the access token just before it expires.
+         * Any previously scheduled refresh is cancelled.
+         *
+         * @returns {Security}  this instance
+         */
+        scheduleRefresh : function() {
+            var self = this;
+
+            if (this.refreshTimer !== null) {
+                clearTimer(this.refreshTimer);
+                this.refreshTimer = null;
+            }
+
+            if (this.token === null || this.token.expires === null) {
+                return this;
+            }
+
+            var margin = this.tokenOptions.refreshMargin * 1000;
+            var delay  = Math.max(0, Math.min(
+                this.token.expires - margin - clock.now(), 0x7FFFFFFF));
+
+            this.refreshTimer = startTimer(function() {
+                self.refreshTimer = null;
+                self.refresh().catch(noop);
+            }, delay);
+
+            return this;
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                        Authentication Schemes                      //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Registers a custom authentication scheme that can then be
+         * selected using the 'scheme' option of .configure(). The factory
+         * is invoked with 'new' and the 'schemeOptions', and should return
+         * an object with the following methods:
+         * <ul>
+         *     <li>prepare(username, password): Optional. Returns the
+         *         secret (or a promise for it) to store in place of the
+         *         password when logging in.
+         *     <li>authorize(req, creds): Adds authentication to the
+         *         request, usually by setting req.headers.Authorization.
+         *         May return a promise.
+         *     <li>challenge(res, req, creds): Optional. Invoked on 401.
+         *         Returns true (or a promise for it) to retry once.
+         *     <li>reset(): Optional. Invoked on logout.
+         * </ul>
+         *
+         * @param {string} name       the scheme name
+         * @param {function} factory  constructor or factory for the scheme
+         * @returns {Security}        this instance
+         */
+        registerScheme : function(name, factory) {
+            schemes[expectString(name)] = expectFunction(factory);
+            return this;
+        },
+
+        /**
+         * Returns the authentication scheme used for requests by the
+         * current user. This is the 'bearer' scheme if logged in with a
+         * token, the 'hmac' scheme keyed with the session key in the 'srp'
+         * mode and otherwise the configured scheme.
+         *
+         * @returns {object}  the scheme instance
+         */
+        activeScheme : function() {
+            if (this.token !== null) {
+                return this.bearerScheme;
+            }
+
+            if (this.mode === 'srp') {
+                return this.srpScheme;
+            }
+
+            if (this.authScheme === null) {
+                this.authScheme = createScheme(this.scheme);
+            }
+
+            return this.authScheme;
+        },
+
+        /**
+         * Returns a promise for the credentials of the current user. In
+         * the 'token' mode, the access token is refreshed first if it is
+         * about to expire.
+         *
+         * @returns {Promise}  promise for the credentials
+         */
+        credentials : function() {
+            var self  = this;
+            var ready = this.isTokenExpiring()
+                ? this.refresh()
+                : Promise.resolve();
+
+            return ready.then(function() {
+                return {
+                    username : self.username,
+                    password : self.password,
+                    token    : self.token
+                };
+            });
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                          Manage Credentials                        //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Returns the username of the currently logged in user, or throws
+         * an exception if the user is not logged in.
+         * 
+         * @returns {string}  the username
+         */
+        getUsername : function() {
+            return this.username;
+        },
+
+        /**
+         * Returns the encrypted password of the currently logged in user, 
+         * or throws an exception if the user is not logged in.
+         * 
+         * @returns {string}  the password
+         */
+        getPassword : function() {
+            return this.password;
+        },
+        
+        /**
+         * Returns a boolean to indicate if the user is logged in or not.
+         * 
+         * @returns {boolean}  true if logged in, else false
+         */
+        isLoggedIn : function() {
+            return this.username !== null
+                && (this.password !== null || this.token !== null);
+        },
+        
+        /**
+         * Starts the login service, loading any stored credentials from
+         * either the local session or the local storage if available. If
+         * not, start the login service logged out.
+         * <p>
+         * If an options object is specified, it is passed on to
+         * .configure() before any credentials are loaded.
+         * <p>
+         * If the storage is encrypted, the credentials are decrypted
+         * asynchronously. 'Security.ready' is then a promise that resolves
+         * to this instance once they are loaded. If they could not be
+         * decrypted, for example because the PIN is wrong, the promise
+         * rejects with a Security.StorageError, which is also passed to
+         * the 'error' handlers, and the service starts logged out. The
+         * stored credentials are kept, so that they can be loaded by
+         * starting again with the right PIN.
+         * 
+         * @param {object} options  optional configuration
+         * @returns {Security}      this instance
+         */
+        start : function(options) {
+            var self = this;
+
+            if (typeof(options) !== 'undefined'
+            ||  this.localStore === null) {
+                this.configure(options);
+            }
+
+            var loads = this.loadStores();
+
+            if (loads === null) {
+                this.loadAvailable();
+                this.ready = Promise.resolve(this);
+            } else {
+                this.ready = loads.then(function() {
+                    return self.loadAvailable();
+                });
+                this.ready.catch(function(err) {
+                    self.emit('error', {error : err});
+                });
+            }
+
+            return this;
+        },
+
+        /**
+         * Loads the session into the storage backends that have to be
+         * loaded asynchronously, like the encrypted one.
+         *
+         * @returns {Promise}  promise that resolves once loaded, or null if
+         *                     there is nothing to load
+         */
+        loadStores : function() {
+            var keys  = sessionKeys(this.namespace);
+            var loads = [this.localStore, this.sessionStore]
+                .filter(function(store) {
+                    return typeof(store.load) === 'function';
+                }).map(function(store) {
+                    return store.load(keys);
+                });
+
+            return loads.length === 0 ? null : Promise.all(loads);
+        },
+
+        /**
+         * Loads the credentials from the local storage if there are any,
+         * else from the local session if there are any there.
+         *
+         * @returns {Security}  this instance
+         */
+        loadAvailable : function() {
+            if (readCredentials(this.localStore, this.namespace) !== null) {
+                return this.loadStored();
+                
+            } else if (readCredentials(
+                    this.sessionStore, this.namespace) !== null) {
+               return this.loadSession();
+               
+            } else {
+                return this;
+            }
+        },
+
+        /**
+         * Login using the specified credentials, storing them in either the
+         * local session or local storage depending on the 'remember'
+         * parameter. To logout again, use the .logout()-method.
+         * <p>
+         * In the 'basic' mode, the method will make an asynchronous
+         * request to the specified url, authenticated with the username
+         * and password specified in the 'config' object using the
+         * configured scheme. With the default 'basic' scheme, the password
+         * will be hashed using a 10 pass bcrypt and sent in the Basic
+         * Authentication header. If the request succeeds, then the
+         * credentials will be stored either in the session or the local
+         * storage before the success handler is called. If it fails, the
+         * failure handler will be called.
+         * <p>
+         * In the 'token' mode, the username and password are instead
+         * posted as JSON to the specified url. The server is expected to
+         * respond with an access token and optionally a refresh token,
+         * which are stored in place of the password.
+         * <p>
+         * The returned promise resolves to the HttpResponse of the login
+         * request if it succeeds. If it fails, it rejects with a
+         * Security.AuthenticationError if the credentials were wrong, or
+         * else with the error that caused it. Any handlers specified in
+         * the 'config' object will be invoked before the promise is
+         * settled. If 'config.timeout' or
+         * 'config.signal' is set, the login fails if it takes too long or
+         * is aborted, as does calling 'abort()' on the returned promise.
+         * <p>
+         * If the server asks for a second factor (see .configureMfa()),
+         * the 'config.onChallenge' handler is invoked with the challenge.
+         * It has the 'type' and the 'data' of the response, and the
+         * methods 'submitTotp(code)', 'submitRecoveryCode(code)' and
+         * 'cancel()'. The submit methods return a promise for the
+         * response that rejects with a Security.AuthenticationError if
+         * the code is wrong, in which case another code can be submitted.
+         * The credentials are only stored once a code is accepted. The
+         * factor is posted to 'config.mfaUrl' if set. Without a handler,
+         * the login fails.
+         *
+         * @param {string} url        the url of the remote login service
+         * @param {LoginSpec} config  the credentials and handlers
+         * @returns {Promise}         promise for the HttpResponse
+         */
+        login : function(url, config) {
+            var self = this;
+            var success, failure, remember, controller, options;
+
+            config = config || {};
+
+            try {
+                url = resolveUrl(this.baseUrl, expectString(url));
+                expectString(config.username);
+                expectString(config.password);
+
+                success  = functionOr(config.success, noop);
+                failure  = functionOr(config.failure, noop);
+                remember = booleanOr(config.remember, false);
+
+                if (typeof(config.timeouts) !== 'undefined') {
+                    this.configureTimeouts(config.timeouts);
+                }
+
+                controller = createController(config.signal);
+                options    = this.requestOptions(config, controller);
+            } catch (err) {
+                return abortable(failEarly(err, config.failure), null);
+            }
+
+            if (this.localStore === null) {
+                this.configureStorage();
+            }
+
+            var attempt;
+            switch (this.mode) {
+                case 'token' :
+                    attempt = this.loginWithToken(url, config, options);
+                    break;
+                case 'srp' :
+                    attempt = this.loginWithSrp(url, config, options);
+                    break;
+                default :
+                    attempt = this.loginWithScheme(url, config, options);
+                    break;
+            }
+
+            var promise = attempt.then(function(session) {
+                self.startSession(config.username, session, remember,
+                    'login');
+
+                success(session.response.data, session.response.status);
+                return session.response;
+            }).catch(function(err) {
+                notifyFailure(failure, err);
+                throw err;
+            });
+
+            return abortable(handledIf(promise,
+                typeof(config.failure) === 'function'), controller);
+        },
+
+        /**
+         * Makes the specified user the logged in one, storing the
+         * 'password' or the 'token' of the session and notifying other
+         * tabs and the 'login' handlers. The roles and permissions are
+         * extracted from the 'response' of the session and the token.
+         *
+         * @param {string} username   the username
+         * @param {object} session    the 'password', the 'token' and
+         *                            the 'response', if any
+         * @param {boolean} remember  true to store in the local storage
+         * @param {string} source     the source of the 'login' event
+         * @returns {Security}        this instance
+         */
+        startSession : function(username, session, remember, source) {
+            var claims = extractClaims(
+                session.response ? session.response.data : null,
+                session.token, this.claimOptions);
+
+            this.username     = username;
+            this.password     = session.password;
+            this.token        = session.token;
+            this.roles        = claims.roles || [];
+            this.permissions  = claims.permissions || [];
+            this.remember     = remember;
+            this.started      = clock.now();
+            this.warned       = false;
+            this.lastActivity = this.started;
+            this.storeCredentials();
+            this.scheduleRefresh();
+            this.scheduleExpiry();
+            this.broadcast('login');
+            this.emit('login', {source : source});
+            this.replayQueue().catch(noop);
+            return this;
+        },
+
+        /**
+         * Performs the login request of the 'basic' mode, using the
+         * configured authentication scheme. The returned promise resolves
+         * to an object with the prepared 'password' and the 'response' of
+         * the server, or rejects if the login failed.
+         *
+         * @param {string} url        the url of the remote login service
+         * @param {LoginSpec} config  the credentials
+         * @param {object} options    the request options
+         * @returns {Promise}         promise for the session
+         */
+        loginWithScheme : function(url, config, options) {
+            var self    = this;
+            var scheme  = this.activeScheme();
+            var prepare = typeof(scheme.prepare) === 'function'
+                ? scheme.prepare(config.username, config.password)
+                : config.password;
+
+            return Promise.resolve(prepare).then(function(secret) {
+                var creds = {
+                    username : config.username,
+                    password : expectString(secret),
+                    token    : null
+                };
+
+                return exchange(scheme, {
+                    method    : 'GET',
+                    url       : url,
+                    headers   : {},
+                    body      : '',
+                    timeout   : options.timeout,
+                    signal    : options.signal,
+                    transport : options.transport
+                }, creds).then(function(res) {
+                    return self.continueLogin(res, url, config, options,
+                        function(target, body) {
+                            return exchange(scheme, {
+                                method    : 'POST',
+                                url       : target,
+                                headers   : {
+                                    'Content-Type' : 'application/json'
+                                },
+                                body      : JSON.stringify(body),
+                                timeout   : options.timeout,
+                                signal    : options.signal,
+                                transport : options.transport
+                            }, creds);
+                        }, function(final) {
+                            if (!final.isSuccess()) {
+                                throw loginErrorFor(final);
+                            }
+
+                            return {
+                                password : secret,
+                                token    : null,
+                                response : final
+                            };
+                        });
+                });
+            });
+        },
+
+        /**
+         * Performs the SRP-6a handshake of the 'srp' mode. First, the
+         * username is posted as JSON to the specified url, to which the
+         * server should respond with the bcrypt 'salt' of the user and its
+         * public ephemeral 'B'. Then, the username, the public ephemeral
+         * 'A' of the client and the proof 'M1' are posted to the same url.
+         * The server should respond with its proof 'M2'.
+         * <p>
+         * The returned promise resolves to an object with the derived
+         * session key as the 'password' and the final 'response' of the
+         * server, or rejects if any step fails or the proof of the server
+         * is wrong. The session key is used to sign subsequent requests
+         * with the 'hmac' scheme, so the password itself is never sent or
+         * stored.
+         * <p>
+         * The session key is kept instead, and anyone who reads it can sign
+         * requests as the user until the next login. It is therefore only
+         * stored if the storage is encrypted (see .configureStorage()).
+         * Otherwise, the user has to login again after a page load, and
+         * the session is not shared with other tabs.
+         *
+         * @param {string} url        the url of the remote login service
+         * @param {LoginSpec} config  the credentials
+         * @param {object} options    the request options
+         * @returns {Promise}         promise for the session
+         */
+        loginWithSrp : function(url, config, options) {
+            var self    = this;
+            var headers = {'Content-Type' : 'application/json'};
+
+            return request('POST', url, headers, JSON.stringify({
+                username : config.username
+            }), options).then(function(res) {
+                if (!res.isSuccess()) {
+                    throw loginErrorFor(res);
+                }
+
+                if (res.data === null) {
+                    throw new AuthenticationError('Invalid SRP challenge ' +
+                        'from server.', 'INVALID_CHALLENGE', res);
+                }
+
+                return srpClient(config.username, config.password,
+                    res.data.salt, res.data.B);
+            }).then(function(proofs) {
+                return request('POST', url, headers, JSON.stringify({
+                    username : config.username,
+                    A        : proofs.A,
+                    M1       : proofs.M1
+                }), options).then(function(res) {
+                    return self.continueLogin(res, url, config, options,
+                        function(target, body) {
+                            return request('POST', target, headers,
+                                JSON.stringify(body), options);
+                        }, function(final) {
+                            if (!final.isSuccess()) {
+                                throw loginErrorFor(final);
+                            }
+
+                            // The proof may come with the challenge.
+                            var proven = [res, final].some(function(r) {
+                                return r.data !== null
+                                    && r.data.M2 === proofs.M2;
+                            });
+
+                            if (!proven) {
+                                throw new AuthenticationError(
+                                    'Server failed to prove the session ' +
+                                    'key.', 'INVALID_PROOF', final);
+                            }
+
+                            return {
+                                password : proofs.K,
+                                token    : null,
+                                response : final
+                            };
+                        });
+                });
+            });
+        },
+
+        /**
+         * Performs the login request of the 'token' mode. The returned
+         * promise resolves to an object with the 'token' record and the
+         * 'response' of the server, or rejects if the login failed or no
+         * access token was returned.
+         *
+         * @param {string} url        the url of the remote login service
+         * @param {LoginSpec} config  the credentials
+         * @param {object} options    the request options
+         * @returns {Promise}         promise for the session
+         */
+        loginWithToken : function(url, config, options) {
+            var self         = this;
+            var tokenOptions = this.tokenOptions;
+            var headers      = {'Content-Type' : 'application/json'};
+
+            return request('POST', url, headers, JSON.stringify({
+                username : config.username,
+                password : config.password
+            }), options).then(function(res) {
+                return self.continueLogin(res, url, config, options,
+                    function(target, body) {
+                        return request('POST', target, headers,
+                            JSON.stringify(body), options);
+                    }, function(final) {
+                        if (!final.isSuccess()) {
+                            throw loginErrorFor(final);
+                        }
+
+                        var token = parseToken(final.data, tokenOptions, null);
+                        if (token === null) {
+                            throw new AuthenticationError('No access ' +
+                                'token in the login response.',
+                                'MISSING_TOKEN', final);
+                        }
+
+                        return {password : null, token : token,
+                            response : final};
+                    });
+            });
+        },
+
+        /**
+         * Writes the credentials of the current user to either the local
+         * storage or the session storage, depending on whether the user
+         * asked to be remembered. If the storage writes in the background
+         * and fails, the error is passed to the 'error' handlers. Nothing
+         * is written if .persistsSession() is false.
+         *
+         * @returns {Security}  this instance
+         */
+        storeCredentials : function() {
+            var self  = this;
+            var store = this.currentStore();
+
+            if (!this.persistsSession()) {
+                clearCredentials(store, this.namespace);
+                return this;
+            }
+
+            writeCredentials(store, this.namespace, {
+                username : this.username,
+                password : this.password,
+                token    : this.token,
+                claims   : {
+                    roles       : this.roles,
+                    permissions : this.permissions
+                }
+            });
+
+            if (this.started !== null) {
+                store.set(this.namespace + '.started', String(this.started));
+            }
+
+            if (this.lastActivity !== null) {
+                store.set(this.namespace + '.active',
+                    String(this.lastActivity));
+            }
+
+            if (typeof(store.flush) === 'function') {
+                store.flush().catch(function(err) {
+                    self.emit('error', {error : err});
+                });
+            }
+
+            return this;
+        },
+
+        /**
+         * Load credentials from the local storage, throwing an exception if
+         * they are not present.
+         * 
+         * @returns {Security}  this instance
+         */
+        loadStored : function() {
+            console.log("Logged in using stored credentials.");
+            var creds = readCredentials(this.localStore, this.namespace);
+            if (creds === null) {
+                throw new AuthenticationError(
+                    'No stored credentials found.', 'NO_CREDENTIALS');
+            }
+            return this.restore(creds, true, 'stored');
+        },
+        
+        /**
+         * Load credentials from the local session, throwing an exception if
+         * they are not present.
+         * 
+         * @returns {Security}  this instance
+         */
+        loadSession : function() {
+            console.log("Logged in using session credentials.");
+            var creds = readCredentials(this.sessionStore, this.namespace);
+            if (creds === null) {
+                throw new AuthenticationError(
+                    'No session credentials found.', 'NO_CREDENTIALS');
+            }
+            return this.restore(creds, false, 'session');
+        },
+
+        /**
+         * Sets the current user to the specified loaded credentials. If
+         * they contain a token, a refresh is scheduled for it. If a source
+         * is specified, a 'login' event is emitted with it.
+         *
+         * @param {object} creds      the loaded credentials
+         * @param {boolean} remember  true if loaded from the local storage
+         * @param {string} source     the source of the event, or null
+         * @returns {Security}        this instance
+         */
+        restore : function(creds, remember, source) {
+            var claims = creds.claims || {};
+
+            this.username     = creds.username;
+            this.password     = creds.password;
+            this.token        = creds.token;
+            this.roles        = claimList(claims.roles) || [];
+            this.permissions  = claimList(claims.permissions) || [];
+            this.remember     = remember === true;
+            this.started      = creds.started || clock.now();
+            this.warned       = false;
+            this.lastActivity = creds.active || clock.now();
+            this.scheduleRefresh();
+            this.scheduleExpiry();
+
+            if (!this.isLoggedIn()) {
+                return this;
+            }
+
+            if (typeof(source) === 'string') {
+                this.emit('login', {source : source});
+            }
+
+            if (source === 'stored' || source === 'session') {
+                this.replayQueue().catch(noop);
+            }
+
+            return this;
+        },
+
+        /**
+         * Logout any logged in user, clearing both the session and the
+         * local storage.
+         * 
+         * @returns {Security}  this instance
+         */
+        logout : function() {
+            console.log("Logged out.");
+
+            if (this.localStore === null) {
+                this.configureStorage();
+            }
+
+            if (this.refreshTimer !== null) {
+                clearTimer(this.refreshTimer);
+                this.refreshTimer = null;
+            }
+
+            if (this.expiryTimer !== null) {
+                clearTimer(this.expiryTimer);
+                this.expiryTimer = null;
+            }
+
+            this.watchActivity(false);
+            this.started      = null;
+            this.lastActivity = null;
+            this.warned       = false;
+
+            if (this.authScheme !== null
+            &&  typeof(this.authScheme.reset) === 'function') {
+                this.authScheme.reset();
+            }
+
+            var username = this.username;
+
+            clearCredentials(this.localStore, this.namespace);
+            clearCredentials(this.sessionStore, this.namespace);
+            this.username    = null;
+            this.password    = null;
+            this.token       = null;
+            this.roles       = [];
+            this.permissions = [];
+            this.remember    = false;
+
+            this.broadcast('logout');
+            return this.emit('logout', {username : username});
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                          Account Management                        //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Registers a new user by posting the credentials as JSON to the
+         * specified url. The password is never sent as it is in the
+         * 'basic' mode, where it is prepared by the configured scheme just
+         * like when logging in, or in the 'srp' mode, where the bcrypt
+         * 'salt' and the 'verifier' are sent instead. In the 'token' mode,
+         * it is sent as it is, like by .login(). The 'config' object is
+         * like a LoginSpec and can contain the following keys:
+         * <ul>
+         *     <li>config.username: The username (required)
+         *     <li>config.password: The unhashed password (required)
+         *     <li>config.data:     More fields to post, like an email
+         *     <li>config.login:    Log in once registered (default true)
+         *     <li>config.remember: Store the credentials in the local
+         *                          storage instead of the session
+         *     <li>config.success:  Invoked with the data and status
+         *     <li>config.failure:  Invoked with the data, status and error
+         *     <li>config.timeout:  Milliseconds before the request fails
+         *     <li>config.signal:   AbortSignal that cancels the request
+         * </ul>
+         *
+         * If 'config.login' is not false, the user is logged in once the
+         * server accepts the registration, storing the credentials like
+         * .login() would. In the 'token' mode, that requires the server to
+         * respond with an access token. In the 'srp' mode, the user has to
+         * log in using .login() to establish a session key.
+         * <p>
+         * The returned promise resolves to the HttpResponse if the server
+         * accepts the registration, or rejects with a Security.HttpError
+         * or a Security.NetworkError.
+         *
+         * @param {string} url        the url of the registration service
+         * @param {object} config     the credentials and handlers
+         * @returns {Promise}         promise for the HttpResponse
+         */
+        register : function(url, config) {
+            var self = this;
+            var call;
+
+            config = config || {};
+
+            try {
+                call = this.prepareAccountCall(url, config);
+                expectString(config.username);
+                expectString(config.password);
+            } catch (err) {
+                return abortable(failEarly(err, config.failure), null);
+            }
+
+            var remember = booleanOr(config.remember, false);
+            var secret   = null;
+
+            var promise = this.passwordFields(
+                config.username, config.password
+            ).then(function(encoded) {
+                secret = encoded.secret;
+                encoded.fields.username = config.username;
+                return self.postAccount(call, encoded.fields, false);
+            }).then(function(res) {
+                if (booleanOr(config.login, true)) {
+                    var token = self.mode === 'token'
+                        ? parseToken(res.data, self.tokenOptions, null)
+                        : null;
+
+                    if (secret !== null || token !== null) {
+                        self.startSession(config.username, {
+                            password : secret,
+                            token    : token,
+                            response : res
+                        }, remember, 'register');
+                    }
+                }
+                return res;
+            });
+
+            return this.settleAccountCall(call, config, promise);
+        },
+
+        /**
+         * Changes the password of the logged in user. The new password is
+         * prepared the same way as by .register() and posted as JSON to the
+         * specified url in a request authenticated as the current user. If
+         * the current password is specified, it is posted as
+         * 'currentPassword', prepared the same way, except in the 'srp'
+         * mode where it is left out. The 'config' object can contain the
+         * following keys:
+         * <ul>
+         *     <li>config.newPassword: The new unhashed password (required)
+         *     <li>config.password:    The current unhashed password
+         *     <li>config.data:        More fields to post
+         *     <li>config.success:     Invoked with the data and status
+         *     <li>config.failure:     Invoked with the data, status and
+         *                             error
+         *     <li>config.timeout:     Milliseconds before the request fails
+         *     <li>config.signal:      AbortSignal that cancels the request
+         * </ul>
+         *
+         * Once the server accepts the change, the stored credentials are
+         * updated in this and other tabs. In the 'token' mode, they are
+         * only updated if the server responds with new tokens. In the
+         * 'srp' mode, the session key stays valid until the next login.
+         * <p>
+         * The request is not retried or stored in the offline queue. The
+         * returned promise resolves to the HttpResponse if the server
+         * accepts the change, or rejects with a Security.HttpError or a
+         * Security.NetworkError. If no user is logged in, it rejects with
+         * a Security.AuthenticationError.
+         *
+         * @param {string} url     the url of the password service
+         * @param {object} config  the new password and handlers
+         * @returns {Promise}      promise for the HttpResponse
+         */
+        changePassword : function(url, config) {
+            var self = this;
+            var call;
+
+            config = config || {};
+
+            try {
+                call = this.prepareAccountCall(url, config);
+                expectString(config.newPassword);
+
+                if (typeof(config.password) !== 'undefined') {
+                    expectString(config.password);
+                }
+
+                if (!this.isLoggedIn()) {
+                    throw new AuthenticationError('Can not change the ' +
+                        'password without being logged in.',
+                        'NO_CREDENTIALS');
+                }
+            } catch (err) {
+                return abortable(failEarly(err, config.failure), null);
+            }
+
+            var username = this.username;
+            var secret   = null;
+            var current  = (typeof(config.password) === 'undefined'
+                ||  this.mode === 'srp')
+                ? Promise.resolve(null)
+                : this.passwordFields(username, config.password);
+
+            var promise = Promise.all([
+                this.passwordFields(username, config.newPassword), current
+            ]).then(function(encoded) {
+                secret = encoded[0].secret;
+                if (encoded[1] !== null) {
+                    encoded[0].fields.currentPassword =
+                        encoded[1].fields.password;
+                }
+                return self.postAccount(call, encoded[0].fields, true);
+            }).then(function(res) {
+                if (self.username !== username) {
+                    return res;
+                }
+
+                if (self.mode === 'token') {
+                    var token = parseToken(
+                        res.data, self.tokenOptions, self.token);
+                    if (token === null) {
+                        return res;
+                    }
+                    self.token = token;
+                    self.updateClaims(res.data);
+                    self.scheduleRefresh();
+                } else if (secret !== null) {
+                    self.password = secret;
+                } else {
+                    return res;
+                }
+
+                self.storeCredentials();
+                self.broadcast('update');
+                return res;
+            });
+
+            return this.settleAccountCall(call, config, promise);
+        },
+
+        /**
+         * Asks the server to send the user instructions for resetting a
+         * forgotten password by posting the username as JSON to the
+         * specified url. The 'config' object can contain the following
+         * keys:
+         * <ul>
+         *     <li>config.username: The username (required)
+         *     <li>config.data:     More fields to post, like an email
+         *     <li>config.success:  Invoked with the data and status
+         *     <li>config.failure:  Invoked with the data, status and error
+         *     <li>config.timeout:  Milliseconds before the request fails
+         *     <li>config.signal:   AbortSignal that cancels the request
+         * </ul>
+         *
+         * The returned promise resolves to the HttpResponse if the server
+         * accepts the request, or rejects with a Security.HttpError or a
+         * Security.NetworkError.
+         *
+         * @param {string} url     the url of the password reset service
+         * @param {object} config  the username and handlers
+         * @returns {Promise}      promise for the HttpResponse
+         */
+        requestPasswordReset : function(url, config) {
+            var call;
+
+            config = config || {};
+
+            try {
+                call = this.prepareAccountCall(url, config);
+                expectString(config.username);
+            } catch (err) {
+                return abortable(failEarly(err, config.failure), null);
+            }
+
+            return this.settleAccountCall(call, config, this.postAccount(
+                call, {username : config.username}, false));
+        },
+
+        /**
+         * Sets a new password using the reset token that the user got from
+         * .requestPasswordReset(). The new password is prepared the same
+         * way as by .register() and posted as JSON to the specified url
+         * together with the 'token'. The user is not logged in. The
+         * 'config' object can contain the following keys:
+         * <ul>
+         *     <li>config.token:       The reset token (required)
+         *     <li>config.newPassword: The new unhashed password (required)
+         *     <li>config.username:    The username (required in the 'srp'
+         *                             mode, since the verifier depends
+         *                             on it)
+         *     <li>config.data:        More fields to post
+         *     <li>config.success:     Invoked with the data and status
+         *     <li>config.failure:     Invoked with the data, status and
+         *                             error
+         *     <li>config.timeout:     Milliseconds before the request fails
+         *     <li>config.signal:      AbortSignal that cancels the request
+         * </ul>
+         *
+         * The returned promise resolves to the HttpResponse if the server
+         * accepts the new password, or rejects with a Security.HttpError
+         * or a Security.NetworkError.
+         *
+         * @param {string} url     the url of the password reset service
+         * @param {object} config  the token, new password and handlers
+         * @returns {Promise}      promise for the HttpResponse
+         */
+        confirmPasswordReset : function(url, config) {
+            var self = this;
+            var call;
+
+            config = config || {};
+
+            try {
+                call = this.prepareAccountCall(url, config);
+                expectString(config.token);
+                expectString(config.newPassword);
+
+                if (this.mode === 'srp'
+                ||  typeof(config.username) !== 'undefined') {
+                    expectString(config.username);
+                }
+            } catch (err) {
+                return abortable(failEarly(err, config.failure), null);
+            }
+
+            var promise = this.passwordFields(
+                config.username || '', config.newPassword
+            ).then(function(encoded) {
+                encoded.fields.token = config.token;
+                if (typeof(config.username) === 'string') {
+                    encoded.fields.username = config.username;
+                }
+                return self.postAccount(call, encoded.fields, false);
+            });
+
+            return this.settleAccountCall(call, config, promise);
+        },
+
+        /**
+         * Prepares a password the way it should be sent to the server in
+         * the current mode. The returned promise resolves to an object with
+         * the 'fields' to post and the 'secret' to store as the password
+         * of the session, or null if the password is not stored:
+         * <ul>
+         *     <li>basic: The 'password' prepared by the scheme, which is
+         *                also the secret
+         *     <li>srp:   The bcrypt 'salt' and the 'verifier'
+         *     <li>token: The 'password' as it is
+         * </ul>
+         *
+         * @param {string} username  the username
+         * @param {string} password  the unhashed password
+         * @returns {Promise}        promise for the fields and secret
+         */
+        passwordFields : function(username, password) {
+            if (this.mode === 'srp') {
+                return createSrpVerifier(username, password)
+                    .then(function(verifier) {
+                        return {
+                            fields : {
+                                salt     : verifier.salt,
+                                verifier : verifier.verifier
+                            },
+                            secret : null
+                        };
+                    });
+            } else if (this.mode === 'token') {
+                return Promise.resolve({
+                    fields : {password : password},
+                    secret : null
+                });
+            }
+
+            var scheme = this.activeScheme();
+            return Promise.resolve(typeof(scheme.prepare) === 'function'
+                ? scheme.prepare(username, password) : password
+            ).then(function(secret) {
+                return {
+                    fields : {password : expectString(secret)},
+                    secret : secret
+                };
+            });
+        },
+
+        /**
+         * Validates the arguments shared by the account management methods.
+         * Returns an object with the resolved 'url', the 'success' and
+         * 'failure' handlers, the abort 'controller', the request
+         * 'options' and the extra 'data' to post.
+         *
+         * @param {string} url     the url to post to
+         * @param {object} config  the configuration
+         * @returns {object}       the prepared call
+         */
+        prepareAccountCall : function(url, config) {
+            var data = config.data || {};
+            if (typeof(data) !== 'object') {
+                throw new ValidationError('Expected "config.data" to be ' +
+                    'an object.');
+            }
+
+            var controller = createController(config.signal);
+            return {
+                url        : resolveUrl(this.baseUrl, expectString(url)),
+                success    : functionOr(config.success, noop),
+                failure    : functionOr(config.failure, noop),
+                controller : controller,
+                options    : this.requestOptions(config, controller),
+                data       : data
+            };
+        },
+
+        /**
+         * Posts the extra data of an account management call together
+         * with the specified fields as JSON. If 'authenticated' is true,
+         * the request is authenticated as the current user. The returned
+         * promise rejects if the server does not respond with a success
+         * status.
+         *
+         * @param {object} call            the prepared call
+         * @param {object} fields          the fields to post
+         * @param {boolean} authenticated  true to authenticate the request
+         * @returns {Promise}              promise for the HttpResponse
+         */
+        postAccount : function(call, fields, authenticated) {
+            var body = {};
+            Object.keys(call.data).forEach(function(name) {
+                body[name] = call.data[name];
+            });
+            Object.keys(fields).forEach(function(name) {
+                body[name] = fields[name];
+            });
+
+            var req = {
+                method    : 'POST',
+                url       : call.url,
+                headers   : {'Content-Type' : 'application/json'},
+                body      : JSON.stringify(body),
+                timeout   : call.options.timeout,
+                signal    : call.options.signal,
+                transport : call.options.transport
+            };
+
+            return (authenticated
+                ? this.dispatch(req)
+                : request(req.method, req.url, req.headers, req.body, req)
+            ).then(function(res) {
+                if (!res.isSuccess()) {
+                    throw errorFor(res);
+                }
+                return res;
+            });
+        },
+
+        /**
+         * Invokes the handlers of an account management call once the
+         * specified promise settles.
+         *
+         * @param {object} call     the prepared call
+         * @param {object} config   the configuration
+         * @param {Promise} promise promise for the HttpResponse
+         * @returns {Promise}       abortable promise for the HttpResponse
+         */
+        settleAccountCall : function(call, config, promise) {
+            var settled = promise.then(function(res) {
+                call.success(res.data, res.status);
+                return res;
+            }, function(err) {
+                notifyFailure(call.failure, err);
+                throw err;
+            });
+
+            return abortable(handledIf(settled,
+                typeof(config.failure) === 'function'), call.controller);
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                       Multi-Factor Authentication                  //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Configures how the server asks for a second factor during login.
+         * The options object can contain the following keys:
+         * <ul>
+         *     <li>options.requiredField: Field of the login response that
+         *                                is true if a second factor is
+         *                                required (default 'mfa_required')
+         *     <li>options.typeField:     Field with the type of the
+         *                                challenge (default 'mfa_type')
+         *     <li>options.tokenField:    Field with the token that ties the
+         *                                second factor to the login, also
+         *                                used when submitting it (default
+         *                                'mfa_token')
+         *     <li>options.url:           Url to submit the second factor
+         *                                to (default the login url)
+         * </ul>
+         *
+         * The second factor is posted as JSON with the token, the 'method'
+         * ('totp' or 'recovery') and the 'code'. In the 'basic' mode, the
+         * request is also authenticated like the login request.
+         *
+         * @param {object} options  the MFA options
+         * @returns {Security}      this instance
+         */
+        configureMfa : function(options) {
+            var merged = mergeOptions(this.mfaOptions, options);
+
+            expectString(merged.requiredField);
+            expectString(merged.typeField);
+            expectString(merged.tokenField);
+            if (merged.url !== null) {
+                expectString(merged.url);
+            }
+
+            this.mfaOptions = merged;
+            return this;
+        },
+
+        /**
+         * Continues a login once the server has responded. If the server
+         * asks for a second factor, the 'onChallenge' handler of the
+         * LoginSpec is invoked and the login waits for the factor to be
+         * submitted. Otherwise, the response is passed to 'finish'.
+         *
+         * @param {HttpResponse} res  the response of the login request
+         * @param {string} url        the login url
+         * @param {LoginSpec} config  the credentials and handlers
+         * @param {object} options    the request options
+         * @param {function} submit   posts a body to an url, returning a
+         *                            promise for the HttpResponse
+         * @param {function} finish   turns the final response into the
+         *                            session, or throws
+         * @returns {Promise}         promise for the session
+         */
+        continueLogin : function(res, url, config, options, submit, finish) {
+            var mfa  = this.mfaOptions;
+            var data = res.data;
+
+            if (data === null || typeof(data) !== 'object'
+            ||  data[mfa.requiredField] !== true) {
+                return Promise.resolve(res).then(finish);
+            }
+
+            if (typeof(config.onChallenge) !== 'function') {
+                return Promise.reject(new AuthenticationError('A second ' +
+                    'factor is required, but the login has no ' +
+                    '"onChallenge" handler.', 'MFA_REQUIRED', res));
+            }
+
+            var target = typeof(config.mfaUrl) === 'string'
+                ? resolveUrl(this.baseUrl, config.mfaUrl)
+                : (mfa.url !== null ? resolveUrl(this.baseUrl, mfa.url) : url);
+            var signal = options.signal || null;
+
+            return new Promise(function(resolve, reject) {
+                var done = false;
+
+                var settle = function(action, value) {
+                    if (!done) {
+                        done = true;
+                        if (signal !== null) {
+                            signal.removeEventListener('abort', onAbort);
+                        }
+                        action(value);
+                    }
+                };
+
+                var onAbort = function() {
+                    settle(reject, new NetworkError('Login to "' + url +
+                        '" was aborted.', 'abort'));
+                };
+
+                var send = function(method, code) {
+                    if (done) {
+                        return Promise.reject(new ValidationError('The ' +
+                            'challenge is no longer pending.',
+                            'INVALID_OPERATION'));
+                    }
+
+                    var body = {method : method, code : code};
+                    body[mfa.tokenField] = typeof(data[mfa.tokenField])
+                        === 'undefined' ? null : data[mfa.tokenField];
+
+                    return submit(target, body).then(function(answer) {
+                        if (answer.status === 401 || answer.status === 403) {
+                            throw new AuthenticationError('The code was ' +
+                                'not accepted.', 'INVALID_CODE', answer);
+                        } else if (!answer.isSuccess()) {
+                            throw errorFor(answer);
+                        }
+
+                        var session;
+                        try {
+                            session = finish(answer);
+                        } catch (err) {
+                            settle(reject, err);
+                            throw err;
+                        }
+
+                        settle(resolve, session);
+                        return answer;
+                    });
+                };
+
+                if (signal !== null) {
+                    if (signal.aborted) {
+                        return onAbort();
+                    }
+                    signal.addEventListener('abort', onAbort);
+                }
+
+                try {
+                    config.onChallenge({
+                        type     : typeof(data[mfa.typeField]) === 'string'
+                            ? data[mfa.typeField] : 'totp',
+                        data     : data,
+                        response : res,
+                        submitTotp : function(code) {
+                            if (!isTotpCode(code)) {
+                                return Promise.reject(new ValidationError(
+                                    'Expected a code of 6 to 8 digits.'));
+                            }
+                            return send('totp', code.replace(/\s+/g, ''));
+                        },
+                        submitRecoveryCode : function(code) {
+                            if (typeof(code) !== 'string'
+                            ||  code.trim() === '') {
+                                return Promise.reject(new ValidationError(
+                                    'Expected a recovery code.'));
+                            }
+                            return send('recovery', code.trim());
+                        },
+                        cancel : function() {
+                            settle(reject, new AuthenticationError('The ' +
+                                'second factor was cancelled.',
+                                'MFA_CANCELLED', res));
+                        }
+                    });
+                } catch (err) {
+                    settle(reject, err);
+                }
+            });
+        },
+
+        /**
+         * Generates a random secret for a TOTP authenticator app.
+         *
+         * @param {number} bytes  the length in bytes (default 20)
+         * @returns {string}      the base32 secret
+         */
+        createTotpSecret : function(bytes) {
+            var length = typeof(bytes) === 'undefined'
+                ? 20 : expectNumber(bytes);
+            return toBase32(window.crypto.getRandomValues(
+                new Uint8Array(length)));
+        },
+
+        /**
+         * Builds the otpauth URI that authenticator apps read, usually from
+         * a QR code, to enroll a TOTP secret. The options object can
+         * contain the following keys:
+         * <ul>
+         *     <li>options.secret:    The base32 secret (required)
+         *     <li>options.issuer:    The name of the service (required)
+         *     <li>options.account:   The account name (default the
+         *                            logged in username)
+         *     <li>options.algorithm: 'SHA1' (default), 'SHA256' or
+         *                            'SHA512'
+         *     <li>options.digits:    The number of digits (default 6)
+         *     <li>options.period:    Seconds per code (default 30)
+         * </ul>
+         *
+         * @param {object} options  the options
+         * @returns {string}        the otpauth URI
+         */
+        totpUri : function(options) {
+            var secret  = toBase32(fromBase32(options.secret));
+            var issuer  = expectString(options.issuer);
+            var account = expectString(typeof(options.account) === 'undefined'
+                ? this.username : options.account);
+            var totp    = totpOptions(options);
+
+            return 'otpauth://totp/' + encodeURIComponent(issuer) + ':' +
+                encodeURIComponent(account) + '?' + buildQuery({
+                    secret    : secret,
+                    issuer    : issuer,
+                    algorithm : totp.algorithm,
+                    digits    : totp.digits,
+                    period    : totp.period
+                });
+        },
+
+        /**
+         * Computes the TOTP code of a secret as described in RFC 6238. The
+         * options can contain the 'algorithm', 'digits' and 'period' like
+         * for .totpUri(), and the 'time' in milliseconds (default now).
+         *
+         * @param {string} secret   the base32 secret
+         * @param {object} options  the options, or undefined
+         * @returns {Promise}       promise for the code
+         */
+        generateTotp : function(secret, options) {
+            try {
+                options = options || {};
+                var totp = totpOptions(options);
+                var time = typeof(options.time) === 'undefined'
+                    ? clock.now() : expectNumber(options.time);
+
+                return hotp(fromBase32(secret),
+                    Math.floor(time / 1000 / totp.period), totp);
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        },
+
+        /**
+         * Checks a TOTP code, for example the first one the user enters
+         * after scanning the otpauth URI. To allow for clock drift, codes
+         * of the periods just before and after are also accepted. The
+         * options are the same as for .generateTotp(), plus the 'window'
+         * of periods to accept on either side (default 1).
+         *
+         * @param {string} secret   the base32 secret
+         * @param {string} code     the code entered by the user
+         * @param {object} options  the options, or undefined
+         * @returns {Promise}       promise for true if valid, else false
+         */
+        verifyTotp : function(secret, code, options) {
+            options = options || {};
+
+            if (!isTotpCode(code)) {
+                return Promise.resolve(false);
+            }
+
+            try {
+                var totp    = totpOptions(options);
+                var key     = fromBase32(secret);
+                var drift   = typeof(options.window) === 'undefined'
+                    ? 1 : expectNumber(options.window);
+                var time    = typeof(options.time) === 'undefined'
+                    ? clock.now() : expectNumber(options.time);
+                var counter = Math.floor(time / 1000 / totp.period);
+                var entered = code.replace(/\s+/g, '');
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            var checks = [];
+            for (var i = -drift; i <= drift; i++) {
+                checks.push(hotp(key, counter + i, totp));
+            }
+
+            return Promise.all(checks).then(function(codes) {
+                return codes.indexOf(entered) >= 0;
+            });
+        },
+
+        /**
+         * Enrolls a TOTP secret for the logged in user. The first code
+         * from the authenticator app is verified before the secret and the
+         * code are posted as JSON to the specified url in a request
+         * authenticated as the current user. The 'config' object can
+         * contain the following keys:
+         * <ul>
+         *     <li>config.secret:  The base32 secret (required)
+         *     <li>config.code:    The first code entered (required)
+         *     <li>config.data:    More fields to post
+         *     <li>config.totp:    The 'algorithm', 'digits' and 'period'
+         *                         of the secret, if not the defaults
+         *     <li>config.success: Invoked with the data and status
+         *     <li>config.failure: Invoked with the data, status and error
+         *     <li>config.timeout: Milliseconds before the request fails
+         *     <li>config.signal:  AbortSignal that cancels the request
+         * </ul>
+         *
+         * The returned promise resolves to the HttpResponse if the server
+         * accepts the secret. It rejects with a
+         * Security.AuthenticationError if the code is wrong or no user is
+         * logged in, and otherwise like .register().
+         *
+         * @param {string} url     the url of the enrollment service
+         * @param {object} config  the secret, code and handlers
+         * @returns {Promise}      promise for the HttpResponse
+         */
+        enrollTotp : function(url, config) {
+            var self = this;
+            var call;
+
+            config = config || {};
+
+            try {
+                call = this.prepareAccountCall(url, config);
+                fromBase32(config.secret);
+                expectString(config.code);
+
+                if (!this.isLoggedIn()) {
+                    throw new AuthenticationError('Can not enroll a ' +
+                        'second factor without being logged in.',
+                        'NO_CREDENTIALS');
+                }
+            } catch (err) {
+                return abortable(failEarly(err, config.failure), null);
+            }
+
+            var promise = this.verifyTotp(config.secret, config.code,
+                config.totp
+            ).then(function(valid) {
+                if (!valid) {
+                    throw new AuthenticationError('The code does not ' +
+                        'match the secret.', 'INVALID_CODE');
+                }
+
+                return self.postAccount(call, {
+                    secret : config.secret,
+                    code   : config.code.replace(/\s+/g, '')
+                }, true);
+            });
+
+            return this.settleAccountCall(call, config, promise);
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                                 OAuth                              //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Logs in through an OAuth 2.0 provider using the authorization
+         * code flow with PKCE. The config object can contain the following
+         * keys:
+         * <ul>
+         *     <li>config.authorizeUrl:  The authorization endpoint
+         *     <li>config.tokenUrl:      The token endpoint
+         *     <li>config.clientId:      The client id of the application
+         *     <li>config.redirectUri:   The callback page registered with
+         *                               the provider
+         *     <li>config.scope:         Optional. A string or an array of
+         *                               scopes
+         *     <li>config.params:        Optional. Extra parameters of the
+         *                               authorization request
+         *     <li>config.display:       'redirect' (default) to navigate
+         *                               to the provider, 'popup' to open
+         *                               it in a window, or a function
+         *                               that takes the authorization url
+         *                               and returns (a promise for) the
+         *                               callback url
+         *     <li>config.popupFeatures: Optional. The features of the
+         *                               popup window
+         *     <li>config.username:      Optional. The username to log in
+         *                               as
+         *     <li>config.remember:      True to store the session in the
+         *                               local storage (default false)
+         *     <li>config.success:       Invoked with the body and status
+         *                               of the token response
+         *     <li>config.failure:       Invoked with the body and status
+         *                               if the login failed
+         * </ul>
+         *
+         * The 'timeout' and 'signal' keys apply like for .login(). In the
+         * 'redirect' display, the promise resolves to null once the browser
+         * is sent to the provider, and the login is finished by calling
+         * .completeOAuthLogin() on the callback page. Otherwise, the
+         * promise resolves to the token response once logged in. A popup
+         * is opened right away, so call this from a click handler.
+         * <p>
+         * The tokens become the session of this instance, just like in the
+         * 'token' mode, so .isLoggedIn(), .send() and .logout() use them
+         * and the refresh token is sent to the token endpoint. Unless set,
+         * the username is read from the 'preferred_username', 'email' or
+         * 'sub' claim of the ID token or of the access token.
+         *
+         * @param {object} config  the provider and handlers
+         * @returns {Promise}      promise for the token response
+         */
+        loginWithOAuth : function(config) {
+            var self = this;
+            var display, success, failure, controller, options;
+
+            config = config || {};
+
+            try {
+                expectString(config.authorizeUrl);
+                expectString(config.tokenUrl);
+                expectString(config.clientId);
+                expectString(config.redirectUri);
+
+                display = typeof(config.display) === 'undefined'
+                    ? 'redirect' : config.display;
+
+                if (display !== 'redirect' && display !== 'popup'
+                &&  typeof(display) !== 'function') {
+                    throw new ValidationError('Expected "display" to be ' +
+                        '"redirect", "popup" or a function.');
+                }
+
+                if (typeof(display) === 'string'
+                &&  (typeof(window.location) === 'undefined'
+                ||   (display === 'popup'
+                &&    typeof(window.open) !== 'function'))) {
+                    throw new ValidationError('The "' + display + '" ' +
+                        'display requires a browser.', 'UNSUPPORTED');
+                }
+
+                success    = functionOr(config.success, noop);
+                failure    = functionOr(config.failure, noop);
+                controller = createController(config.signal);
+                options    = this.requestOptions(config, controller);
+            } catch (err) {
+                return abortable(failEarly(err, config.failure), null);
+            }
+
+            if (this.localStore === null) {
+                this.configureStorage();
+            }
+
+            var pending = {
+                state       : randomHex(16),
+                tokenUrl    : resolveUrl(this.baseUrl, config.tokenUrl),
+                clientId    : config.clientId,
+                redirectUri : config.redirectUri,
+                username    : typeof(config.username) === 'string'
+                    ? config.username : null,
+                remember    : booleanOr(config.remember, false)
+            };
+
+            // Popups have to be opened before anything async happens, or
+            // they are blocked.
+            var popup = null;
+            if (display === 'popup') {
+                popup = window.open('about:blank', OAUTH_WINDOW,
+                    typeof(config.popupFeatures) === 'string'
+                        ? config.popupFeatures : 'width=500,height=650');
+
+                if (!popup) {
+                    return abortable(failEarly(new AuthenticationError(
+                        'The login window was blocked.', 'OAUTH_CANCELLED'),
+                        config.failure), null);
+                }
+            }
+
+            var promise = createPkce().then(function(pkce) {
+                var params = {
+                    response_type         : 'code',
+                    client_id             : config.clientId,
+                    redirect_uri          : config.redirectUri,
+                    scope                 : Array.isArray(config.scope)
+                        ? config.scope.join(' ') : config.scope,
+                    state                 : pending.state,
+                    code_challenge        : pkce.challenge,
+                    code_challenge_method : 'S256'
+                };
+
+                Object.keys(config.params || {}).forEach(function(name) {
+                    params[name] = config.params[name];
+                });
+
+                var url = appendQuery(
+                    resolveUrl(self.baseUrl, config.authorizeUrl),
+                    buildQuery(params));
+
+                pending.verifier = pkce.verifier;
+
+                if (display === 'redirect') {
+                    var store = self.sessionStore;
+                    store.set(self.namespace + '.oauth',
+                        JSON.stringify(pending));
+
+                    return Promise.resolve(typeof(store.flush) === 'function'
+                        ? store.flush() : null
+                    ).then(function() {
+                        window.location.assign(url);
+                        return null;
+                    });
+                }
+
+                var callback;
+                if (popup !== null) {
+                    popup.location.href = url;
+                    callback = waitForPopup(popup, options.signal || null);
+                } else {
+                    callback = Promise.resolve(display(url));
+                }
+
+                return callback.then(function(callbackUrl) {
+                    return self.exchangeOAuthCode(expectString(callbackUrl),
+                        pending, options);
+                });
+            }).then(function(res) {
+                if (res !== null) {
+                    success(res.data, res.status);
+                }
+                return res;
+            }).catch(function(err) {
+                notifyFailure(failure, err);
+                throw err;
+            });
+
+            return abortable(handledIf(promise,
+                typeof(config.failure) === 'function'), controller);
+        },
+
+        /**
+         * Finishes an OAuth login on the callback page. The url defaults to
+         * the location of the page. If it has no authorization code or
+         * error, nothing happens and the promise resolves to null, so this
+         * can be called on every page load once .start() is ready.
+         * <p>
+         * In the popup of a 'popup' login, the url is posted to the window
+         * that opened it and the popup is closed. Otherwise, the 'state' is
+         * checked against the login started by .loginWithOAuth() and the
+         * code is exchanged for the tokens. The config object can contain
+         * the 'success', 'failure', 'timeout' and 'signal' keys.
+         *
+         * @param {string} url     the callback url (optional)
+         * @param {object} config  the handlers (optional)
+         * @returns {Promise}      promise for the token response
+         */
+        completeOAuthLogin : function(url, config) {
+            var self = this;
+            var result, success, failure, controller, options;
+
+            config = config || {};
+
+            try {
+                if (typeof(url) === 'undefined' || url === null) {
+                    if (typeof(window.location) === 'undefined') {
+                        throw new ValidationError('Expected the callback ' +
+                            'url outside of a browser.', 'UNSUPPORTED');
+                    }
+                    url = window.location.href;
+                }
+
+                result     = readCallback(expectString(url));
+                success    = functionOr(config.success, noop);
+                failure    = functionOr(config.failure, noop);
+                controller = createController(config.signal);
+                options    = this.requestOptions(config, controller);
+            } catch (err) {
+                return abortable(failEarly(err, config.failure), null);
+            }
+
+            if (result === null) {
+                return abortable(Promise.resolve(null), null);
+            }
+
+            if (window.name === OAUTH_WINDOW
+            &&  window.opener && window.opener !== window) {
+                window.opener.postMessage({type : OAUTH_WINDOW, url : url},
+                    window.location.origin);
+                window.close();
+                return abortable(Promise.resolve(null), null);
+            }
+
+            if (this.localStore === null) {
+                this.configureStorage();
+            }
+
+            var key     = this.namespace + '.oauth';
+            var pending = null;
+
+            try {
+                pending = JSON.parse(this.sessionStore.get(key));
+            } catch (e) {
+                pending = null;
+            }
+            this.sessionStore.remove(key);
+
+            var promise = (pending === null || typeof(pending) !== 'object'
+                ? Promise.reject(new AuthenticationError('There is no ' +
+                    'OAuth login to complete.', 'INVALID_STATE'))
+                : this.exchangeOAuthCode(url, pending, options)
+            ).then(function(res) {
+                success(res.data, res.status);
+                return res;
+            }).catch(function(err) {
+                notifyFailure(failure, err);
+                throw err;
+            });
+
+            return abortable(handledIf(promise,
+                typeof(config.failure) === 'function'), controller);
+        },
+
+        /**
+         * Checks the callback url of an OAuth login against the pending
+         * login and exchanges the code for the tokens, starting the
+         * session.
+         *
+         * @param {string} url      the callback url
+         * @param {object} pending  the 'state', 'verifier' and client of
+         *                          the login
+         * @param {object} options  the request options
+         * @returns {Promise}       promise for the token response
+         */
+        exchangeOAuthCode : function(url, pending, options) {
+            var self   = this;
+            var result = readCallback(url);
+
+            if (result === null || result.state !== pending.state) {
+                return Promise.reject(new AuthenticationError('The state ' +
+                    'of the callback does not match the login.',
+                    'INVALID_STATE'));
+            }
+
+            if (result.error !== null) {
+                return Promise.reject(new AuthenticationError(
+                    result.description || 'The provider refused the ' +
+                        'login: ' + result.error + '.',
+                    result.error === 'access_denied'
+                        ? 'OAUTH_CANCELLED' : 'OAUTH_ERROR'));
+            }
+
+            return request('POST', pending.tokenUrl,
+                {'Content-Type' : 'application/x-www-form-urlencoded'},
+                buildQuery({
+                    grant_type    : 'authorization_code',
+                    code          : result.code,
+                    redirect_uri  : pending.redirectUri,
+                    client_id     : pending.clientId,
+                    code_verifier : pending.verifier
+                }), options
+            ).then(function(res) {
+                if (!res.isSuccess()) {
+                    throw res.failure !== null || res.status >= 500
+                        ? errorFor(res)
+                        : new AuthenticationError('The provider refused ' +
+                            'the authorization code.', 'OAUTH_ERROR', res);
+                }
+
+                var token = parseToken(res.data, self.tokenOptions, null);
+                if (token === null) {
+                    throw new AuthenticationError('The response of "' +
+                        pending.tokenUrl + '" has no access token.',
+                        'MISSING_TOKEN', res);
+                }
+
+                token.oauth = {
+                    tokenUrl : pending.tokenUrl,
+                    clientId : pending.clientId
+                };
+
+                var claims = (typeof(res.data.id_token) === 'string'
+                    ? decodeJwt(res.data.id_token) : null)
+                    || decodeJwt(token.access) || {};
+                var username = pending.username || claims.preferred_username
+                    || claims.email || claims.sub || '';
+
+                self.startSession(String(username), {
+                    password : null,
+                    token    : token,
+                    response : res
+                }, pending.remember === true, 'oauth');
+
+                return res;
+            });
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                             Authorization                          //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Configures where the roles and permissions of the user are read
+         * from when logging in and when the token is refreshed. The
+         * options object can contain the following keys:
+         * <ul>
+         *     <li>options.rolesField:       Default 'roles'
+         *     <li>options.permissionsField: Default 'permissions'
+         *     <li>options.scopeField:       Read as the permissions if
+         *                                   there are none (default
+         *                                   'scope')
+         *     <li>options.extract:          A function that takes the
+         *                                   response body and the claims
+         *                                   of the access token and
+         *                                   returns the 'roles' and the
+         *                                   'permissions'
+         * </ul>
+         *
+         * The fields are looked up in the body of the response first and
+         * then in the claims of the access token, if it is a JWT. They can
+         * be paths like 'user.roles' and hold either arrays or strings
+         * separated by spaces or commas. The token is not verified, so the
+         * claims are only fit for deciding what to show. The server must
+         * still authorize every request.
+         *
+         * @param {object} options  the claim options
+         * @returns {Security}      this instance
+         */
+        configureClaims : function(options) {
+            var merged = mergeOptions(this.claimOptions, options);
+
+            ['rolesField', 'permissionsField', 'scopeField']
+                .forEach(function(key) {
+                    if (merged[key] !== null) {
+                        expectString(merged[key]);
+                    }
+                });
+
+            if (merged.extract !== null) {
+                expectFunction(merged.extract);
+            }
+
+            this.claimOptions = merged;
+            return this;
+        },
+
+        /**
+         * Reads the roles and permissions again from a response body and
+         * the current token, keeping the current ones that are not found.
+         *
+         * @param {object} data  the response body
+         * @returns {Security}   this instance
+         */
+        updateClaims : function(data) {
+            var claims = extractClaims(data, this.token, this.claimOptions);
+
+            if (claims.roles !== null) {
+                this.roles = claims.roles;
+            }
+
+            if (claims.permissions !== null) {
+                this.permissions = claims.permissions;
+            }
+
+            return this;
+        },
+
+        /**
+         * Returns the roles of the logged in user.
+         *
+         * @returns {Array}  the roles
+         */
+        getRoles : function() {
+            return this.roles.slice();
+        },
+
+        /**
+         * Returns the permissions of the logged in user.
+         *
+         * @returns {Array}  the permissions
+         */
+        getPermissions : function() {
+            return this.permissions.slice();
+        },
+
+        /**
+         * Returns true if the logged in user has the specified role. If an
+         * array is specified, any of the roles is enough.
+         *
+         * @param {string|Array} role  the role or roles
+         * @returns {boolean}          true if the user has it, else false
+         */
+        hasRole : function(role) {
+            var roles = this.roles;
+            return this.isLoggedIn() && [].concat(role).some(function(r) {
+                return roles.indexOf(expectString(r)) >= 0;
+            });
+        },
+
+        /**
+         * Returns true if the logged in user has the specified permission.
+         * The permissions of the user may contain '*' as a wildcard, so
+         * 'read:*' grants 'read:articles' and '*' grants everything.
+         * If an array is specified, all of the permissions are required.
+         *
+         * @param {string|Array} permission  the permission or permissions
+         * @returns {boolean}                true if granted, else false
+         */
+        hasPermission : function(permission) {
+            var granted = this.permissions;
+            return this.isLoggedIn()
+                && [].concat(permission).every(function(p) {
+                    expectString(p);
+                    return granted.some(function(pattern) {
+                        return matchesWildcard(pattern, p);
+                    });
+                });
+        },
+
+        /**
+         * Returns true if the logged in user may perform an action on a
+         * resource, meaning that it has the permission 'action:resource'.
+         * If no resource is specified, the permission is just the action.
+         *
+         * @param {string} action    the action, like 'read'
+         * @param {string} resource  the resource, like 'articles'
+         * @returns {boolean}        true if allowed, else false
+         */
+        can : function(action, resource) {
+            expectString(action);
+            return this.hasPermission(typeof(resource) === 'undefined'
+                ? action : action + ':' + expectString(resource));
+        },
+
+        /**
+         * Returns true if the logged in user meets a requirement. The
+         * requirement is either a permission, a function that takes this
+         * instance and returns true if it is met, or an object with any of
+         * the following keys:
+         * <ul>
+         *     <li>role:       A role or an array of roles, any of which
+         *                     is enough
+         *     <li>permission: A permission or an array of permissions,
+         *                     all of which are required
+         *     <li>action:     An action that .can() must allow, on the
+         *                     'resource' if set
+         *     <li>test:       A function like above
+         * </ul>
+         *
+         * All keys that are set must be met. An empty object only requires
+         * the user to be logged in.
+         *
+         * @param {string|function|object} requirement  the requirement
+         * @returns {boolean}  true if met, else false
+         */
+        isAuthorized : function(requirement) {
+            if (typeof(requirement) === 'string') {
+                requirement = {permission : requirement};
+            } else if (typeof(requirement) === 'function') {
+                requirement = {test : requirement};
+            } else if (typeof(requirement) !== 'object'
+                   ||  requirement === null) {
+                throw new ValidationError('Expected the requirement to be ' +
+                    'a string, a function or an object.');
+            }
+
+            return this.isLoggedIn()
+                && (typeof(requirement.role) === 'undefined'
+                    || this.hasRole(requirement.role))
+                && (typeof(requirement.permission) === 'undefined'
+                    || this.hasPermission(requirement.permission))
+                && (typeof(requirement.action) === 'undefined'
+                    || this.can(requirement.action, requirement.resource))
+                && (typeof(requirement.test) === 'undefined'
+                    || expectFunction(requirement.test)(this) === true);
+        },
+
+        /**
+         * Configures the guards that block requests and client routes the
+         * user is not authorized for. The options object can contain the
+         * following keys:
+         * <ul>
+         *     <li>options.requests: Rules for requests made through
+         *                           .send(). Each has an 'url' pattern,
+         *                           an optional 'method' or array of
+         *                           methods and the keys of a requirement
+         *                           (see .isAuthorized())
+         *     <li>options.routes:   Rules for .canNavigate(). Each has a
+         *                           'path' pattern and the keys of a
+         *                           requirement
+         * </ul>
+         *
+         * Patterns may contain '*' as a wildcard. Patterns with a protocol
+         * are matched against the full url without the query, others only
+         * against the path. A request or route must meet the requirements
+         * of every rule that matches it. Either list replaces the current
+         * one.
+         *
+         * @param {object} options  the guard options
+         * @returns {Security}      this instance
+         */
+        configureGuards : function(options) {
+            options = mergeOptions({
+                requests : undefined,
+                routes   : undefined
+            }, options);
+
+            if (typeof(options.requests) !== 'undefined') {
+                this.guards.requests = [].concat(options.requests)
+                    .map(function(rule) {
+                        return guardRule(rule, 'url');
+                    });
+            }
+
+            if (typeof(options.routes) !== 'undefined') {
+                this.guards.routes = [].concat(options.routes)
+                    .map(function(rule) {
+                        return guardRule(rule, 'path');
+                    });
+            }
+
+            return this;
+        },
+
+        /**
+         * Returns the requirement of the first guard rule that matches the
+         * url and is not met, or null if the user is authorized.
+         *
+         * @param {Array} rules    the guard rules
+         * @param {string} method  the upper case method, or '*'
+         * @param {string} url     the url or path
+         * @returns {object}       the unmet requirement, or null
+         */
+        unmetGuard : function(rules, method, url) {
+            for (var i = 0; i < rules.length; i++) {
+                var rule = rules[i];
+                if ((method === '*' || rule.methods.indexOf('*') >= 0
+                    || rule.methods.indexOf(method) >= 0)
+                &&  matchesWildcard(rule.pattern,
+                        guardTarget(rule.pattern, url))
+                &&  !this.isAuthorized(rule.requirement)) {
+                    return rule.requirement;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Returns true if the guards allow the user to send a request with
+         * the specified method to the specified url.
+         *
+         * @param {string} method  the HTTP request method
+         * @param {string} url     the url of the request
+         * @returns {boolean}      true if allowed, else false
+         */
+        canSend : function(method, url) {
+            return this.unmetGuard(this.guards.requests,
+                expectString(method).toUpperCase(),
+                resolveUrl(this.baseUrl, expectString(url))) === null;
+        },
+
+        /**
+         * Returns true if the guards allow the user to navigate to the
+         * specified client route. Can be used as the navigation guard of
+         * a router. If not allowed, the 'forbidden' event is emitted.
+         *
+         * @param {string} path  the path of the route
+         * @returns {boolean}    true if allowed, else false
+         */
+        canNavigate : function(path) {
+            var unmet = this.unmetGuard(
+                this.guards.routes, '*', expectString(path));
+
+            if (unmet !== null) {
+                this.emit('forbidden', {path : path, requirement : unmet});
+            }
+
+            return unmet === null;
+        },
+
+        /**
+         * Checks a request against the request guards and the 'requires'
+         * of its config. If the user is not authorized to send it, the
+         * 'forbidden' event is emitted and a Security.AuthorizationError
+         * is thrown.
+         *
+         * @param {object} req  the request
+         * @param {string|function|object} requires  the requirement of
+         *                                           the config, or
+         *                                           undefined
+         * @returns {Security}  this instance
+         */
+        guardRequest : function(req, requires) {
+            var method = req.method.toUpperCase();
+            var unmet  = this.unmetGuard(this.guards.requests, method,
+                req.url);
+
+            if (typeof(requires) !== 'undefined'
+            &&  !this.isAuthorized(requires)) {
+                unmet = requires;
+            }
+
+            if (unmet !== null) {
+                this.emit('forbidden', {
+                    method      : req.method,
+                    url         : req.url,
+                    requirement : unmet
+                });
+                throw new AuthorizationError('Not authorized to send ' +
+                    req.method + ' "' + req.url + '".', unmet);
+            }
+
+            return this;
+        },
+
         ////////////////////////////////////////////////////////////////////////
-        //                            Dependencies                            //
+        //                                Retries                             //
         ////////////////////////////////////////////////////////////////////////
-        
-        var bcrypt = dcodeIO.bcrypt;
-        
+
+        /**
+         * Configures the default policy for retrying requests made through
+         * .send() that failed for transient reasons. The options can be
+         * false to disable retries, a number of attempts or an object with
+         * the following keys:
+         * <ul>
+         *     <li>options.attempts:  Total number of attempts (default 1)
+         *     <li>options.methods:   Methods to retry (default the
+         *                            idempotent ones)
+         *     <li>options.statuses:  Status codes to retry (default 0 for
+         *                            network errors, 408, 429, 502, 503
+         *                            and 504)
+         *     <li>options.baseDelay: Delay before the first retry in
+         *                            milliseconds (default 300)
+         *     <li>options.maxDelay:  Longest delay in milliseconds
+         *                            (default 30000)
+         * </ul>
+         *
+         * The delay doubles with every attempt and has a random jitter. If
+         * the server sends a 'Retry-After' header, it is used instead. The
+         * policy can be overridden for a single request using the
+         * 'config.retry' option of .send(). Aborting a request also
+         * cancels the retries it is waiting for.
+         *
+         * @param {object|number|boolean} options  the retry options
+         * @returns {Security}                     this instance
+         */
+        configureRetry : function(options) {
+            this.retryPolicy = mergeRetry(this.retryPolicy, options);
+            return this;
+        },
+
+        /**
+         * Dispatches a request, retrying it according to the specified
+         * policy if it fails for a transient reason. If the signal of the
+         * request aborts while waiting for a retry, the request is not
+         * retried and the response is the same as if it was aborted while
+         * in flight.
+         *
+         * @param {object} req     the request to send
+         * @param {object} policy  the retry policy
+         * @returns {Promise}      promise for the final HttpResponse
+         */
+        dispatchWithRetry : function(req, policy) {
+            var self    = this;
+            var aborted = function() {
+                return HttpResponse.failed('abort',
+                    'Request to "' + req.url + '" was aborted.');
+            };
+
+            var attempt = function(count) {
+                return self.dispatch(req, false).then(function(res) {
+                    var delay = retryDelay(policy, req.method, count, res);
+                    if (delay < 0) {
+                        return res;
+                    }
+
+                    return wait(delay, req.signal || null).then(function() {
+                        return attempt(count + 1);
+                    }, aborted);
+                });
+            };
+
+            return attempt(1);
+        },
+
         ////////////////////////////////////////////////////////////////////////
-        //                           Internal methods                         //
+        //                             Offline Queue                          //
         ////////////////////////////////////////////////////////////////////////
-        
+        MemoryQueue    : MemoryQueue,
+        IndexedDbQueue : IndexedDbQueue,
+
         /**
-         * Takes a parameter and if it is a valid string, returns it. Otherwise,
-         * an exception is thrown.
-         * 
-         * @param {string} s  the value to check
-         * @returns {string}  the value inputted
+         * Enables or disables the offline mode. In the offline mode,
+         * mutating requests ('POST', 'PUT', 'PATCH' and 'DELETE') made
+         * through .send() while the browser is offline, or that fail with
+         * a network error, are stored in a queue instead of failing. They
+         * resolve to a response with the status 202 and the data
+         * '{queued : true, id : id}'.
+         * <p>
+         * The queued requests are replayed in order when the browser comes
+         * back online, or when the same user logs in again. They are
+         * authenticated anew when replayed. The options can be true, false
+         * or an object with the following keys:
+         * <ul>
+         *     <li>options.queue:      A custom queue. By default, the
+         *                             requests are stored in IndexedDB.
+         *     <li>options.onReplay:   Invoked with the entry and the
+         *                             response when a replay succeeds
+         *     <li>options.onConflict: Invoked with the entry and the
+         *                             response if the server responds
+         *                             with 409 or 412
+         *     <li>options.onFailure:  Invoked with the entry and the
+         *                             error if a replay fails otherwise
+         * </ul>
+         *
+         * Entries that conflict or fail are removed from the queue. If
+         * IndexedDB is not available, the requests are kept in memory and
+         * a 'warning' is emitted. If a replay started by the browser
+         * coming online fails, the error is passed to the 'error'
+         * handlers.
+         *
+         * @param {object|boolean} options  the offline options
+         * @returns {Security}              this instance
          */
-        var expectString = function(s) {
-            if (typeof(s) === 'string') {
-                return s;
-            } else {
-                throw 'Specified value "' + s + '" is not a string.';
+        configureOffline : function(options) {
+            var self = this;
+
+            if (this.onOnline !== null) {
+                window.removeEventListener('online', this.onOnline);
+                this.onOnline = null;
             }
-        };
+
+            if (options === false || options === null) {
+                this.offline = null;
+                return this;
+            }
+
+            options = options === true ? {} : options;
+            this.offline = {
+                onReplay   : functionOr(options.onReplay, noop),
+                onConflict : functionOr(options.onConflict, noop),
+                onFailure  : functionOr(options.onFailure, noop)
+            };
+
+            this.queue = resolveQueue(options.queue,
+                this.namespace + '.offline', function(message) {
+                    self.emit('warning', {message : message});
+                });
+
+            if (typeof(window.addEventListener) === 'function') {
+                this.onOnline = function() {
+                    self.replayQueue().catch(function(err) {
+                        self.emit('error', {error : err});
+                    });
+                };
+                window.addEventListener('online', this.onOnline);
+            }
+
+            return this;
+        },
 
         /**
-         * Takes a parameter and if it is a valid number, returns it. Otherwise,
-         * an exception is thrown.
-         * 
-         * @param {number} n  the value to check
-         * @returns {number}  the value inputted
+         * Stores a request in the offline queue. The Authorization header
+         * is left out, since the request is authenticated again when it
+         * is replayed. If the body can not be stored, like a stream, the
+         * promise rejects with a Security.ValidationError.
+         *
+         * @param {object} req  the request to store
+         * @returns {Promise}   promise for the 202 HttpResponse
          */
-        var expectNumber = function(n) {
-            if (typeof(n) === 'number') {
-                return n;
-            } else {
-                throw 'Specified value "' + n + '" is not a number.';
+        enqueue : function(req) {
+            var self    = this;
+            var headers = {};
+            var body;
+
+            try {
+                body = storableBody(req.body);
+            } catch (err) {
+                return Promise.reject(err);
             }
-        };
-        
+
+            Object.keys(req.headers).forEach(function(name) {
+                if (name.toLowerCase() !== 'authorization') {
+                    headers[name] = req.headers[name];
+                }
+            });
+
+            var entry = {
+                method       : req.method,
+                url          : req.url,
+                headers      : headers,
+                body         : body,
+                responseType : req.responseType,
+                username     : this.username,
+                queuedAt     : clock.now()
+            };
+
+            return this.queue.add(entry).then(function(id) {
+                entry.id = id;
+                self.emit('queued', {entry : entry});
+                return new HttpResponse({queued : true, id : id}, 202, {});
+            });
+        },
+
         /**
-         * Takes a parameter and if it is a valid function, returns it. 
-         * Otherwise, an exception is thrown.
-         * 
-         * @param {function} f  the value to check
-         * @returns {function}  the value inputted
+         * Returns a promise for all requests currently in the offline
+         * queue, in the order they will be replayed. Each entry has the
+         * fields 'id', 'method', 'url', 'headers', 'body', 'responseType',
+         * 'username' and 'queuedAt'. A FormData body is stored as an
+         * object with the list of its entries in 'formData'.
+         *
+         * @returns {Promise}  promise for the entries
          */
-        var expectFunction = function(f) {
-            if (typeof(f) === 'function') {
-                return f;
-            } else {
-                throw 'Specified value "' + f + '" is not a function.';
+        getQueue : function() {
+            return this.queue === null
+                ? Promise.resolve([])
+                : this.queue.list();
+        },
+
+        /**
+         * Removes the entry with the specified id from the offline queue,
+         * or all entries if no id is specified.
+         *
+         * @param {number} id  the id of the entry, or undefined
+         * @returns {Promise}  promise that resolves when removed
+         */
+        purgeQueue : function(id) {
+            if (this.queue === null) {
+                return Promise.resolve();
             }
-        };
+
+            return typeof(id) === 'undefined'
+                ? this.queue.clear()
+                : this.queue.remove(id);
+        },
 
         /**
-         * If the first parameter is a valid function, return it. If it is
-         * undefined, return the second parameter. If the first parameter is of
-         * an unknown type (not a function or undefined), throw an exception.
-         * 
-         * @param {function} f          the value to check
-         * @param {function} otherwise  value to return if f is undefined
-         * @returns {function}          either 'f' (if function) or 'otherwise'
-         */
-        var functionOr = function(f, otherwise) {
-            if (typeof(f) === 'function') {
-                return f;
-            } else if (typeof(f) === 'undefined') {
-                return otherwise;
-            } else {
-                throw 'Expected function, but got "' + typeof(f) + '".';
+         * Replays the requests in the offline queue one at a time, in the
+         * order they were added. Only requests queued by the currently
+         * logged in user are replayed. They pass through the interceptors
+         * and the request guards like the requests of .send(). If a
+         * request fails with a network error again, the replay stops and
+         * is resumed the next time the browser comes online.
+         *
+         * @returns {Promise}  promise that resolves when the replay is done
+         */
+        replayQueue : function() {
+            var self = this;
+
+            if (this.offline === null || isOffline() || !this.isLoggedIn()) {
+                return Promise.resolve();
             }
-        };
-        
+
+            if (this.replaying !== null) {
+                return this.replaying;
+            }
+
+            var options = this.offline;
+            var next    = function(entries) {
+                if (entries.length === 0) {
+                    return;
+                }
+
+                var entry = entries[0];
+                if (entry.username !== self.username) {
+                    return next(entries.slice(1));
+                }
+
+                var headers = {};
+                Object.keys(entry.headers).forEach(function(name) {
+                    headers[name] = entry.headers[name];
+                });
+
+                return self.sendPrepared({
+                    method       : entry.method,
+                    url          : entry.url,
+                    headers      : headers,
+                    body         : restoreBody(entry.body),
+                    responseType : entry.responseType,
+                    transport    : self.transport
+                }, undefined, function(req) {
+                    return self.dispatchWithRetry(req, self.retryPolicy);
+                }).then(function(res) {
+                    options.onReplay(entry, res);
+                    return true;
+                }, function(err) {
+                    if (err instanceof NetworkError) {
+                        return false;
+                    } else if (err instanceof HttpError
+                    && (err.status === 409 || err.status === 412)) {
+                        options.onConflict(entry, err.response);
+                    } else {
+                        options.onFailure(entry, err);
+                    }
+                    return true;
+                }).then(function(done) {
+                    if (done) {
+                        return self.queue.remove(entry.id).then(function() {
+                            return next(entries.slice(1));
+                        });
+                    }
+                });
+            };
+
+            var replay = function() {
+                return self.queue.list().then(next);
+            };
+
+            // Every tab is notified when the browser comes online, so a
+            // lock is used where supported to only replay each entry once.
+            var locks = typeof(window.navigator) === 'undefined'
+                ? undefined : window.navigator.locks;
+
+            this.replaying = (typeof(locks) === 'undefined'
+                ? replay()
+                : locks.request(this.namespace + '.offline', replay)
+            ).then(function() {
+                self.replaying = null;
+            }, function(err) {
+                self.replaying = null;
+                throw err;
+            });
+
+            return this.replaying;
+        },
+
         /**
-         * If the first parameter is a valid boolean, return it. If it is
-         * undefined, return the second parameter. If the first parameter is of
-         * an unknown type (not a boolean or undefined), throw an exception.
-         * 
-         * @param {boolean} b          the value to check
-         * @param {boolean} otherwise  value to return if f is undefined
-         * @returns {boolean}          either 'b' (if boolean) or 'otherwise'
-         */
-        var booleanOr = function(b, otherwise) {
-            if (typeof(b) === 'boolean') {
-                return b;
-            } else if (typeof(b) === 'undefined') {
-                return otherwise;
-            } else {
-                throw 'Expected boolean, but got "' + typeof(b) + '".';
+         * Dispatches a request with retries, or stores it in the offline
+         * queue if the offline mode is enabled, the request is mutating
+         * and the browser is offline or the request fails with a network
+         * error.
+         *
+         * @param {object} req     the request to send
+         * @param {object} policy  the retry policy
+         * @returns {Promise}      promise for the HttpResponse
+         */
+        dispatchOrQueue : function(req, policy) {
+            var self      = this;
+            var queueable = this.offline !== null
+                && MUTATING_METHODS.indexOf(req.method.toUpperCase()) >= 0;
+
+            if (queueable && isOffline()) {
+                return this.enqueue(req);
             }
-        };
-        
-        
+
+            return this.dispatchWithRetry(req, policy).then(function(res) {
+                return queueable && res.failure === 'network'
+                    ? self.enqueue(req)
+                    : res;
+            });
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                           Re-Authentication                        //
+        ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Invokes the 'reauthenticate' handler specified in .configure(),
+         * for example to show a login dialog or to refresh a token. The
+         * handler gets the 'unauthorized' event that caused it and should
+         * return a promise that resolves once the user is authenticated
+         * again, or rejects if it was cancelled.
+         * <p>
+         * If a re-authentication is already in progress, the same promise
+         * is returned, so that all requests failing in the meantime wait
+         * for the same handler.
+         *
+         * @param {object} cause  the 'unauthorized' event
+         * @returns {Promise}     promise that resolves when authenticated
+         */
+        reauthenticate : function(cause) {
+            var self = this;
+
+            if (this.reauthHandler === null) {
+                return Promise.reject(new AuthenticationError(
+                    'No re-authentication handler.',
+                    'REAUTHENTICATION_UNAVAILABLE'));
+            }
+
+            if (this.reauthenticating === null) {
+                var handler = this.reauthHandler;
+                this.reauthenticating = Promise.resolve().then(function() {
+                    return handler(cause);
+                }).then(function() {
+                    self.reauthenticating = null;
+                }, function(err) {
+                    self.reauthenticating = null;
+                    throw err;
+                });
+            }
+
+            return this.reauthenticating;
+        },
+
+        /**
+         * Authenticates and sends a request as the current user. If the
+         * server responds with 401 and a 'reauthenticate' handler is
+         * configured, the request is queued until the user has been
+         * authenticated again and then replayed once. If the
+         * re-authentication is cancelled, the 401 response is returned.
+         *
+         * @param {object} req       the request to send
+         * @param {boolean} replay   true if this is already a replay
+         * @returns {Promise}        promise for the HttpResponse
+         */
+        dispatch : function(req, replay) {
+            var self = this;
+
+            return this.credentials().then(function(creds) {
+                return exchange(self.activeScheme(), req, creds);
+            }).then(function(res) {
+                if (res.status !== 401) {
+                    return res;
+                }
+
+                var cause = {
+                    method   : req.method,
+                    url      : req.url,
+                    response : res
+                };
+
+                self.emit('unauthorized', cause);
+
+                if (replay || self.reauthHandler === null) {
+                    return res;
+                }
+
+                return self.reauthenticate(cause).then(function() {
+                    return self.dispatch(req, true);
+                }, function() {
+                    return res;
+                });
+            });
+        },
+
+        ////////////////////////////////////////////////////////////////////////
+        //                             Interceptors                           //
+        ////////////////////////////////////////////////////////////////////////
+        HttpResponse : HttpResponse,
+
+        /**
+         * Adds an interceptor to the end of the chain that every request
+         * made through .send() passes through. The interceptor is an
+         * object with any of the following methods:
+         * <ul>
+         *     <li>request(req): Invoked before the request is
+         *         authenticated and sent. May modify the 'method', 'url',
+         *         'headers' and 'body' of the request or return a new
+         *         one. Returning a Security.HttpResponse skips the network
+         *         and uses that response instead.
+         *     <li>response(res, req): Invoked with every response before
+         *         it is checked for success. May return another response.
+         *     <li>error(err, req): Invoked if the request failed, with
+         *         a Security.HttpError, a Security.NetworkError or the
+         *         exception. Returning a
+         *         Security.HttpResponse recovers from the failure. To
+         *         fail with a different reason, throw it.
+         * </ul>
+         *
+         * All methods may return a promise. Interceptors are invoked in
+         * the order they were added. The request guards are checked again
+         * on the request returned by the interceptors, and a request they
+         * block is not passed to 'error'.
+         *
+         * @param {object} interceptor  the interceptor to add
+         * @returns {Security}          this instance
+         */
+        addInterceptor : function(interceptor) {
+            if (interceptor === null || typeof(interceptor) !== 'object') {
+                throw new ValidationError(
+                    'Expected interceptor object, but got "' +
+                    typeof(interceptor) + '".');
+            }
+
+            ['request', 'response', 'error'].forEach(function(name) {
+                functionOr(interceptor[name], noop);
+            });
+
+            this.interceptors.push(interceptor);
+            return this;
+        },
+
+        /**
+         * Removes an interceptor previously added using .addInterceptor().
+         *
+         * @param {object} interceptor  the interceptor to remove
+         * @returns {Security}          this instance
+         */
+        removeInterceptor : function(interceptor) {
+            this.interceptors = this.interceptors.filter(function(i) {
+                return i !== interceptor;
+            });
+            return this;
+        },
+
         ////////////////////////////////////////////////////////////////////////
-        //                           Internal classes                         //
+        //                   Authentication in HTTP requests                  //
         ////////////////////////////////////////////////////////////////////////
+
+        /**
+         * Returns the request options for the specified configuration:
+         * the 'timeout', falling back to the configured request timeout,
+         * the 'signal' of the controller or the configuration, the
+         * progress callbacks and the configured transport.
+         *
+         * @param {object} config               the configuration object
+         * @param {AbortController} controller  the controller, or null
+         * @returns {object}                    the request options
+         */
+        requestOptions : function(config, controller) {
+            var timeout = typeof(config.timeout) === 'undefined'
+                ? this.requestTimeout : config.timeout;
+
+            return {
+                timeout : timeout === null ? null : expectNumber(timeout),
+                signal  : controller !== null
+                    ? controller.signal : (config.signal || null),
+                onUploadProgress   : functionOr(
+                    config.onUploadProgress, null),
+                onDownloadProgress : functionOr(
+                    config.onDownloadProgress, null),
+                transport : this.transport
+            };
+        },
+
+        /**
+         * Send a http 'POST' request to the specified url, authenticated
+         * as the currently logged in user.
+         * <p>
+         * The configuration can be left out or be either a callback 
+         * function or an object containing the following keys:
+         * <ul>
+         *     <li>config.data:      Body to send (see .send())
+         *     <li>config.params:    Parameters to add to the query string
+         *     <li>config.headers:   Additional request headers
+         *     <li>config.onSuccess: Callback if the command succeeds
+         *     <li>config.onFailure: Callback if the command fails
+         *     <li>config.retry:     Retry policy for this request
+         *     <li>config.responseType: 'json', 'text', 'blob',
+         *                           'arraybuffer' or 'auto' (default)
+         *     <li>config.timeout:   Milliseconds before the request fails
+         *     <li>config.signal:    AbortSignal that cancels the request
+         *     <li>config.onUploadProgress:   Progress of the upload
+         *     <li>config.onDownloadProgress: Progress of the download
+         *     <li>config.requires:  Requirement the user must meet (see
+         *                           .isAuthorized())
+         * </ul>
+         * 
+         * The callbacks should take two parameters, the first being any
+         * data sent back from the server and the second being the status
+         * code of the request. The failure callback also gets the error
+         * as a third parameter. The data is decoded based on the
+         * Content-Type of the response, or null if the body is empty.
+         * <p>
+         * The returned promise resolves to the HttpResponse if the request
+         * succeeds. It rejects with a Security.HttpError if the server
+         * responds with an error status, or with a Security.NetworkError
+         * if no response was received. Its 'failure' then tells if it was
+         * a 'network' error, a 'timeout' or an 'abort'. The request can
+         * also be cancelled by calling 'abort()' on the returned promise.
+         * 
+         * @param {string} url      the url to send the request to
+         * @param {object|function|string} config  the configuration
+         * @returns {Promise}       promise for the HttpResponse
+         */
+        post : function(url, config) {
+            return this.send('POST', url, config);
+        },
         
         /**
-         * Holds information about a login attempt. If the attempts succeeds,
-         * the 'onSuccess' handler will be invoked with the response from the
-         * server. If not, the 'onFailure' handler will be invoked with the
-         * reponse body.
+         * Send a http 'PUT' request to the specified url, authenticated
+         * as the currently logged in user.
          * <p>
-         * If the 'remember' value is set, the credentials will be stored for
-         * future use in the local storage.
+         * The configuration can be left out or be either a callback 
+         * function or an object containing the following keys:
+         * <ul>
+         *     <li>config.data:      Body to send (see .send())
+         *     <li>config.params:    Parameters to add to the query string
+         *     <li>config.headers:   Additional request headers
+         *     <li>config.onSuccess: Callback if the command succeeds
+         *     <li>config.onFailure: Callback if the command fails
+         *     <li>config.retry:     Retry policy for this request
+         *     <li>config.responseType: 'json', 'text', 'blob',
+         *                           'arraybuffer' or 'auto' (default)
+         *     <li>config.timeout:   Milliseconds before the request fails
+         *     <li>config.signal:    AbortSignal that cancels the request
+         *     <li>config.onUploadProgress:   Progress of the upload
+         *     <li>config.onDownloadProgress: Progress of the download
+         *     <li>config.requires:  Requirement the user must meet (see
+         *                           .isAuthorized())
+         * </ul>
          * 
-         * @constructor
+         * The callbacks should take two parameters, the first being any
+         * data sent back from the server and the second being the status
+         * code of the request. The failure callback also gets the error
+         * as a third parameter. The data is decoded based on the
+         * Content-Type of the response, or null if the body is empty.
+         * <p>
+         * The returned promise resolves to the HttpResponse if the request
+         * succeeds. It rejects with a Security.HttpError if the server
+         * responds with an error status, or with a Security.NetworkError
+         * if no response was received. Its 'failure' then tells if it was
+         * a 'network' error, a 'timeout' or an 'abort'. The request can
+         * also be cancelled by calling 'abort()' on the returned promise.
          * 
-         * @argument {string} username  the username to login with 
-         * @argument {string} password  the unhashed password to login with
-         * @argument {boolean} remember true to store credentials, else false
-         */
-        var LoginSpec = function(username, password, remember) {
-            this.username  = expectString(username);
-            this.password  = expectString(password);
-            this.remember  = booleanOr(remember, false);
-            
-            this.success = function(res) {
-                console.log('Login success! Response: ' + res);
-            };
-            
-            this.failure = function(res, status) {
-                console.error('Login failed with status ' + status + 
-                    '! Response: ' + res);
-            };
-        };
+         * @param {string} url      the url to send the request to
+         * @param {object|function|string} config  the configuration
+         * @returns {Promise}       promise for the HttpResponse
+         */
+        put : function(url, config) {
+            return this.send('PUT', url, config);
+        },
         
         /**
-         * Modified the success handler to be the specified handler function.
+         * Send a http 'GET' request to the specified url, authenticated
+         * as the currently logged in user.
+         * <p>
+         * The configuration can be left out or be either a callback 
+         * function or an object containing the following keys:
+         * <ul>
+         *     <li>config.data:      Parameters to add to the query string
+         *     <li>config.params:    Parameters to add to the query string
+         *     <li>config.headers:   Additional request headers
+         *     <li>config.onSuccess: Callback if the command succeeds
+         *     <li>config.onFailure: Callback if the command fails
+         *     <li>config.retry:     Retry policy for this request
+         *     <li>config.responseType: 'json', 'text', 'blob',
+         *                           'arraybuffer' or 'auto' (default)
+         *     <li>config.timeout:   Milliseconds before the request fails
+         *     <li>config.signal:    AbortSignal that cancels the request
+         *     <li>config.onUploadProgress:   Progress of the upload
+         *     <li>config.onDownloadProgress: Progress of the download
+         *     <li>config.requires:  Requirement the user must meet (see
+         *                           .isAuthorized())
+         * </ul>
+         * 
+         * The callbacks should take two parameters, the first being any
+         * data sent back from the server and the second being the status
+         * code of the request. The failure callback also gets the error
+         * as a third parameter. The data is decoded based on the
+         * Content-Type of the response, or null if the body is empty.
          * <p>
-         * The given function should take the data returned from the server as
-         * its first parameter and the status code of the login request as the
-         * second. Both parameters are optional.
+         * The returned promise resolves to the HttpResponse if the request
+         * succeeds. It rejects with a Security.HttpError if the server
+         * responds with an error status, or with a Security.NetworkError
+         * if no response was received. Its 'failure' then tells if it was
+         * a 'network' error, a 'timeout' or an 'abort'. The request can
+         * also be cancelled by calling 'abort()' on the returned promise.
          * 
-         * @this {LoginSpec}
-         * @argument {function(object, number)} handler  the new success handler
-         * @returns {securityL#23.LoginSpec}             this instance
+         * @param {string} url      the url to send the request to
+         * @param {object|function|string} config  the configuration
+         * @returns {Promise}       promise for the HttpResponse
          */
-        LoginSpec.prototype.onSuccess = function(handler) {
-            this.success = expectFunction(handler);
-            return this;
-        };
+        get : function(url, config) {
+            return this.send('GET', url, config);
+        },
         
         /**
-         * Modified the failure handler to be the specified handler function.
+         * Send a http 'DELETE' request to the specified url, authenticated
+         * as the currently logged in user.
+         * <p>
+         * The configuration can be left out or be either a callback 
+         * function or an object containing the following keys:
+         * <ul>
+         *     <li>config.data:      Body to send (see .send())
+         *     <li>config.params:    Parameters to add to the query string
+         *     <li>config.headers:   Additional request headers
+         *     <li>config.onSuccess: Callback if the command succeeds
+         *     <li>config.onFailure: Callback if the command fails
+         *     <li>config.retry:     Retry policy for this request
+         *     <li>config.responseType: 'json', 'text', 'blob',
+         *                           'arraybuffer' or 'auto' (default)
+         *     <li>config.timeout:   Milliseconds before the request fails
+         *     <li>config.signal:    AbortSignal that cancels the request
+         *     <li>config.onUploadProgress:   Progress of the upload
+         *     <li>config.onDownloadProgress: Progress of the download
+         *     <li>config.requires:  Requirement the user must meet (see
+         *                           .isAuthorized())
+         * </ul>
+         * 
+         * The callbacks should take two parameters, the first being any
+         * data sent back from the server and the second being the status
+         * code of the request. The failure callback also gets the error
+         * as a third parameter. The data is decoded based on the
+         * Content-Type of the response, or null if the body is empty.
          * <p>
-         * The given function should take the data returned from the server as
-         * its first parameter and the status code of the login request as the
-         * second. Both parameters are optional.
+         * The returned promise resolves to the HttpResponse if the request
+         * succeeds. It rejects with a Security.HttpError if the server
+         * responds with an error status, or with a Security.NetworkError
+         * if no response was received. Its 'failure' then tells if it was
+         * a 'network' error, a 'timeout' or an 'abort'. The request can
+         * also be cancelled by calling 'abort()' on the returned promise.
          * 
-         * @this {LoginSpec}
-         * @argument {function(object, number)} handler  the new failure handler
-         * @returns {securityL#23.LoginSpec}             this instance
+         * @param {string} url      the url to send the request to
+         * @param {object|function|string} config  the configuration
+         * @returns {Promise}       promise for the HttpResponse
          */
-        LoginSpec.prototype.onFailure = function(handler) {
-            this.failure = expectFunction(handler);
-            return this;
-        };
+        delete : function(url, config) {
+            return this.send('DELETE', url, config);
+        },
         
-        ////////////////////////////////////////////////////////////////////////
-        //                              Constructor                           //
-        ////////////////////////////////////////////////////////////////////////
+        /**
+         * Send a http 'OPTIONS' request to the specified url, authenticated
+         * as the currently logged in user.
+         * <p>
+         * The configuration can be left out or be either a callback 
+         * function or an object containing the following keys:
+         * <ul>
+         *     <li>config.data:      Body to send (see .send())
+         *     <li>config.params:    Parameters to add to the query string
+         *     <li>config.headers:   Additional request headers
+         *     <li>config.onSuccess: Callback if the command succeeds
+         *     <li>config.onFailure: Callback if the command fails
+         *     <li>config.retry:     Retry policy for this request
+         *     <li>config.responseType: 'json', 'text', 'blob',
+         *                           'arraybuffer' or 'auto' (default)
+         *     <li>config.timeout:   Milliseconds before the request fails
+         *     <li>config.signal:    AbortSignal that cancels the request
+         *     <li>config.onUploadProgress:   Progress of the upload
+         *     <li>config.onDownloadProgress: Progress of the download
+         *     <li>config.requires:  Requirement the user must meet (see
+         *                           .isAuthorized())
+         * </ul>
+         * 
+         * The callbacks should take two parameters, the first being any
+         * data sent back from the server and the second being the status
+         * code of the request. The failure callback also gets the error
+         * as a third parameter. The data is decoded based on the
+         * Content-Type of the response, or null if the body is empty.
+         * <p>
+         * The returned promise resolves to the HttpResponse if the request
+         * succeeds. It rejects with a Security.HttpError if the server
+         * responds with an error status, or with a Security.NetworkError
+         * if no response was received. Its 'failure' then tells if it was
+         * a 'network' error, a 'timeout' or an 'abort'. The request can
+         * also be cancelled by calling 'abort()' on the returned promise.
+         * 
+         * @param {string} url      the url to send the request to
+         * @param {object|function|string} config  the configuration
+         * @returns {Promise}       promise for the HttpResponse
+         */
+        options : function(url, config) {
+            return this.send('OPTIONS', url, config);
+        },
         
         /**
-         * The 'Security' namespace. These methods are part of the public API.
-         */
-        window.Security = {
-            
-            ////////////////////////////////////////////////////////////////////
-            //                         Member Variables                       //
-            ////////////////////////////////////////////////////////////////////
-            username : null,
-            password : null,
-
-            ////////////////////////////////////////////////////////////////////
-            //                        Manage Credentials                      //
-            ////////////////////////////////////////////////////////////////////
-
-            /**
-             * Returns the username of the currently logged in user, or throws
-             * an exception if the user is not logged in.
-             * 
-             * @returns {string}  the username
-             */
-            getUsername : function() {
-                return this.username;
-            },
-
-            /**
-             * Returns the encrypted password of the currently logged in user, 
-             * or throws an exception if the user is not logged in.
-             * 
-             * @returns {string}  the password
-             */
-            getPassword : function() {
-                return this.password;
-            },
-            
-            /**
-             * Returns a boolean to indicate if the user is logged in or not.
-             * 
-             * @returns {boolean}  true if logged in, else false
-             */
-            isLoggedIn : function() {
-                return this.username !== null
-                    && this.password !== null;
-            },
-            
-            /**
-             * Starts the login service, loading any stored credentials from
-             * either the local session or the local storage if available. If
-             * not, start the login service logged out.
-             * 
-             * @returns {Security}  this instance
-             */
-            start : function() {
-                if (typeof(localStorage.user) === 'string'
-                &&  typeof(localStorage.pass) === 'string') {
-                    return this.loadStored();
-                    
-                } else if (typeof(sessionStorage.user) === 'string'
-                &&         typeof(sessionStorage.pass) === 'string') {
-                   return this.loadSession();
-                   
-                } else {
-                    return this;
-                }
-            },
-
-            /**
-             * Login using the specified credentials, storing them in either the
-             * local session or local storage depending on the 'remember'
-             * parameter. To logout again, use the .logout()-method.
-             * <p>
-             * The method will make an asynchronous request to the specified url
-             * with the Basic Authentication header set to the username and
-             * password specified in the 'config' object. The password will be
-             * hashed using a 10 pass bcrypt. If the request succeeds, then the
-             * credentials will be stored either in the session or the local
-             * storage before the success handler is called. If it fails, the
-             * failure handler will be called.
-             * 
-             * @param {string} url        the url of the remote login service
-             * @param {LoginSpec} config  the credentials and handlers
-             * @returns {Security}        this instance
-             */
-            login : function(url, config) {
-                
-                expectString(url);
-                expectString(config.username);
-                expectString(config.password);
-                expectFunction(config.success);
-                expectFunction(config.failure);
-                
-                bcrypt.hash(config.password, 10, function(err, hash) {
-                    if (err !== null) {
-                        throw err;
-                    } else {
-                        expectString(hash);
-                        
-                        var xhttp = new XMLHttpRequest();
-                        xhttp.open('GET', url, true);
-                        xhttp.onreadystatechange = function() {
-                            if (this.readyState === 4) {
-                                var res    = JSON.parse(xhttp.responseText);
-                                var status = expectNumber(xhttp.status);
-                                
-                                if (status === 200) {
-                                    this.user = config.username;
-                                    this.pass = hash;
-
-                                    if (config.remember) {
-                                        localStorage.user = this.user;
-                                        localStorage.pass = this.pass;
-                                    } else {
-                                        sessionStorage.user = this.user;
-                                        sessionStorage.pass = this.pass;
-                                    }
-                                    
-                                    config.success(res, status);
-                                } else {
-                                    config.failure(res, status);
-                                }
-                            }
-                        };
+         * Send a http request with a custom method to the specified url,
+         * authenticated as the currently logged in user.
+         * <p>
+         * The configuration can be left out or be either a callback 
+         * function or an object containing the following keys:
+         * <ul>
+         *     <li>config.data:      Body to send (see below)
+         *     <li>config.params:    Parameters to add to the query string
+         *     <li>config.headers:   Additional request headers
+         *     <li>config.onSuccess: Callback if the command succeeds
+         *     <li>config.onFailure: Callback if the command fails
+         *     <li>config.retry:     Retry policy for this request
+         *     <li>config.responseType: 'json', 'text', 'blob',
+         *                           'arraybuffer' or 'auto' (default)
+         *     <li>config.timeout:   Milliseconds before the request fails
+         *     <li>config.signal:    AbortSignal that cancels the request
+         *     <li>config.onUploadProgress:   Progress of the upload
+         *     <li>config.onDownloadProgress: Progress of the download
+         *     <li>config.requires:  Requirement the user must meet (see
+         *                           .isAuthorized())
+         * </ul>
+         * 
+         * The callbacks should take two parameters, the first being any
+         * data sent back from the server and the second being the status
+         * code of the request. The failure callback also gets the error
+         * as a third parameter. The data is decoded based on the
+         * Content-Type of the response, or null if the body is empty.
+         * <p>
+         * The data is sent as multipart/form-data if it is a FormData,
+         * url-encoded if it is a URLSearchParams, as it is if it is a
+         * Blob, an ArrayBuffer or a string and as JSON otherwise. For
+         * 'GET' and 'HEAD' requests, it is added to the query string
+         * instead, where strings are expected to be url-encoded already.
+         * FormData, Blobs and ArrayBuffers can not be sent with them. If
+         * the configuration is a string, it is sent as an already
+         * url-encoded body, or as the query string of a 'GET' or 'HEAD'
+         * request.
+         * <p>
+         * The returned promise resolves to the HttpResponse if the request
+         * succeeds. It rejects with a Security.HttpError if the server
+         * responds with an error status, or with a Security.NetworkError
+         * if no response was received. Its 'failure' then tells if it was
+         * a 'network' error, a 'timeout' or an 'abort'. The request can
+         * also be cancelled by calling 'abort()' on the returned promise.
+         * If the user does not meet 'config.requires' or a request guard
+         * (see .configureGuards()), nothing is sent and it rejects with a
+         * Security.AuthorizationError.
+         * 
+         * @param {string} method   the HTTP request method to use
+         * @param {string} url      the url to send the request to
+         * @param {object|function|string} config  the configuration
+         * @returns {Promise}       promise for the HttpResponse
+         */
+        send : function(method, url, config) {
+            var self = this;
+            var call;
+
+            try {
+                call = this.prepareRequest(method, url, config);
+            } catch (err) {
+                var handler = typeof(config) === 'function'
+                    ? config : (config || {}).onFailure;
+                return abortable(failEarly(err, handler), null);
+            }
 
-                        xhttp.withCredentials = true;
-                        xhttp.setRequestHeader('Authorization', 'Basic ' + 
-                            btoa(config.username + ':' + hash));
+            this.touch();
+
+            var promise = this.sendPrepared(call.req, call.requires,
+                function(req) {
+                    return self.dispatchOrQueue(req, call.policy);
+                }
+            ).then(function(res) {
+                call.onSuccess(res.data, res.status);
+                return res;
+            }, function(err) {
+                notifyFailure(call.onFailure, err);
+                throw err;
+            });
+
+            return abortable(handledIf(promise, call.hasCallback),
+                call.controller);
+        },
+
+        /**
+         * Passes a prepared request through the interceptors and the
+         * request guards and dispatches it. The promise resolves to the
+         * HttpResponse if it succeeds, and rejects like .send() otherwise.
+         *
+         * @param {object} req         the request
+         * @param {string|function|object} requires  the requirement of
+         *                                           the config, or
+         *                                           undefined
+         * @param {function} dispatch  sends the final request, returning
+         *                             a promise for the HttpResponse
+         * @returns {Promise}          promise for the HttpResponse
+         */
+        sendPrepared : function(req, requires, dispatch) {
+            var self         = this;
+            var interceptors = this.interceptors.slice();
+
+            return interceptRequest(interceptors, req)
+                .then(function(result) {
+                    if (result instanceof HttpResponse) {
+                        return result;
+                    }
+
+                    // The interceptors may have changed the url, so the
+                    // guards are checked again.
+                    req = result;
+                    self.guardRequest(req, requires);
+                    return dispatch(req);
+                }).then(function(res) {
+                    return interceptResponse(interceptors, res, req);
+                }).then(function(res) {
+                    if (!(res instanceof HttpResponse)) {
+                        throw res;
+                    } else if (!res.isSuccess()) {
+                        throw errorFor(res);
+                    }
+                    return res;
+                }).catch(function(err) {
+                    if (err instanceof AuthorizationError) {
+                        throw err;
                     }
+                    return interceptError(interceptors, err, req);
                 });
-                
-                return this;
-            },
-
-            /**
-             * Load credentials from the local storage, throwing an exception if
-             * they are not present.
-             * 
-             * @returns {Security}  this instance
-             */
-            loadStored : function() {
-                console.log("Logged in using stored credentials.");
-                this.username = expectString(localStorage.user);
-                this.password = expectString(localStorage.pass);
-                return this;
-            },
-            
-            /**
-             * Load credentials from the local session, throwing an exception if
-             * they are not present.
-             * 
-             * @returns {Security}  this instance
-             */
-            loadSession : function() {
-                console.log("Logged in using session credentials.");
-                this.username = expectString(sessionStorage.user);
-                this.password = expectString(sessionStorage.pass);
-                return this;
-            },
-
-            /**
-             * Logout any logged in user, clearing both the session and the
-             * local storage.
-             * 
-             * @returns {Security}  this instance
-             */
-            logout : function() {
-                console.log("Logged out.");
-                localStorage.user   = null;
-                localStorage.pass   = null;
-                sessionStorage.user = null;
-                sessionStorage.pass = null;
-                return this;
-            },
-
-            ////////////////////////////////////////////////////////////////////
-            //              Basic Authentication in HTTP requests             //
-            ////////////////////////////////////////////////////////////////////
-
-            /**
-             * Send a http 'POST' request to the specified url, using basic
-             * authentication authered by the currently logged in user.
-             * <p>
-             * The configuration can be left out or be either a callback 
-             * function or an object containing the following keys:
-             * <ul>
-             *     <li>config.data:      Object to be sent as JSON
-             *     <li>config.onSuccess: Callback if the command succeeds
-             *     <li>config.onFailure: Callback if the command fails
-             * </ul>
-             * 
-             * The callbacks should take two parameters, the first being any
-             * data sent back from the server and the second being the status
-             * code of the request. The data will be decoded from its original
-             * JSON format automatically.
-             * 
-             * @param {string} url      the url to send the request to
-             * @param {object|function} config  a configuration object
-             * @returns {Security}      this instance
-             */
-            post : function(url, config) {
-                return this.send('POST', url, config);
-            },
-            
-            /**
-             * Send a http 'PUT' request to the specified url, using basic
-             * authentication authered by the currently logged in user.
-             * <p>
-             * The configuration can be left out or be either a callback 
-             * function or an object containing the following keys:
-             * <ul>
-             *     <li>config.data:      Object to be sent as JSON
-             *     <li>config.onSuccess: Callback if the command succeeds
-             *     <li>config.onFailure: Callback if the command fails
-             * </ul>
-             * 
-             * The callbacks should take two parameters, the first being any
-             * data sent back from the server and the second being the status
-             * code of the request. The data will be decoded from its original
-             * JSON format automatically.
-             * 
-             * @param {string} url      the url to send the request to
-             * @param {object|function} config  a configuration object
-             * @returns {Security}      this instance
-             */
-            put : function(url, config) {
-                return this.send('PUT', url, config);
-            },
-            
-            /**
-             * Send a http 'GET' request to the specified url, using basic
-             * authentication authered by the currently logged in user.
-             * <p>
-             * The configuration can be left out or be either a callback 
-             * function or an object containing the following keys:
-             * <ul>
-             *     <li>config.data:      Object to be sent as JSON
-             *     <li>config.onSuccess: Callback if the command succeeds
-             *     <li>config.onFailure: Callback if the command fails
-             * </ul>
-             * 
-             * The callbacks should take two parameters, the first being any
-             * data sent back from the server and the second being the status
-             * code of the request. The data will be decoded from its original
-             * JSON format automatically.
-             * 
-             * @param {string} url      the url to send the request to
-             * @param {object|function} config  a configuration object
-             * @returns {Security}      this instance
-             */
-            get : function(url, config) {
-                return this.send('GET', url, config);
-            },
-            
-            /**
-             * Send a http 'DELETE' request to the specified url, using basic
-             * authentication authered by the currently logged in user.
-             * <p>
-             * The configuration can be left out or be either a callback 
-             * function or an object containing the following keys:
-             * <ul>
-             *     <li>config.data:      Object to be sent as JSON
-             *     <li>config.onSuccess: Callback if the command succeeds
-             *     <li>config.onFailure: Callback if the command fails
-             * </ul>
-             * 
-             * The callbacks should take two parameters, the first being any
-             * data sent back from the server and the second being the status
-             * code of the request. The data will be decoded from its original
-             * JSON format automatically.
-             * 
-             * @param {string} url      the url to send the request to
-             * @param {object|function} config  a configuration object
-             * @returns {Security}      this instance
-             */
-            delete : function(url, config) {
-                return this.send('DELETE', url, config);
-            },
-            
-            /**
-             * Send a http 'OPTIONS' request to the specified url, using basic
-             * authentication authered by the currently logged in user.
-             * <p>
-             * The configuration can be left out or be either a callback 
-             * function or an object containing the following keys:
-             * <ul>
-             *     <li>config.data:      Object to be sent as JSON
-             *     <li>config.onSuccess: Callback if the command succeeds
-             *     <li>config.onFailure: Callback if the command fails
-             * </ul>
-             * 
-             * The callbacks should take two parameters, the first being any
-             * data sent back from the server and the second being the status
-             * code of the request. The data will be decoded from its original
-             * JSON format automatically.
-             * 
-             * @param {string} url      the url to send the request to
-             * @param {object|function} config  a configuration object
-             * @returns {Security}      this instance
-             */
-            options : function(url, config) {
-                return this.send('OPTIONS', url, config);
-            },
-            
-            /**
-             * Send a http request with a custom method to the specified url,
-             * using basic authentication authered by the currently logged in 
-             * user.
-             * <p>
-             * The configuration can be left out or be either a callback 
-             * function or an object containing the following keys:
-             * <ul>
-             *     <li>config.data:      Object to be sent as JSON
-             *     <li>config.onSuccess: Callback if the command succeeds
-             *     <li>config.onFailure: Callback if the command fails
-             * </ul>
-             * 
-             * The callbacks should take two parameters, the first being any
-             * data sent back from the server and the second being the status
-             * code of the request. The data will be decoded from its original
-             * JSON format automatically.
-             * 
-             * @param {string} method   the HTTP request method to use
-             * @param {string} url      the url to send the request to
-             * @param {object|function} config  a configuration object
-             * @returns {Security}      this instance
-             */
-            send : function(method, url, config) {
-                expectString(method);
-                
-                var onSuccess = function() {};
-                var onFailure = function() {};
-                var data      = '';
-                
-                var xhttp = new XMLHttpRequest();
-                xhttp.open(method, url, true);
-                
-                if (typeof(config) === 'undefined') {
-                    // Do nothing.
-                } else if (typeof(config) === 'function') {
-                    onSuccess = config;
-                    onFailure = config;
-                } else if (typeof(config) === 'string') {
-                    xhttp.setRequestHeader('Content-Type', 
-                        'application/x-www-form-urlencoded');
-                    data = encodeURI(config.data);
-                } else if (typeof(config) === 'object') {
-                    xhttp.setRequestHeader('Content-Type', 'application/json');
-                    onSuccess = functionOr(config.onSuccess, function() {});
-                    onFailure = functionOr(config.onFailure, function() {});
-                    data      = JSON.stringify(config.data);
+        },
+
+        /**
+         * Validates the arguments of .send() and builds the request from
+         * them. Returns an object with the request 'req', the
+         * 'requires' of the config, the retry 'policy', the abort
+         * 'controller' and the 'onSuccess' and 'onFailure' handlers.
+         * 'hasCallback' tells if a failure handler was specified. Throws a
+         * Security.AuthorizationError if the user is not authorized to
+         * send it.
+         *
+         * @param {string} method   the HTTP request method to use
+         * @param {string} url      the url to send the request to
+         * @param {object|function|string} config  the configuration
+         * @returns {object}        the prepared request
+         */
+        prepareRequest : function(method, url, config) {
+            var onSuccess    = noop;
+            var onFailure    = noop;
+            var hasCallback  = false;
+            var headers      = {};
+            var data         = '';
+            var query        = '';
+            var policy       = this.retryPolicy;
+            var responseType = 'auto';
+            var settings     = typeof(config) === 'object' && config !== null
+                ? config : {};
+            var bodyless     = BODYLESS_METHODS.indexOf(
+                expectString(method).toUpperCase()) >= 0;
+
+            if (typeof(config) === 'undefined') {
+                // Do nothing.
+            } else if (typeof(config) === 'function') {
+                onSuccess   = config;
+                onFailure   = config;
+                hasCallback = true;
+            } else if (typeof(config) === 'string') {
+                if (bodyless) {
+                    query = encodeQuery(config);
                 } else {
-                    throw 'Unexpected "config" type. Should be either an ' + 
-                        'object or a function.';
+                    headers['Content-Type'] =
+                        'application/x-www-form-urlencoded;charset=UTF-8';
+                    data = config;
                 }
-                
-                xhttp.onreadystatechange = function() {
-                    if (this.readyState === 4 ) {
-                        var res    = JSON.parse(xhttp.responseText);
-                        var status = expectNumber(xhttp.status);
-                        switch (status) {
-                            case 200 : case 201 : case 202 : case 203 :
-                            case 204 :
-                                onSuccess(res, status);
-                                break;
-                            default :
-                                onFailure(res, status);
-                                break;
-                        }
-                    }
-                };
-                
-                xhttp.withCredentials = true;
-                console.log('user: ' + this.username);
-                console.log('pass: ' + this.password);
-                
-                xhttp.setRequestHeader('Authorization', 'Basic ' + 
-                    btoa(this.username + ':' + this.password));
-            
-                if (data === '') {
-                    xhttp.send();
+            } else if (typeof(config) === 'object' && config !== null) {
+                onSuccess   = functionOr(config.onSuccess, noop);
+                onFailure   = functionOr(config.onFailure, noop);
+                hasCallback = typeof(config.onFailure) === 'function';
+                policy      = mergeRetry(policy, config.retry);
+
+                if (typeof(config.headers) === 'object'
+                &&  config.headers !== null) {
+                    Object.keys(config.headers).forEach(function(name) {
+                        headers[name] = expectString(config.headers[name]);
+                    });
+                }
+
+                if (typeof(config.params) === 'object'
+                &&  config.params !== null) {
+                    query = buildQuery(config.params);
+                }
+
+                if (bodyless) {
+                    query = [query, encodeQuery(config.data)]
+                        .filter(Boolean).join('&');
                 } else {
-                    xhttp.send(data);
+                    data = encodeBody(config.data, headers);
+                }
+
+                if (typeof(config.responseType) !== 'undefined') {
+                    responseType = expectString(config.responseType);
+                    if (RESPONSE_TYPES.indexOf(responseType) < 0) {
+                        throw new ValidationError('Unknown response ' +
+                            'type "' + responseType + '".',
+                            'UNKNOWN_RESPONSE_TYPE');
+                    }
                 }
+            } else {
+                throw new ValidationError('Unexpected "config" type. ' +
+                    'Should be either an object, a string or a function.');
             }
-        };
-    } else {
-        console.warn('Library "Security" already defined.');
-    }
-})(window);
\ No newline at end of file
+
+            var controller = createController(settings.signal);
+            var req        = this.requestOptions(settings, controller);
+
+            req.method       = method;
+            req.url          = appendQuery(
+                resolveUrl(this.baseUrl, expectString(url)), query);
+            req.headers      = headers;
+            req.body         = data;
+            req.responseType = responseType;
+
+            this.guardRequest(req, settings.requires);
+
+            return {
+                req         : req,
+                requires    : settings.requires,
+                policy      : policy,
+                controller  : controller,
+                onSuccess   : onSuccess,
+                onFailure   : onFailure,
+                hasCallback : hasCallback
+            };
+        }
+    };
+
+    instances['default'] = new Security('default');
+    return instances['default'];
+});
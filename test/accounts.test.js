@@ -0,0 +1,142 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var bcrypt   = require('bcryptjs');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance whose server accepts every post to '/account/*' and
+ * the logins to '/login', keeping its credentials in 'env.local'.
+ *
+ * @param {TestContext} t   the test context
+ * @param {object} options  more options, or undefined
+ * @returns {object}        the 'security' instance and its 'server'
+ */
+var setup = function(t, options) {
+    var local  = new Security.MemoryStorage();
+    var config = {storage : local};
+
+    Object.keys(options || {}).forEach(function(key) {
+        config[key] = options[key];
+    });
+
+    var env = helpers.setup(t, config);
+    env.local = local;
+    env.server.route('POST', '/account/*', {status : 204});
+    env.server.route('GET', '/login', {body : null});
+
+    return env;
+};
+
+test('register posts the hashed password and logs in', function(t) {
+    var env = setup(t);
+
+    return env.security.register('/account/register', {
+        username : 'alice',
+        password : 'secret',
+        remember : true,
+        data     : {email : 'alice@example.com'}
+    }).then(function(res) {
+        var data = env.server.recorder.last().data;
+
+        assert.strictEqual(res.status, 204);
+        assert.strictEqual(data.username, 'alice');
+        assert.strictEqual(data.email, 'alice@example.com');
+        assert.strictEqual(bcrypt.compareSync('secret', data.password),
+            true);
+        assert.strictEqual(env.security.isLoggedIn(), true);
+        assert.strictEqual(env.security.password, data.password);
+        assert.strictEqual(env.local.get(env.security.namespace + '.user'),
+            'alice');
+    });
+});
+
+test('register can leave the user logged out', function(t) {
+    var env = setup(t, {mode : 'srp'});
+
+    return env.security.register('/account/register', {
+        username : 'alice',
+        password : 'secret',
+        login    : false
+    }).then(function() {
+        var data = env.server.recorder.last().data;
+
+        assert.deepStrictEqual(Object.keys(data).sort(),
+            ['salt', 'username', 'verifier']);
+        assert.strictEqual(env.security.isLoggedIn(), false);
+    });
+});
+
+test('changePassword updates the stored credentials', function(t) {
+    var env = setup(t);
+    var old;
+
+    return assert.rejects(env.security.changePassword('/account/password', {
+        newPassword : 'new'
+    }), helpers.isError(Security.AuthenticationError, 'NO_CREDENTIALS'))
+        .then(function() {
+            return env.security.login('/login', {
+                username : 'alice',
+                password : 'old',
+                remember : true
+            });
+        }).then(function() {
+            old = env.security.password;
+            return env.security.changePassword('/account/password', {
+                password    : 'old',
+                newPassword : 'new'
+            });
+        }).then(function() {
+            var last = env.server.recorder.last();
+
+            assert.strictEqual(bcrypt.compareSync('new', last.data.password),
+                true);
+            assert.strictEqual(bcrypt.compareSync('old',
+                last.data.currentPassword), true);
+            assert.strictEqual(Buffer.from(last.authorization.slice(6),
+                'base64').toString(), 'alice:' + old);
+            assert.strictEqual(env.security.password, last.data.password);
+            assert.strictEqual(env.local.get(env.security.namespace +
+                '.pass'), last.data.password);
+        });
+});
+
+test('passwords can be reset with a token', function(t) {
+    var env = setup(t, {mode : 'token'});
+
+    return env.security.requestPasswordReset('/account/forgot', {
+        username : 'alice'
+    }).then(function() {
+        assert.deepStrictEqual(env.server.recorder.last().data,
+            {username : 'alice'});
+
+        return env.security.confirmPasswordReset('/account/reset', {
+            token       : 'reset-token',
+            newPassword : 'new'
+        });
+    }).then(function() {
+        assert.deepStrictEqual(env.server.recorder.last().data,
+            {token : 'reset-token', password : 'new'});
+        assert.strictEqual(env.security.isLoggedIn(), false);
+        return assert.rejects(env.security.confirmPasswordReset(
+            '/account/reset', {newPassword : 'new'}),
+            helpers.isError(Security.ValidationError));
+    });
+});
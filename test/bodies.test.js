@@ -0,0 +1,124 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance whose server accepts every request to '/echo'.
+ *
+ * @param {TestContext} t  the test context
+ * @returns {object}       the 'security' instance and its 'server'
+ */
+var setup = function(t) {
+    var env = helpers.setup(t);
+
+    ['GET', 'POST', 'PUT', 'DELETE'].forEach(function(method) {
+        env.server.route(method, '/echo', {status : 204});
+    });
+
+    return env;
+};
+
+/**
+ * Returns the Content-Type of the last request received by the server of
+ * an instance.
+ *
+ * @param {object} env  the 'security' instance and its 'server'
+ * @returns {string}    the Content-Type, or undefined
+ */
+var contentType = function(env) {
+    return env.server.recorder.last().headers['Content-Type'];
+};
+
+test('strings are sent as url-encoded forms', function(t) {
+    var env = setup(t);
+
+    return env.security.post('/echo', 'name=Alice&age=30').then(function() {
+        var last = env.server.recorder.last();
+        assert.match(contentType(env), /^application\/x-www-form-urlencoded/);
+        assert.strictEqual(last.body, 'name=Alice&age=30');
+        assert.deepStrictEqual(last.data, {name : 'Alice', age : '30'});
+    });
+});
+
+test('the data of get requests is sent in the query string', function(t) {
+    var env = setup(t);
+
+    return env.security.get('/echo?page=1', {
+        params : {tag : ['a', 'b'], skip : null},
+        data   : {q : 'x y'}
+    }).then(function() {
+        var last = env.server.recorder.last();
+        assert.strictEqual(last.url, '/echo?page=1&tag=a&tag=b&q=x%20y');
+        assert.strictEqual(last.body, '');
+        return assert.rejects(env.security.get('/echo', {
+            data : new Blob(['x'])
+        }), helpers.isError(Security.ValidationError));
+    });
+});
+
+test('bodies are sent with a matching Content-Type', function(t) {
+    var env  = setup(t);
+    var form = new FormData();
+    form.append('file', new Blob(['content']), 'file.txt');
+
+    return env.security.post('/echo', {data : form}).then(function() {
+        assert.strictEqual(env.server.recorder.last().body, form);
+        assert.strictEqual(contentType(env), undefined);
+
+        return env.security.put('/echo', {
+            data : new URLSearchParams({name : 'Alice'})
+        });
+    }).then(function() {
+        assert.match(contentType(env), /^application\/x-www-form-urlencoded/);
+        assert.strictEqual(env.server.recorder.last().body, 'name=Alice');
+
+        return env.security.post('/echo', {
+            data : new Blob(['<p/>'], {type : 'text/html'})
+        });
+    }).then(function() {
+        assert.strictEqual(contentType(env), 'text/html');
+        return env.security.post('/echo', {data : new Uint8Array([1, 2])});
+    }).then(function() {
+        assert.strictEqual(contentType(env), 'application/octet-stream');
+        return env.security.post('/echo', {data : {name : 'Alice'}});
+    }).then(function() {
+        assert.strictEqual(contentType(env), 'application/json');
+        assert.deepStrictEqual(env.server.recorder.last().data,
+            {name : 'Alice'});
+    });
+});
+
+test('custom headers are sent by every method', function(t) {
+    var env     = setup(t);
+    var headers = {'X-Tenant' : 'acme', 'Content-Type' : 'text/csv'};
+
+    return Promise.all([
+        env.security.get('/echo', {headers : headers}),
+        env.security.post('/echo', {headers : headers, data : 'a,b'}),
+        env.security.put('/echo', {headers : headers, data : 'a,b'}),
+        env.security.delete('/echo', {headers : headers})
+    ]).then(function() {
+        env.server.recorder.requests.forEach(function(req) {
+            assert.strictEqual(req.headers['X-Tenant'], 'acme');
+            assert.strictEqual(req.headers['Content-Type'], 'text/csv');
+        });
+    });
+});
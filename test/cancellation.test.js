@@ -0,0 +1,134 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance whose server responds to '/slow' after five seconds
+ * and fails the requests to '/down' with a network error.
+ *
+ * @param {TestContext} t   the test context
+ * @param {object} options  more options, or undefined
+ * @returns {object}        the 'security' instance and its 'server'
+ */
+var setup = function(t, options) {
+    var env = helpers.setup(t, options);
+
+    env.server.route('GET', '/slow', {body : 'done', delay : 5000});
+    env.server.route('GET', '/down', {failure : 'network'});
+
+    return env;
+};
+
+test('requests time out after the specified time', function(t) {
+    var clock  = helpers.installClock(t);
+    var env    = setup(t, {requestTimeout : 10000});
+    var failed = null;
+    var done   = env.security.get('/slow', {
+        timeout   : 1000,
+        onFailure : function(data, status, err) {
+            failed = [status, err.failure];
+        }
+    });
+
+    return assert.rejects(helpers.settle(clock, done, 1000),
+        helpers.isError(Security.NetworkError, 'TIMEOUT')).then(function() {
+            assert.deepStrictEqual(failed, [0, 'timeout']);
+            assert.strictEqual(clock.pending(), 0);
+        });
+});
+
+test('the default timeout applies to all requests', function(t) {
+    var clock = helpers.installClock(t);
+    var env   = setup(t, {requestTimeout : 4999});
+
+    return assert.rejects(helpers.settle(clock, env.security.get('/slow'),
+        5000), helpers.isError(Security.NetworkError, 'TIMEOUT'))
+        .then(function() {
+            env.security.configure({requestTimeout : null});
+            return helpers.settle(clock, env.security.get('/slow'), 5000);
+        }).then(function(res) {
+            assert.strictEqual(res.data, 'done');
+        });
+});
+
+test('requests can be aborted by signal or handle', function(t) {
+    var clock      = helpers.installClock(t);
+    var env        = setup(t);
+    var controller = new AbortController();
+    var bySignal   = env.security.get('/slow', {signal : controller.signal});
+    var byHandle   = env.security.get('/slow');
+
+    controller.abort();
+    byHandle.abort();
+
+    return Promise.all([
+        assert.rejects(bySignal, function(err) {
+            return err instanceof Security.NetworkError
+                && err.code === 'ABORTED'
+                && err.failure === 'abort';
+        }),
+        assert.rejects(byHandle,
+            helpers.isError(Security.NetworkError, 'ABORTED'))
+    ]).then(function() {
+        assert.strictEqual(clock.pending(), 0);
+    });
+});
+
+test('network errors are reported as such', function(t) {
+    var env    = setup(t);
+    var failed = null;
+
+    return assert.rejects(env.security.get('/down', {
+        onFailure : function(data, status, err) {
+            failed = [status, err.failure];
+        }
+    }), helpers.isError(Security.NetworkError, 'NETWORK_ERROR'))
+        .then(function() {
+            assert.deepStrictEqual(failed, [0, 'network']);
+        });
+});
+
+test('progress callbacks are passed on to the transport', function(t) {
+    var events    = [];
+    var transport = {
+        send : function(req) {
+            req.onUploadProgress({loaded : 5, total : 10});
+            req.onDownloadProgress({loaded : 2, total : null});
+            return Promise.resolve(new Security.HttpResponse(null, 204, {}));
+        }
+    };
+    var env       = helpers.setup(t, {transport : transport});
+
+    return env.security.post('/upload', {
+        data               : 'content',
+        onUploadProgress   : function(progress) {
+            events.push(['upload', progress.loaded, progress.total]);
+        },
+        onDownloadProgress : function(progress) {
+            events.push(['download', progress.loaded, progress.total]);
+        }
+    }).then(function() {
+        assert.deepStrictEqual(events, [
+            ['upload', 5, 10],
+            ['download', 2, null]
+        ]);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an EncryptedStorage that derives its key from the specified PIN,
+ * with few iterations to keep the tests fast.
+ *
+ * @param {MemoryStorage} inner  the storage of the encrypted values
+ * @param {string} pin           the PIN
+ * @returns {EncryptedStorage}   the storage
+ */
+var encrypted = function(inner, pin) {
+    return new Security.EncryptedStorage(inner, {
+        pin        : pin,
+        iterations : 1000
+    });
+};
+
+test('values are encrypted and can be loaded again', function(t) {
+    var inner = new Security.MemoryStorage();
+    var first = encrypted(inner, '1234');
+    var other = encrypted(inner, '1234');
+
+    first.set('app.user', 'alice');
+    assert.strictEqual(first.get('app.user'), 'alice');
+
+    return first.flush().then(function() {
+        assert.match(inner.get('app.user'), /^v1\./);
+        assert.doesNotMatch(inner.get('app.user'), /alice/);
+        assert.strictEqual(other.get('app.user'), null);
+        return other.load(['app.user', 'app.pass']);
+    }).then(function() {
+        assert.strictEqual(other.get('app.user'), 'alice');
+        assert.strictEqual(other.get('app.pass'), null);
+    });
+});
+
+test('values can not be loaded with the wrong PIN', function(t) {
+    var inner = new Security.MemoryStorage();
+    var first = encrypted(inner, '1234');
+
+    first.set('app.user', 'alice');
+
+    return first.flush().then(function() {
+        var stored = inner.get('app.user');
+        return assert.rejects(encrypted(inner, '4321').load(['app.user']),
+            helpers.isError(Security.StorageError, 'DECRYPTION_FAILED'))
+            .then(function() {
+                assert.strictEqual(inner.get('app.user'), stored);
+            });
+    });
+});
+
+test('values can not be moved to other keys', function(t) {
+    var inner = new Security.MemoryStorage();
+    var first = encrypted(inner, '1234');
+
+    first.set('app.user', 'alice');
+
+    return first.flush().then(function() {
+        inner.set('app.pass', inner.get('app.user'));
+        return assert.rejects(encrypted(inner, '1234').load(['app.pass']),
+            helpers.isError(Security.StorageError, 'DECRYPTION_FAILED'));
+    });
+});
+
+test('remembered sessions are stored encrypted', function(t) {
+    var inner   = new Security.MemoryStorage();
+    var options = {
+        namespace : 'app',
+        storage   : inner,
+        encrypt   : {pin : '1234', iterations : 1000}
+    };
+    var env     = helpers.setup(t, options);
+    env.server.route('GET', '/login', {body : null});
+
+    return env.security.login('/login', {
+        username : 'alice',
+        password : 'secret',
+        remember : true
+    }).then(function() {
+        return env.security.currentStore().flush();
+    }).then(function() {
+        assert.match(inner.get('app.user'), /^v1\./);
+
+        var other = helpers.setup(t, options);
+        return other.security.start().ready.then(function() {
+            assert.strictEqual(other.security.isLoggedIn(), true);
+            assert.strictEqual(other.security.username, 'alice');
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+test('all errors extend SecurityError and Error', function() {
+    var errors = [
+        new Security.ValidationError('invalid'),
+        new Security.AuthenticationError('denied', 'INVALID_CREDENTIALS'),
+        new Security.NetworkError('offline', 'network'),
+        new Security.StorageError('full', 'STORAGE_ERROR')
+    ];
+
+    errors.forEach(function(err) {
+        assert.ok(err instanceof Security.SecurityError);
+        assert.ok(err instanceof Error);
+        assert.strictEqual(typeof(err.code), 'string');
+        assert.match(err.stack, new RegExp(err.name));
+    });
+
+    assert.deepStrictEqual(errors.map(function(err) {
+        return [err.name, err.code];
+    }), [
+        ['ValidationError', 'INVALID_ARGUMENT'],
+        ['AuthenticationError', 'INVALID_CREDENTIALS'],
+        ['NetworkError', 'NETWORK_ERROR'],
+        ['StorageError', 'STORAGE_ERROR']
+    ]);
+});
+
+test('http errors have the status, body and headers', function(t) {
+    var env = helpers.setup(t);
+    env.server.route('GET', '/items', {
+        status  : 422,
+        headers : {'X-Request-Id' : '42'},
+        body    : {error : 'invalid'}
+    });
+
+    return assert.rejects(env.security.get('/items'), function(err) {
+        assert.ok(err instanceof Security.HttpError);
+        assert.strictEqual(err.code, 'HTTP_ERROR');
+        assert.strictEqual(err.status, 422);
+        assert.deepStrictEqual(err.body, {error : 'invalid'});
+        assert.strictEqual(err.headers['x-request-id'], '42');
+        return true;
+    });
+});
+
+test('invalid arguments are passed to the failure handler', function(t) {
+    var env    = helpers.setup(t);
+    var failed = null;
+
+    return assert.rejects(env.security.login('/login', {
+        username : 42,
+        password : 'secret',
+        failure  : function(data, status, err) {
+            failed = [status, err];
+        }
+    }), helpers.isError(Security.ValidationError)).then(function() {
+        assert.strictEqual(failed[0], 0);
+        assert.ok(failed[1] instanceof Security.ValidationError);
+        assert.strictEqual(env.server.recorder.requests.length, 0);
+    });
+});
+
+test('invalid options are thrown as validation errors', function(t) {
+    var env = helpers.setup(t);
+
+    assert.throws(function() {
+        env.security.configure({mode : 'kerberos'});
+    }, helpers.isError(Security.ValidationError, 'UNKNOWN_MODE'));
+
+    assert.throws(function() {
+        env.security.on('login', 'handler');
+    }, helpers.isError(Security.ValidationError, 'INVALID_ARGUMENT'));
+});
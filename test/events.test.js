@@ -0,0 +1,147 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Logs in to a server that accepts any credentials.
+ *
+ * @param {object} env        the 'security' instance and its 'server'
+ * @param {boolean} remember  true to store the credentials locally
+ * @returns {Promise}         promise for the response
+ */
+var login = function(env, remember) {
+    env.server.route('GET', '/login', {body : null});
+    return env.security.login('/login', {
+        username : 'alice',
+        password : 'secret',
+        remember : remember
+    });
+};
+
+/**
+ * Returns a promise for the next event of the specified type, that rejects
+ * if none is emitted within a second. The timer also keeps the process
+ * alive, since the channels between the tabs do not.
+ *
+ * @param {Security} security  the instance
+ * @param {string} event       the event name
+ * @returns {Promise}          promise for the event
+ */
+var next = function(security, event) {
+    return new Promise(function(resolve, reject) {
+        var timer = setTimeout(function() {
+            security.off(event, handler);
+            reject(new Error('No \'' + event + '\' event was emitted.'));
+        }, 1000);
+
+        var handler = function(detail) {
+            clearTimeout(timer);
+            security.off(event, handler);
+            resolve(detail);
+        };
+
+        security.on(event, handler);
+    });
+};
+
+test('login and logout are emitted to the handlers', function(t) {
+    var env    = helpers.setup(t);
+    var events = [];
+    var record = function(detail) {
+        events.push([detail.type, detail.username, detail.source]);
+    };
+
+    env.security.on('login', record).on('logout', record);
+
+    return login(env, false).then(function() {
+        env.security.logout();
+        env.security.off('login', record);
+
+        return login(env, false);
+    }).then(function() {
+        assert.deepStrictEqual(events, [
+            ['login', 'alice', 'login'],
+            ['logout', 'alice', undefined]
+        ]);
+    });
+});
+
+test('401 responses are emitted as unauthorized', function(t) {
+    var env    = helpers.setup(t);
+    var events = [];
+    env.server.route('GET', '/secret', {status : 401});
+    env.security.on('unauthorized', function(detail) {
+        events.push(detail);
+    });
+
+    return login(env, false).then(function() {
+        return assert.rejects(env.security.get('/secret'),
+            helpers.isError(Security.HttpError));
+    }).then(function() {
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].method, 'GET');
+        assert.strictEqual(events[0].url, '/secret');
+        assert.strictEqual(events[0].response.status, 401);
+    });
+});
+
+test('exceptions of handlers are emitted as errors', function(t) {
+    var env    = helpers.setup(t);
+    var errors = [];
+    var later  = false;
+    var failed = new Error('handler failed');
+
+    env.security
+        .on('login', function() { throw failed; })
+        .on('login', function() { later = true; })
+        .on('error', function(detail) { errors.push(detail); })
+        .on('error', function() { throw new Error('ignored'); });
+
+    return login(env, false).then(function() {
+        assert.strictEqual(later, true);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].error, failed);
+        assert.strictEqual(errors[0].event, 'login');
+    });
+});
+
+test('logins and logouts are synchronized between tabs', function(t) {
+    var shared = new Security.MemoryStorage();
+    var config = {namespace : 'tabs', storage : shared, sync : true};
+    var first  = helpers.setup(t, config);
+    var second = helpers.setup(t, config);
+
+    var received = next(second.security, 'login');
+
+    return login(first, true).then(function() {
+        return received;
+    }).then(function(detail) {
+        assert.strictEqual(detail.source, 'sync');
+        assert.strictEqual(second.security.isLoggedIn(), true);
+        assert.strictEqual(second.security.username, 'alice');
+
+        received = next(second.security, 'logout');
+        first.security.logout();
+        return received;
+    }).then(function() {
+        assert.strictEqual(second.security.isLoggedIn(), false);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance guarding the '/admin' requests and routes and the
+ * deletion of '/reports', and logs in as a user with the specified roles
+ * and permissions. Its server responds 'ok' to every other request.
+ *
+ * @param {TestContext} t      the test context
+ * @param {Array} roles        the roles of the user
+ * @param {Array} permissions  the permissions of the user, or undefined
+ * @returns {Promise}          promise for the 'security' instance and
+ *                             its 'server'
+ */
+var setup = function(t, roles, permissions) {
+    var env = helpers.setup(t, {
+        mode   : 'token',
+        guards : {
+            requests : [
+                {url : '/admin/*', role : 'admin'},
+                {url : '/reports', method : 'DELETE', permission : 'purge'}
+            ],
+            routes   : [{path : '/admin*', role : 'admin'}]
+        }
+    });
+
+    env.server.route('POST', '/login', {body : {
+        access_token : 'token',
+        roles        : roles,
+        permissions  : permissions || []
+    }});
+    env.server.route('*', '*', {body : 'ok'});
+
+    return env.security.login('/login', {username : 'u', password : 'p'})
+        .then(function() {
+            return env;
+        });
+};
+
+var isForbidden = helpers.isError(Security.AuthorizationError, 'FORBIDDEN');
+
+test('roles and permissions are read from the login', function(t) {
+    return setup(t, ['editor'], ['read:*', 'write:articles'])
+        .then(function(env) {
+            assert.deepStrictEqual(env.security.getRoles(), ['editor']);
+            assert.strictEqual(env.security.hasRole(['admin', 'editor']),
+                true);
+            assert.strictEqual(env.security.can('read', 'comments'), true);
+            assert.strictEqual(env.security.can('write', 'articles'), true);
+            assert.strictEqual(env.security.can('write', 'comments'),
+                false);
+            assert.strictEqual(env.security.hasPermission(
+                ['read:articles', 'write:articles']), true);
+
+            env.security.logout();
+            assert.strictEqual(env.security.hasRole('editor'), false);
+            assert.strictEqual(env.security.can('read', 'comments'), false);
+        });
+});
+
+test('guarded requests are not sent without the role', function(t) {
+    var forbidden = [];
+    var env;
+
+    return setup(t, ['user']).then(function(result) {
+        env = result;
+        env.security.on('forbidden', function(detail) {
+            forbidden.push(detail.url);
+        });
+
+        return assert.rejects(env.security.get('/admin/users'), isForbidden);
+    }).then(function() {
+        return assert.rejects(env.security.delete('/reports'), isForbidden);
+    }).then(function() {
+        return env.security.get('/reports');
+    }).then(function(res) {
+        assert.strictEqual(res.data, 'ok');
+        assert.deepStrictEqual(forbidden, ['/admin/users', '/reports']);
+        assert.strictEqual(env.server.recorder.find('*', '/admin/users')
+            .length, 0);
+        assert.strictEqual(env.security.canSend('GET', '/admin/users'),
+            false);
+    });
+});
+
+test('guarded requests are sent with the role', function(t) {
+    var env;
+
+    return setup(t, ['admin']).then(function(result) {
+        env = result;
+        return env.security.get('/admin/users');
+    }).then(function(res) {
+        assert.strictEqual(res.data, 'ok');
+        assert.strictEqual(env.security.canNavigate('/admin'), true);
+    });
+});
+
+test('guards check the request after the interceptors', function(t) {
+    var recovered = false;
+    var env;
+
+    return setup(t, ['user']).then(function(result) {
+        env = result;
+        env.security.addInterceptor({
+            request : function(req) {
+                req.url = req.url.replace('/public/', '/admin/');
+            },
+            error   : function() {
+                recovered = true;
+            }
+        });
+
+        return assert.rejects(env.security.get('/public/users'),
+            isForbidden);
+    }).then(function() {
+        assert.strictEqual(recovered, false);
+        assert.strictEqual(env.server.recorder.requests.length, 1);
+    });
+});
+
+test('the requirement of a request is checked', function(t) {
+    return setup(t, ['user']).then(function(env) {
+        return assert.rejects(env.security.get('/reports', {
+            requires : {role : 'auditor'}
+        }), isForbidden);
+    });
+});
+
+test('canNavigate emits forbidden for guarded routes', function(t) {
+    return setup(t, ['user']).then(function(env) {
+        var forbidden = [];
+        env.security.on('forbidden', function(detail) {
+            forbidden.push(detail.path);
+        });
+
+        assert.strictEqual(env.security.canNavigate('/admin/users'), false);
+        assert.strictEqual(env.security.canNavigate('/home'), true);
+        assert.deepStrictEqual(forbidden, ['/admin/users']);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+/*
+ * Fixtures shared by the tests. Every test gets its own instance, talking to
+ * its own MockServer, so that the tests of a file can not affect each other.
+ */
+
+var Security = require('../src/security.js');
+
+/**
+ * The number of instances created so far, used to give them unique names.
+ */
+var created = 0;
+
+/**
+ * Creates an instance that sends its requests to a new MockServer and keeps
+ * its credentials in memory. The options are passed on to Security.create()
+ * and override the defaults. The instance is destroyed once the test is
+ * done.
+ *
+ * @param {TestContext} t    the test context
+ * @param {object} options   more options, or undefined
+ * @returns {object}         the 'security' instance and its 'server'
+ */
+var setup = function(t, options) {
+    var server = new Security.testing.MockServer();
+    var config = {
+        name      : 'test-' + (++created),
+        transport : server,
+        storage   : 'memory',
+        sync      : false
+    };
+
+    Object.keys(options || {}).forEach(function(key) {
+        config[key] = options[key];
+    });
+
+    var security = Security.create(config);
+    t.after(function() {
+        security.destroy();
+    });
+
+    return {security : security, server : server};
+};
+
+/**
+ * Installs a FakeClock until the test is done.
+ *
+ * @param {TestContext} t  the test context
+ * @param {number} now     the start time (default 0)
+ * @returns {FakeClock}    the installed clock
+ */
+var installClock = function(t, now) {
+    var clock = new Security.testing.FakeClock(now || 0).install();
+    t.after(function() {
+        clock.uninstall();
+    });
+    return clock;
+};
+
+/**
+ * Moves a clock forward and then waits for a promise. Used to let the
+ * MockServer respond while a FakeClock is installed. A rejection is marked
+ * as handled at once, so it is not reported while the clock moves.
+ *
+ * @param {FakeClock} clock  the installed clock
+ * @param {Promise} promise  the promise to wait for
+ * @param {number} ms        the milliseconds to move forward (default 0)
+ * @returns {Promise}        the promise
+ */
+var settle = function(clock, promise, ms) {
+    promise.catch(function() {});
+    return clock.tick(ms || 0).then(function() {
+        return promise;
+    });
+};
+
+/**
+ * Returns a function that tells if an error is of the specified type and,
+ * if given, has the specified code. Used with assert.rejects().
+ *
+ * @param {function} type  the error class
+ * @param {string} code    the error code, or undefined for any
+ * @returns {function}     the validation function
+ */
+var isError = function(type, code) {
+    return function(err) {
+        return err instanceof type
+            && (typeof(code) === 'undefined' || err.code === code);
+    };
+};
+
+module.exports = {
+    setup        : setup,
+    installClock : installClock,
+    settle       : settle,
+    isError      : isError
+};
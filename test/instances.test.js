@@ -0,0 +1,127 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Logs in to a server that accepts any credentials, at any path.
+ *
+ * @param {object} env       the 'security' instance and its 'server'
+ * @param {string} username  the username
+ * @returns {Promise}        promise for the response
+ */
+var login = function(env, username) {
+    env.server.route('GET', '*', {body : null});
+    return env.security.login('/login', {
+        username : username,
+        password : 'secret',
+        remember : true
+    });
+};
+
+test('instances have their own credentials and namespace', function(t) {
+    var shared = new Security.MemoryStorage();
+    var first  = helpers.setup(t, {storage : shared, baseUrl : '/one'});
+    var second = helpers.setup(t, {storage : shared, baseUrl : '/two'});
+
+    return login(first, 'alice').then(function() {
+        assert.strictEqual(first.server.recorder.last().url, '/one/login');
+        assert.strictEqual(first.security.username, 'alice');
+        assert.strictEqual(second.security.isLoggedIn(), false);
+        assert.strictEqual(Security.isLoggedIn(), false);
+        return login(second, 'bob');
+    }).then(function() {
+        assert.strictEqual(second.server.recorder.last().url, '/two/login');
+        assert.strictEqual(shared.get(first.security.namespace + '.user'),
+            'alice');
+        assert.strictEqual(shared.get(second.security.namespace + '.user'),
+            'bob');
+
+        first.security.logout();
+        assert.strictEqual(second.security.isLoggedIn(), true);
+    });
+});
+
+test('instance names must be unique', function(t) {
+    var env = helpers.setup(t);
+
+    assert.strictEqual(Security.getInstance(env.security.name),
+        env.security);
+    assert.throws(function() {
+        Security.create({name : env.security.name});
+    }, helpers.isError(Security.ValidationError, 'DUPLICATE_INSTANCE'));
+    assert.throws(function() {
+        Security.create({});
+    }, helpers.isError(Security.ValidationError));
+});
+
+test('accounts can be listed and switched between', function(t) {
+    var env      = helpers.setup(t);
+    var name     = env.security.name;
+    var switches = [];
+    var record   = function(detail) {
+        switches.push([detail.account, detail.previous, detail.username]);
+    };
+
+    Security.on('switch', record);
+    t.after(function() {
+        Security.off('switch', record);
+        Security.switchAccount('default');
+    });
+
+    return login(env, 'alice').then(function() {
+        assert.strictEqual(Security.switchAccount(name), env.security);
+        assert.strictEqual(Security.currentAccount(), env.security);
+        assert.deepStrictEqual(switches, [[name, 'default', 'alice']]);
+
+        var account = Security.accounts().filter(function(a) {
+            return a.name === name;
+        })[0];
+        assert.deepStrictEqual(account, {
+            name     : name,
+            username : 'alice',
+            loggedIn : true,
+            current  : true
+        });
+
+        assert.throws(function() {
+            Security.switchAccount('missing');
+        }, helpers.isError(Security.ValidationError, 'UNKNOWN_INSTANCE'));
+    });
+});
+
+test('destroyed instances are removed from the accounts', function(t) {
+    var server   = new Security.testing.MockServer();
+    var instance = Security.create({
+        name      : 'destroyed',
+        transport : server,
+        storage   : 'memory',
+        sync      : false
+    });
+
+    instance.destroy();
+    assert.strictEqual(Security.getInstance('destroyed'), null);
+    assert.strictEqual(Security.accounts().some(function(a) {
+        return a.name === 'destroyed';
+    }), false);
+    assert.throws(function() {
+        Security.destroy();
+    }, helpers.isError(Security.ValidationError, 'INVALID_OPERATION'));
+});
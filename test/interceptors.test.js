@@ -0,0 +1,126 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+test('request interceptors are invoked in order', function(t) {
+    var env = helpers.setup(t);
+    env.server.route('POST', '/v2/items', function(req) {
+        return {body : {headers : req.headers, data : req.data}};
+    });
+
+    env.security.addInterceptor({
+        request : function(req) {
+            req.url = '/v2' + req.url;
+            req.headers['X-Tenant'] = 'acme';
+        }
+    }).addInterceptor({
+        request : function(req) {
+            var copy = {};
+            Object.keys(req).forEach(function(key) {
+                copy[key] = req[key];
+            });
+
+            copy.headers = {'X-Trace' : req.headers['X-Tenant'] + '-1'};
+            copy.body    = JSON.stringify({changed : true});
+            return Promise.resolve(copy);
+        }
+    });
+
+    return env.security.post('/items', {data : {}}).then(function(res) {
+        assert.strictEqual(res.data.headers['X-Trace'], 'acme-1');
+        assert.deepStrictEqual(res.data.data, {changed : true});
+    });
+});
+
+test('a request interceptor can respond instead of the server', function(t) {
+    var env = helpers.setup(t);
+    var seen;
+
+    env.security.addInterceptor({
+        request : function() {
+            return new Security.HttpResponse({cached : true}, 200, {});
+        }
+    }).addInterceptor({
+        response : function(res, req) {
+            seen = req.url;
+            return new Security.HttpResponse(res.data, 203, res.headers);
+        }
+    });
+
+    return env.security.get('/items').then(function(res) {
+        assert.strictEqual(res.status, 203);
+        assert.deepStrictEqual(res.data, {cached : true});
+        assert.strictEqual(seen, '/items');
+        assert.strictEqual(env.server.recorder.requests.length, 0);
+    });
+});
+
+test('an error interceptor can recover or change the error', function(t) {
+    var env    = helpers.setup(t);
+    var errors = [];
+    var reason = new Error('shown as a toast');
+    env.server.route('GET', '/missing', {status : 404});
+    env.server.route('GET', '/broken', {status : 500});
+
+    env.security.addInterceptor({
+        error : function(err, req) {
+            errors.push(err);
+            if (req.url === '/missing') {
+                return new Security.HttpResponse(null, 200, {});
+            }
+            throw reason;
+        }
+    });
+
+    return env.security.get('/missing').then(function(res) {
+        assert.strictEqual(res.status, 200);
+        return assert.rejects(env.security.get('/broken'), function(err) {
+            return err === reason;
+        });
+    }).then(function() {
+        assert.strictEqual(errors.length, 2);
+        assert.ok(errors[0] instanceof Security.HttpError);
+        assert.strictEqual(errors[1].response.status, 500);
+    });
+});
+
+test('removed interceptors are no longer invoked', function(t) {
+    var env         = helpers.setup(t);
+    var calls       = 0;
+    var interceptor = {
+        request : function() {
+            calls++;
+        }
+    };
+    env.server.route('GET', '/items', {body : []});
+
+    env.security.addInterceptor(interceptor);
+
+    return env.security.get('/items').then(function() {
+        env.security.removeInterceptor(interceptor);
+        return env.security.get('/items');
+    }).then(function() {
+        assert.strictEqual(calls, 1);
+        assert.throws(function() {
+            env.security.addInterceptor(null);
+        }, helpers.isError(Security.ValidationError));
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * The seeds of RFC 6238, appendix B, in base32. They are the ASCII digits
+ * '1234567890' repeated to the length of the hash.
+ */
+var SECRETS = {
+    SHA1   : 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+    SHA256 : 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA',
+    SHA512 : 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' +
+             'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA'
+};
+
+/**
+ * The test vectors of RFC 6238, appendix B, with the time in seconds.
+ */
+var VECTORS = [
+    {time : 59,          SHA1 : '94287082', SHA256 : '46119246',
+                         SHA512 : '90693936'},
+    {time : 1111111109,  SHA1 : '07081804', SHA256 : '68084774',
+                         SHA512 : '25091201'},
+    {time : 1111111111,  SHA1 : '14050471', SHA256 : '67062674',
+                         SHA512 : '99943326'},
+    {time : 1234567890,  SHA1 : '89005924', SHA256 : '91819424',
+                         SHA512 : '93441116'},
+    {time : 2000000000,  SHA1 : '69279037', SHA256 : '90698825',
+                         SHA512 : '38618901'},
+    {time : 20000000000, SHA1 : '65353130', SHA256 : '77737706',
+                         SHA512 : '47863826'}
+];
+
+/**
+ * Creates an instance whose login at '/login' asks for a second factor.
+ * The factor is posted to '/login/mfa', where the TOTP code '123456' and
+ * the recovery code 'recover-me' are accepted.
+ *
+ * @param {TestContext} t  the test context
+ * @returns {object}       the 'security' instance and its 'server'
+ */
+var setup = function(t) {
+    var env = helpers.setup(t, {
+        mode : 'token',
+        mfa  : {url : '/login/mfa'}
+    });
+
+    env.server.route('POST', '/login', {body : {
+        mfa_required : true,
+        mfa_type     : 'totp',
+        mfa_token    : 'pending-1'
+    }});
+
+    env.server.route('POST', '/login/mfa', function(req) {
+        var valid = req.data.mfa_token === 'pending-1'
+            && (req.data.method === 'totp' && req.data.code === '123456'
+            ||  req.data.method === 'recovery' && req.data.code ===
+                'recover-me');
+
+        return valid
+            ? {body : {access_token : 'access'}}
+            : {status : 401};
+    });
+
+    return env;
+};
+
+/**
+ * Logs in, passing the challenge to the specified handler.
+ *
+ * @param {object} env            the 'security' instance and its 'server'
+ * @param {function} onChallenge  the challenge handler
+ * @returns {Promise}             promise for the response
+ */
+var login = function(env, onChallenge) {
+    return env.security.login('/login', {
+        username    : 'alice',
+        password    : 'secret',
+        onChallenge : onChallenge
+    });
+};
+
+Object.keys(SECRETS).forEach(function(algorithm) {
+    test('generateTotp matches the ' + algorithm + ' vectors of RFC 6238',
+            function() {
+        return Promise.all(VECTORS.map(function(vector) {
+            return Security.generateTotp(SECRETS[algorithm], {
+                algorithm : algorithm,
+                digits    : 8,
+                time      : vector.time * 1000
+            }).then(function(code) {
+                assert.strictEqual(code, vector[algorithm],
+                    'at ' + vector.time + ' seconds');
+            });
+        }));
+    });
+});
+
+test('generateTotp uses six digits by default', function() {
+    return Security.generateTotp(SECRETS.SHA1, {time : 59000})
+        .then(function(code) {
+            assert.strictEqual(code, '287082');
+        });
+});
+
+test('verifyTotp accepts codes of the adjacent periods', function() {
+    var options = {time : 1111111109000};
+
+    return Promise.all([
+        Security.verifyTotp(SECRETS.SHA1, '081804', options),
+        Security.verifyTotp(SECRETS.SHA1, '050471', options),
+        Security.verifyTotp(SECRETS.SHA1, '050471',
+            {time : 1111111109000, window : 0}),
+        Security.verifyTotp(SECRETS.SHA1, 'abcdef', options)
+    ]).then(function(results) {
+        assert.deepStrictEqual(results, [true, true, false, false]);
+    });
+});
+
+test('generateTotp rejects an invalid secret', function() {
+    return assert.rejects(Security.generateTotp('not base32!'),
+        helpers.isError(Security.ValidationError));
+});
+
+test('the session starts once the second factor is accepted', function(t) {
+    var env        = setup(t);
+    var challenges = [];
+
+    return login(env, function(challenge) {
+        challenges.push(challenge.type);
+        assert.strictEqual(env.security.isLoggedIn(), false);
+
+        challenge.submitTotp('000 000').catch(function(err) {
+            assert.strictEqual(err.code, 'INVALID_CODE');
+            return challenge.submitTotp('123 456');
+        });
+    }).then(function() {
+        var last = env.server.recorder.last();
+
+        assert.deepStrictEqual(challenges, ['totp']);
+        assert.deepStrictEqual(last.data, {
+            method    : 'totp',
+            code      : '123456',
+            mfa_token : 'pending-1'
+        });
+        assert.strictEqual(env.security.isLoggedIn(), true);
+        assert.strictEqual(env.security.getAccessToken(), 'access');
+    });
+});
+
+test('a recovery code can be used instead', function(t) {
+    var env = setup(t);
+
+    return login(env, function(challenge) {
+        challenge.submitRecoveryCode(' recover-me ');
+    }).then(function() {
+        assert.strictEqual(env.server.recorder.last().data.method,
+            'recovery');
+        assert.strictEqual(env.security.isLoggedIn(), true);
+    });
+});
+
+test('a cancelled or unhandled challenge fails the login', function(t) {
+    var env = setup(t);
+
+    return assert.rejects(login(env, function(challenge) {
+        challenge.cancel();
+    }), helpers.isError(Security.AuthenticationError, 'MFA_CANCELLED'))
+        .then(function() {
+            return assert.rejects(login(env),
+                helpers.isError(Security.AuthenticationError,
+                    'MFA_REQUIRED'));
+        }).then(function() {
+            assert.strictEqual(env.security.isLoggedIn(), false);
+        });
+});
+
+test('a TOTP secret is enrolled after verifying the first code', function(t) {
+    var env    = helpers.setup(t, {mode : 'token'});
+    var secret = SECRETS.SHA1;
+    var code;
+
+    env.server.route('POST', '/login', {body : {access_token : 'access'}});
+    env.server.route('POST', '/totp', {status : 204}, {auth : 'Bearer'});
+
+    return env.security.login('/login', {
+        username : 'alice',
+        password : 'secret'
+    }).then(function() {
+        assert.strictEqual(env.security.totpUri({
+            secret : secret,
+            issuer : 'Example'
+        }), 'otpauth://totp/Example:alice?secret=' + secret +
+            '&issuer=Example&algorithm=SHA1&digits=6&period=30');
+
+        return Security.generateTotp(secret);
+    }).then(function(current) {
+        code = current;
+        return assert.rejects(env.security.enrollTotp('/totp', {
+            secret : secret,
+            code   : code === '000000' ? '999999' : '000000'
+        }), helpers.isError(Security.AuthenticationError, 'INVALID_CODE'));
+    }).then(function() {
+        return env.security.enrollTotp('/totp', {
+            secret : secret,
+            code   : code
+        });
+    }).then(function(res) {
+        assert.strictEqual(res.status, 204);
+        assert.deepStrictEqual(env.server.recorder.last().data,
+            {secret : secret, code : code});
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var crypto   = require('node:crypto');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Returns an unsigned JWT with the specified claims.
+ *
+ * @param {object} claims  the claims
+ * @returns {string}       the token
+ */
+var jwt = function(claims) {
+    var encode = function(value) {
+        return Buffer.from(JSON.stringify(value)).toString('base64url');
+    };
+    return encode({alg : 'none'}) + '.' + encode(claims) + '.';
+};
+
+/**
+ * Creates an instance whose provider issues tokens at '/token' for the
+ * code 'code-1' and the client 'app'.
+ *
+ * @param {TestContext} t  the test context
+ * @returns {object}       the 'security' instance and its 'server'
+ */
+var setup = function(t) {
+    var env = helpers.setup(t);
+
+    env.server.route('POST', '/token', function(req) {
+        return req.data.code === 'code-1' && req.data.client_id === 'app'
+            ? {body : {
+                access_token  : 'access',
+                refresh_token : 'refresh',
+                id_token      : jwt({sub : '42', email : 'alice@example.com'}),
+                expires_in    : 60
+            }}
+            : {status : 400, body : {error : 'invalid_grant'}};
+    });
+
+    return env;
+};
+
+/**
+ * Logs in with a display function that answers the authorization request
+ * with the callback url returned by the specified function.
+ *
+ * @param {object} env         the 'security' instance and its 'server'
+ * @param {function} callback  takes the authorization url as a URL and
+ *                             returns the callback url
+ * @returns {Promise}          promise for the token response
+ */
+var login = function(env, callback) {
+    return env.security.loginWithOAuth({
+        authorizeUrl : 'https://id.example.com/authorize',
+        tokenUrl     : '/token',
+        clientId     : 'app',
+        redirectUri  : 'https://app.example.com/callback',
+        scope        : ['openid', 'email'],
+        display      : function(url) {
+            return callback(new URL(url));
+        }
+    });
+};
+
+test('the code is exchanged with the PKCE verifier', function(t) {
+    var env = setup(t);
+    var authorize;
+
+    return login(env, function(url) {
+        authorize = url.searchParams;
+        return 'https://app.example.com/callback?code=code-1&state=' +
+            authorize.get('state');
+    }).then(function(res) {
+        var exchange  = env.server.recorder.last().data;
+        var challenge = crypto.createHash('sha256')
+            .update(exchange.code_verifier).digest('base64url');
+
+        assert.strictEqual(authorize.get('response_type'), 'code');
+        assert.strictEqual(authorize.get('client_id'), 'app');
+        assert.strictEqual(authorize.get('scope'), 'openid email');
+        assert.strictEqual(authorize.get('code_challenge_method'), 'S256');
+        assert.strictEqual(authorize.get('code_challenge'), challenge);
+        assert.deepStrictEqual(exchange, {
+            grant_type    : 'authorization_code',
+            code          : 'code-1',
+            redirect_uri  : 'https://app.example.com/callback',
+            client_id     : 'app',
+            code_verifier : exchange.code_verifier
+        });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(env.security.isLoggedIn(), true);
+        assert.strictEqual(env.security.username, 'alice@example.com');
+        assert.strictEqual(env.security.getAccessToken(), 'access');
+    });
+});
+
+test('a callback with another state is rejected', function(t) {
+    var env = setup(t);
+
+    return assert.rejects(login(env, function() {
+        return 'https://app.example.com/callback?code=code-1&state=forged';
+    }), helpers.isError(Security.AuthenticationError, 'INVALID_STATE'))
+        .then(function() {
+            assert.strictEqual(env.server.recorder.requests.length, 0);
+            assert.strictEqual(env.security.isLoggedIn(), false);
+        });
+});
+
+test('errors of the provider fail the login', function(t) {
+    var env = setup(t);
+
+    return assert.rejects(login(env, function(url) {
+        return 'https://app.example.com/callback?error=access_denied&state=' +
+            url.searchParams.get('state');
+    }), helpers.isError(Security.AuthenticationError, 'OAUTH_CANCELLED'))
+        .then(function() {
+            return assert.rejects(login(env, function(url) {
+                return 'https://app.example.com/callback?code=code-2&' +
+                    'state=' + url.searchParams.get('state');
+            }), helpers.isError(Security.AuthenticationError,
+                'OAUTH_ERROR'));
+        });
+});
+
+test('completeOAuthLogin needs a pending login', function(t) {
+    var env = setup(t);
+
+    return env.security.completeOAuthLogin('https://app.example.com/')
+        .then(function(res) {
+            assert.strictEqual(res, null);
+            return assert.rejects(env.security.completeOAuthLogin(
+                'https://app.example.com/callback?code=code-1&state=s'),
+            helpers.isError(Security.AuthenticationError, 'INVALID_STATE'));
+        });
+});
+
+test('loginWithOAuth validates its options', function(t) {
+    var env = setup(t);
+
+    return assert.rejects(env.security.loginWithOAuth({
+        authorizeUrl : '/authorize',
+        tokenUrl     : '/token',
+        clientId     : 'app',
+        redirectUri  : '/callback',
+        display      : 'window'
+    }), helpers.isError(Security.ValidationError)).then(function() {
+        return assert.rejects(env.security.loginWithOAuth({
+            authorizeUrl : '/authorize',
+            tokenUrl     : '/token',
+            clientId     : 'app',
+            redirectUri  : '/callback'
+        }), helpers.isError(Security.ValidationError, 'UNSUPPORTED'));
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance in the offline mode, keeping the queue in memory, and
+ * logs in. Its server fails the requests to '/items' with a network error
+ * while 'server.down' is set, and otherwise responds with 'server.status'.
+ * The replayed entries and responses are kept in 'env.replayed' and the
+ * conflicting ones in 'env.conflicts'.
+ *
+ * @param {TestContext} t  the test context
+ * @returns {Promise}      promise for the 'security' instance and its
+ *                         'server'
+ */
+var setup = function(t) {
+    var env = helpers.setup(t);
+
+    env.replayed  = [];
+    env.conflicts = [];
+    env.security.configureOffline({
+        queue      : new Security.MemoryQueue(),
+        onReplay   : function(entry, res) {
+            env.replayed.push([entry, res]);
+        },
+        onConflict : function(entry, res) {
+            env.conflicts.push([entry, res]);
+        }
+    });
+
+    env.server.down   = true;
+    env.server.status = 201;
+    env.server.route('GET', '/login', {body : null});
+    env.server.route('POST', '/items', function(req) {
+        return env.server.down
+            ? {failure : 'network'}
+            : {status : env.server.status, body : req.data};
+    }, {auth : 'Basic'});
+
+    return env.security.login('/login', {
+        username : 'alice',
+        password : 'secret'
+    }).then(function() {
+        return env;
+    });
+};
+
+test('failed mutating requests are queued', function(t) {
+    var queued = [];
+    var env;
+
+    return setup(t).then(function(result) {
+        env = result;
+        env.security.on('queued', function(detail) {
+            queued.push(detail.entry);
+        });
+
+        return env.security.post('/items', {data : {name : 'first'}});
+    }).then(function(res) {
+        assert.strictEqual(res.status, 202);
+        assert.strictEqual(res.data.queued, true);
+        return env.security.getQueue();
+    }).then(function(entries) {
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].id, queued[0].id);
+        assert.strictEqual(entries[0].method, 'POST');
+        assert.strictEqual(entries[0].url, '/items');
+        assert.strictEqual(entries[0].username, 'alice');
+        assert.strictEqual(entries[0].headers.Authorization, undefined);
+    });
+});
+
+test('queued requests are replayed in order', function(t) {
+    var env;
+
+    return setup(t).then(function(result) {
+        env = result;
+        return env.security.post('/items', {data : {name : 'first'}});
+    }).then(function() {
+        return env.security.post('/items', {data : {name : 'second'}});
+    }).then(function() {
+        env.server.down = false;
+        return env.security.replayQueue();
+    }).then(function() {
+        assert.deepStrictEqual(env.replayed.map(function(replay) {
+            return [replay[1].status, replay[1].data.name];
+        }), [[201, 'first'], [201, 'second']]);
+        return env.security.getQueue();
+    }).then(function(entries) {
+        assert.strictEqual(entries.length, 0);
+    });
+});
+
+test('replayed requests pass through the interceptors', function(t) {
+    var env;
+
+    return setup(t).then(function(result) {
+        env = result;
+        return env.security.post('/items', {data : {name : 'first'}});
+    }).then(function() {
+        env.security.addInterceptor({
+            request : function(req) {
+                req.headers['X-Replay'] = 'yes';
+            }
+        });
+        env.server.down = false;
+        return env.security.replayQueue();
+    }).then(function() {
+        var last = env.server.recorder.last();
+        assert.strictEqual(last.headers['X-Replay'], 'yes');
+        assert.match(last.authorization, /^Basic /);
+    });
+});
+
+test('conflicting requests are reported and removed', function(t) {
+    var env;
+
+    return setup(t).then(function(result) {
+        env = result;
+        return env.security.post('/items', {data : {name : 'first'}});
+    }).then(function() {
+        env.server.down   = false;
+        env.server.status = 409;
+        return env.security.replayQueue();
+    }).then(function() {
+        assert.strictEqual(env.replayed.length, 0);
+        assert.strictEqual(env.conflicts.length, 1);
+        assert.strictEqual(env.conflicts[0][1].status, 409);
+        return env.security.getQueue();
+    }).then(function(entries) {
+        assert.strictEqual(entries.length, 0);
+    });
+});
+
+test('the queue falls back to memory without IndexedDB', function(t) {
+    var env      = helpers.setup(t);
+    var warnings = [];
+    env.security.on('warning', function(detail) {
+        warnings.push(detail.message);
+    });
+
+    env.security.configureOffline(true);
+    assert.ok(env.security.queue instanceof Security.MemoryQueue);
+    assert.match(warnings[0], /IndexedDB is not available/);
+});
@@ -0,0 +1,99 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+test('login resolves to the response and stores the user', function(t) {
+    var env = helpers.setup(t);
+    env.server.route('GET', '/login', {body : {name : 'Alice'}},
+        {auth : 'Basic'});
+
+    return env.security.login('/login', {
+        username : 'alice',
+        password : 'secret'
+    }).then(function(res) {
+        assert.ok(res instanceof Security.HttpResponse);
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.data, {name : 'Alice'});
+        assert.strictEqual(env.security.isLoggedIn(), true);
+        assert.strictEqual(env.security.username, 'alice');
+    });
+});
+
+test('login rejects if the credentials are wrong', function(t) {
+    var env = helpers.setup(t);
+    env.server.route('GET', '/login', {status : 401});
+
+    return assert.rejects(env.security.login('/login', {
+        username : 'alice',
+        password : 'wrong'
+    }), helpers.isError(Security.AuthenticationError)).then(function() {
+        assert.strictEqual(env.security.isLoggedIn(), false);
+    });
+});
+
+test('login invokes the handlers before settling', function(t) {
+    var env   = helpers.setup(t);
+    var calls = [];
+    env.server.route('GET', '/login', {body : 'welcome'});
+
+    return env.security.login('/login', {
+        username : 'alice',
+        password : 'secret',
+        success  : function(data, status) {
+            calls.push(['success', data, status]);
+        },
+        failure  : function() {
+            calls.push(['failure']);
+        }
+    }).then(function() {
+        assert.deepStrictEqual(calls, [['success', 'welcome', 200]]);
+    });
+});
+
+test('send resolves to the response of a successful request', function(t) {
+    var env = helpers.setup(t);
+    env.server.route('GET', '/items/:id', function(req) {
+        return {body : {id : req.params.id}};
+    });
+
+    return env.security.get('/items/7').then(function(res) {
+        assert.strictEqual(res.isSuccess(), true);
+        assert.deepStrictEqual(res.data, {id : '7'});
+    });
+});
+
+test('send rejects if the server responds with an error', function(t) {
+    var env    = helpers.setup(t);
+    var failed = null;
+    env.server.route('GET', '/items', {status : 500, body : 'oops'});
+
+    return assert.rejects(env.security.get('/items', {
+        onFailure : function(data, status) {
+            failed = status;
+        }
+    }), function(err) {
+        return err instanceof Security.HttpError
+            && err.response.status === 500
+            && err.response.data === 'oops';
+    }).then(function() {
+        assert.strictEqual(failed, 500);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance with the specified 'reauthenticate' handler. Its
+ * server responds to '/data/:id' with 401 until 'server.authorized' is
+ * set.
+ *
+ * @param {TestContext} t     the test context
+ * @param {function} handler  the 'reauthenticate' handler
+ * @returns {object}          the 'security' instance and its 'server'
+ */
+var setup = function(t, handler) {
+    var env = helpers.setup(t, {reauthenticate : handler});
+
+    env.server.authorized = false;
+    env.server.route('GET', '/data/:id', function(req) {
+        return env.server.authorized
+            ? {body : {id : req.params.id}}
+            : {status : 401};
+    });
+
+    return env;
+};
+
+test('requests are replayed once the user is authenticated', function(t) {
+    var causes = [];
+    var env    = setup(t, function(cause) {
+        causes.push(cause);
+        return new Promise(function(resolve) {
+            setImmediate(function() {
+                env.server.authorized = true;
+                resolve();
+            });
+        });
+    });
+
+    return Promise.all([
+        env.security.get('/data/1'),
+        env.security.get('/data/2')
+    ]).then(function(responses) {
+        assert.deepStrictEqual(responses.map(function(res) {
+            return res.data.id;
+        }), ['1', '2']);
+        assert.strictEqual(causes.length, 1);
+        assert.strictEqual(causes[0].response.status, 401);
+        assert.strictEqual(env.server.recorder.requests.length, 4);
+    });
+});
+
+test('a cancelled re-authentication rejects the requests', function(t) {
+    var calls = 0;
+    var env   = setup(t, function() {
+        calls++;
+        return new Promise(function(resolve, reject) {
+            setImmediate(function() {
+                reject(new Error('cancelled'));
+            });
+        });
+    });
+    var unauthorized = function(err) {
+        return err instanceof Security.HttpError
+            && err.response.status === 401;
+    };
+
+    return Promise.all([
+        assert.rejects(env.security.get('/data/1'), unauthorized),
+        assert.rejects(env.security.get('/data/2'), unauthorized)
+    ]).then(function() {
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(env.server.recorder.requests.length, 2);
+    });
+});
+
+test('requests are only replayed once', function(t) {
+    var calls = 0;
+    var env   = setup(t, function() {
+        calls++;
+    });
+
+    return assert.rejects(env.security.get('/data/1'), function(err) {
+        return err.response.status === 401;
+    }).then(function() {
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(env.server.recorder.requests.length, 2);
+    });
+});
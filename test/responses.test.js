@@ -0,0 +1,118 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance whose server responds to '/data' with the specified
+ * body and Content-Type.
+ *
+ * @param {TestContext} t  the test context
+ * @param {number} status  the status of the response
+ * @param {string} body    the body of the response
+ * @param {string} type    the Content-Type, or undefined for none
+ * @returns {object}       the 'security' instance and its 'server'
+ */
+var setup = function(t, status, body, type) {
+    var env = helpers.setup(t);
+
+    env.server.route('GET', '/data', {
+        status  : status,
+        headers : type ? {'Content-Type' : type} : {},
+        body    : body
+    });
+
+    return env;
+};
+
+test('empty bodies are decoded as null', function(t) {
+    var env = setup(t, 204, '', 'application/json');
+
+    return env.security.get('/data').then(function(res) {
+        assert.strictEqual(res.status, 204);
+        assert.strictEqual(res.data, null);
+    });
+});
+
+test('bodies are decoded by their Content-Type', function(t) {
+    var json = setup(t, 200, '{"id":1}', 'application/problem+json');
+    var text = setup(t, 200, '{"id":1}', 'text/plain');
+    var blob = setup(t, 200, 'bytes', 'application/octet-stream');
+
+    return Promise.all([
+        json.security.get('/data'),
+        text.security.get('/data'),
+        blob.security.get('/data')
+    ]).then(function(responses) {
+        assert.deepStrictEqual(responses[0].data, {id : 1});
+        assert.strictEqual(responses[1].data, '{"id":1}');
+        assert.ok(responses[2].data instanceof Blob);
+        return responses[2].data.text();
+    }).then(function(content) {
+        assert.strictEqual(content, 'bytes');
+    });
+});
+
+test('error pages are passed to the failure handler', function(t) {
+    var env    = setup(t, 500, '<h1>Oops</h1>', 'text/html');
+    var failed = null;
+
+    return assert.rejects(env.security.get('/data', {
+        onFailure : function(data, status) {
+            failed = [data, status];
+        }
+    }), function(err) {
+        return err instanceof Security.HttpError
+            && err.response.data === '<h1>Oops</h1>';
+    }).then(function() {
+        assert.deepStrictEqual(failed, ['<h1>Oops</h1>', 500]);
+    });
+});
+
+test('invalid JSON is reported instead of thrown', function(t) {
+    var env    = setup(t, 200, '{"id":', 'application/json');
+    var failed = null;
+
+    return assert.rejects(env.security.get('/data', {
+        onFailure : function(data, status) {
+            failed = [data, status];
+        }
+    }), helpers.isError(Security.HttpError, 'INVALID_RESPONSE'))
+        .then(function() {
+            assert.deepStrictEqual(failed, ['{"id":', 200]);
+        });
+});
+
+test('the response type can be chosen per request', function(t) {
+    var env = setup(t, 200, '{"id":1}', 'application/json');
+
+    return env.security.get('/data', {responseType : 'arraybuffer'})
+        .then(function(res) {
+            assert.ok(res.data instanceof ArrayBuffer);
+            assert.strictEqual(Buffer.from(res.data).toString(), '{"id":1}');
+            return env.security.get('/data', {responseType : 'text'});
+        }).then(function(res) {
+            assert.strictEqual(res.data, '{"id":1}');
+            return assert.rejects(env.security.get('/data', {
+                responseType : 'xml'
+            }), helpers.isError(Security.ValidationError,
+                'UNKNOWN_RESPONSE_TYPE'));
+        });
+});
@@ -0,0 +1,124 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance that makes up to three attempts, with a base delay of
+ * a second. Its server responds to '/data' with the specified responses in
+ * turn, and then with 200.
+ *
+ * @param {TestContext} t    the test context
+ * @param {Array} responses  the responses of the first attempts
+ * @returns {object}         the 'security' instance and its 'server'
+ */
+var setup = function(t, responses) {
+    var env     = helpers.setup(t, {retry : {attempts : 3, baseDelay : 1000}});
+    var respond = function() {
+        return responses.length > 0 ? responses.shift() : {body : 'done'};
+    };
+
+    env.server.route('GET', '/data', respond);
+    env.server.route('POST', '/data', respond);
+
+    return env;
+};
+
+/**
+ * Returns the number of requests the server of an instance received.
+ *
+ * @param {object} env  the 'security' instance and its 'server'
+ * @returns {number}    the number of requests
+ */
+var attempts = function(env) {
+    return env.server.recorder.requests.length;
+};
+
+test('transient failures are retried with a growing delay', function(t) {
+    var clock = helpers.installClock(t);
+    var env   = setup(t, [{status : 503}, {status : 502}]);
+    var done  = env.security.get('/data');
+
+    return clock.tick(0).then(function() {
+        assert.strictEqual(attempts(env), 1);
+        return clock.tick(1000);
+    }).then(function() {
+        assert.strictEqual(attempts(env), 2);
+        return clock.tick(2000);
+    }).then(function() {
+        assert.strictEqual(attempts(env), 3);
+        return done;
+    }).then(function(res) {
+        assert.strictEqual(res.data, 'done');
+    });
+});
+
+test('the Retry-After header is used as the delay', function(t) {
+    var clock = helpers.installClock(t);
+    var env   = setup(t, [{status : 429, headers : {'Retry-After' : '5'}}]);
+    var done  = env.security.get('/data');
+
+    return clock.tick(4999).then(function() {
+        assert.strictEqual(attempts(env), 1);
+        return helpers.settle(clock, done, 1);
+    }).then(function(res) {
+        assert.strictEqual(attempts(env), 2);
+        assert.strictEqual(res.status, 200);
+    });
+});
+
+test('requests are not retried after the last attempt', function(t) {
+    var clock = helpers.installClock(t);
+    var env   = setup(t, [{status : 503}, {status : 503}, {status : 503}]);
+    var done  = env.security.get('/data');
+
+    return assert.rejects(helpers.settle(clock, done, 3000), function(err) {
+        return err instanceof Security.HttpError
+            && err.response.status === 503;
+    }).then(function() {
+        assert.strictEqual(attempts(env), 3);
+    });
+});
+
+test('methods that are not idempotent are not retried', function(t) {
+    var env = setup(t, [{status : 503}]);
+
+    return assert.rejects(env.security.post('/data', {data : {}}),
+        helpers.isError(Security.HttpError)).then(function() {
+            assert.strictEqual(attempts(env), 1);
+        });
+});
+
+test('aborting a request cancels the retry it waits for', function(t) {
+    var clock      = helpers.installClock(t);
+    var env        = setup(t, [{status : 503}]);
+    var controller = new AbortController();
+    var done       = env.security.get('/data', {signal : controller.signal});
+
+    return clock.tick(0).then(function() {
+        controller.abort();
+        return assert.rejects(done, helpers.isError(Security.NetworkError));
+    }).then(function() {
+        assert.strictEqual(clock.pending(), 0);
+        return clock.tick(10000);
+    }).then(function() {
+        assert.strictEqual(attempts(env), 1);
+    });
+});
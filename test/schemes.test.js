@@ -0,0 +1,312 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var crypto   = require('node:crypto');
+var bcrypt   = require('bcryptjs');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * The example of RFC 2617, section 3.5. The 'ha1' and 'ha2' are the MD5 of
+ * 'username:realm:password' and 'method:uri', and the 'response' is the
+ * one the RFC gives for its 'cnonce' and the first 'nc'.
+ */
+var RFC_2617 = {
+    username : 'Mufasa',
+    password : 'Circle Of Life',
+    realm    : 'testrealm@host.com',
+    nonce    : 'dcd98b7102dd2f0e8b11d0f600bfb0c093',
+    opaque   : '5ccc069c403ebaf9f0171e9517f40e41',
+    uri      : '/dir/index.html',
+    ha1      : '939e7578ed9e3c518a452acee763bce9',
+    ha2      : '39aff3a2bab6126f332b942af96d3366',
+    cnonce   : '0a4f113b',
+    response : '6629fae49393a05397450978507c4ef1'
+};
+
+var md5 = function(str) {
+    return crypto.createHash('md5').update(str).digest('hex');
+};
+
+var sha256 = function(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+};
+
+/**
+ * Parses the parameters of an Authorization header, unescaping
+ * quoted-strings.
+ *
+ * @param {string} header  the header
+ * @returns {object}       the parameters by name
+ */
+var parseParams = function(header) {
+    var pattern = /(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/g;
+    var params  = {};
+    var match;
+
+    while ((match = pattern.exec(header)) !== null) {
+        params[match[1]] = typeof(match[2]) === 'string'
+            ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+
+    return params;
+};
+
+/**
+ * Computes the response of a Digest Authorization header with qop.
+ *
+ * @param {object} hashes  the 'ha1' and 'ha2'
+ * @param {object} params  the 'nonce', 'nc', 'cnonce' and 'qop'
+ * @returns {string}       the hex response
+ */
+var digestResponse = function(hashes, params) {
+    return md5(hashes.ha1 + ':' + params.nonce + ':' + params.nc + ':' +
+        params.cnonce + ':' + params.qop + ':' + hashes.ha2);
+};
+
+/**
+ * Creates an instance using the 'digest' scheme. Its server challenges
+ * unauthorized requests with the realm and nonce of RFC 2617 and accepts
+ * the ones whose response is computed from the expected 'ha1' and 'ha2'.
+ *
+ * @param {TestContext} t    the test context
+ * @param {object} expected  the 'ha1' and 'ha2', or undefined for the
+ *                           ones of RFC 2617
+ * @returns {object}         the 'security' instance and its 'server'
+ */
+var setupDigest = function(t, expected) {
+    var env = helpers.setup(t, {scheme : 'digest'});
+    expected = expected || RFC_2617;
+
+    env.server.route('GET', '*', function(req) {
+        if (req.authorization === null) {
+            return {
+                status  : 401,
+                headers : {
+                    'WWW-Authenticate' : 'Digest realm="' +
+                        RFC_2617.realm + '", qop="auth,auth-int", ' +
+                        'nonce="' + RFC_2617.nonce + '", ' +
+                        'opaque="' + RFC_2617.opaque + '"'
+                }
+            };
+        }
+
+        var params = parseParams(req.authorization);
+
+        return params.response === digestResponse(expected, params)
+            ? {body : params}
+            : {status : 403};
+    });
+
+    return env;
+};
+
+/**
+ * Creates an instance using the 'hmac' scheme. Its server accepts requests
+ * to '/upload' that are signed with the key of 'alice' and 'secret', and
+ * responds with the signed parameters.
+ *
+ * @param {TestContext} t  the test context
+ * @returns {object}       the 'security' instance and its 'server'
+ */
+var setupHmac = function(t) {
+    var env = helpers.setup(t, {scheme : 'hmac'});
+
+    env.server.route('GET', '/login', {});
+    env.server.route('POST', '/upload', function(req) {
+        var params = parseParams(req.authorization);
+        var key    = sha256(params.Credential + ':secret');
+        var body   = req.body instanceof Blob
+            ? req.body.arrayBuffer().then(Buffer.from)
+            : Buffer.from(typeof(req.body) === 'string'
+                ? req.body : new Uint8Array(req.body));
+
+        return Promise.resolve(body).then(function(bytes) {
+            var expected = crypto.createHmac('sha256', key)
+                .update('POST\n/upload\n' + params.Timestamp + '\n' +
+                    sha256(bytes))
+                .digest('base64');
+
+            return params.Signature === expected
+                ? {body : params}
+                : {status : 401};
+        });
+    });
+
+    return env;
+};
+
+/**
+ * Logs in with the specified username and the password 'secret'.
+ *
+ * @param {object} env       the 'security' instance and its 'server'
+ * @param {string} username  the username
+ * @returns {Promise}        promise for the response
+ */
+var login = function(env, username) {
+    return env.security.login('/login', {
+        username : username,
+        password : 'secret'
+    });
+};
+
+test('basic login sends the bcrypt hash of the password', function(t) {
+    var env = helpers.setup(t);
+    env.server.route('GET', '/login', {status : 204}, {auth : 'Basic'});
+
+    return login(env, 'alice').then(function(res) {
+        var header  = env.server.recorder.expectAuthorization('Basic');
+        var decoded = Buffer.from(header.slice(6), 'base64').toString();
+        var hash    = decoded.slice('alice:'.length);
+
+        assert.strictEqual(res.status, 204);
+        assert.ok(decoded.indexOf('alice:') === 0);
+        assert.strictEqual(hash, env.security.password);
+        assert.strictEqual(bcrypt.compareSync('secret', hash), true);
+    });
+});
+
+test('digest login answers the challenge of RFC 2617', function(t) {
+    assert.strictEqual(digestResponse(RFC_2617, {
+        nonce  : RFC_2617.nonce,
+        nc     : '00000001',
+        cnonce : RFC_2617.cnonce,
+        qop    : 'auth'
+    }), RFC_2617.response);
+
+    var env = setupDigest(t);
+
+    return env.security.login(RFC_2617.uri, {
+        username : RFC_2617.username,
+        password : RFC_2617.password
+    }).then(function(res) {
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.data.username, RFC_2617.username);
+        assert.strictEqual(res.data.realm, RFC_2617.realm);
+        assert.strictEqual(res.data.nonce, RFC_2617.nonce);
+        assert.strictEqual(res.data.uri, RFC_2617.uri);
+        assert.strictEqual(res.data.qop, 'auth');
+        assert.strictEqual(res.data.nc, '00000001');
+        assert.strictEqual(res.data.opaque, RFC_2617.opaque);
+        env.server.recorder.expectNoAuthorization(0);
+        env.server.recorder.expectAuthorization('Digest', 1);
+
+        return env.security.get('/dir/index.html');
+    }).then(function(res) {
+        assert.strictEqual(res.data.nc, '00000002');
+        assert.strictEqual(env.server.recorder.requests.length, 3);
+    });
+});
+
+test('digest login escapes quotes in the username', function(t) {
+    var username = 'Mu"fa\\sa';
+    var env      = setupDigest(t, {
+        ha1 : md5(username + ':' + RFC_2617.realm + ':' + RFC_2617.password),
+        ha2 : RFC_2617.ha2
+    });
+
+    return env.security.login(RFC_2617.uri, {
+        username : username,
+        password : RFC_2617.password
+    }).then(function(res) {
+        assert.strictEqual(res.data.username, username);
+        assert.match(env.server.recorder.last().authorization,
+            /username="Mu\\"fa\\\\sa"/);
+    });
+});
+
+test('digest login fails with the wrong password', function(t) {
+    var env = setupDigest(t);
+
+    return assert.rejects(env.security.login(RFC_2617.uri, {
+        username : RFC_2617.username,
+        password : 'Circle of Life'
+    }), helpers.isError(Security.AuthenticationError));
+});
+
+test('hmac signs the bytes of string and binary bodies', function(t) {
+    var env    = setupHmac(t);
+    var bodies = [
+        'héllo',
+        new Uint8Array([0, 1, 2, 250]),
+        new Uint8Array([9, 1, 2, 3, 9]).subarray(1, 4),
+        new Blob(['blob'])
+    ];
+
+    return login(env, 'alice').then(function() {
+        return bodies.reduce(function(previous, body) {
+            return previous.then(function() {
+                return env.security.post('/upload', {data : body});
+            }).then(function(res) {
+                assert.strictEqual(res.data.Credential, 'alice');
+            });
+        }, Promise.resolve());
+    });
+});
+
+test('hmac refuses to sign FormData bodies', function(t) {
+    var env  = setupHmac(t);
+    var form = new FormData();
+    form.append('name', 'value');
+
+    return login(env, 'alice').then(function() {
+        return assert.rejects(env.security.post('/upload', {data : form}),
+            helpers.isError(Security.ValidationError, 'UNSUPPORTED'));
+    }).then(function() {
+        assert.strictEqual(env.server.recorder.find('POST', '/upload')
+            .length, 0);
+    });
+});
+
+test('hmac quotes the username', function(t) {
+    var env = setupHmac(t);
+
+    return login(env, 'bob, Signature="x"').then(function() {
+        return env.security.post('/upload', {data : 'text'});
+    }).then(function(res) {
+        assert.strictEqual(res.data.Credential, 'bob, Signature="x"');
+        assert.match(env.server.recorder.last().authorization,
+            /^HMAC-SHA256 Credential="bob, Signature=\\"x\\"", /);
+    });
+});
+
+test('registered schemes authorize the requests', function(t) {
+    Security.registerScheme('test-key', function(options) {
+        this.authorize = function(req, creds) {
+            req.headers['Authorization'] = 'Key ' + options.prefix +
+                creds.username;
+        };
+    });
+
+    var env = helpers.setup(t, {
+        scheme        : 'test-key',
+        schemeOptions : {prefix : 'k-'}
+    });
+    env.server.route('GET', '/login', {}, {auth : 'Key'});
+
+    return login(env, 'alice').then(function() {
+        env.server.recorder.expectAuthorization('Key k-alice');
+    });
+});
+
+test('unknown schemes are rejected', function(t) {
+    assert.throws(function() {
+        helpers.setup(t, {scheme : 'unknown'});
+    }, helpers.isError(Security.ValidationError, 'UNKNOWN_SCHEME'));
+});
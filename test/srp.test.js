@@ -0,0 +1,137 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance in the 'srp' mode whose server performs the handshake
+ * with Security.SrpServer, using the salt and verifier of 'alice' and
+ * 'password123'. The handshake of the latest login is kept in 'server.srp'.
+ *
+ * @param {TestContext} t   the test context
+ * @param {object} options  more options, or undefined
+ * @param {string} forged   proof to send instead of the real 'M2', or
+ *                          undefined
+ * @returns {Promise}       promise for the 'security' instance and its
+ *                          'server'
+ */
+var setup = function(t, options, forged) {
+    var config = {mode : 'srp'};
+    Object.keys(options || {}).forEach(function(key) {
+        config[key] = options[key];
+    });
+
+    var env = helpers.setup(t, config);
+
+    return Security.createSrpVerifier('alice', 'password123')
+        .then(function(record) {
+            env.server.route('POST', '/login', function(req) {
+                if (typeof(req.data.A) === 'undefined') {
+                    env.server.srp = new Security.SrpServer(
+                        record.salt, record.verifier);
+                    return env.server.srp.challenge().then(function(body) {
+                        return {body : body};
+                    });
+                }
+
+                return env.server.srp.verify(req.data.A, req.data.M1)
+                    .then(function(M2) {
+                        return {body : {M2 : forged || M2}};
+                    }, function() {
+                        return {status : 401};
+                    });
+            });
+
+            env.server.route('GET', '/account', {body : {name : 'Alice'}},
+                {auth : 'HMAC-SHA256'});
+
+            return env;
+        });
+};
+
+/**
+ * Logs in as 'alice' with the specified password.
+ *
+ * @param {object} env        the 'security' instance and its 'server'
+ * @param {string} password   the password
+ * @param {boolean} remember  true to store the credentials locally
+ * @returns {Promise}         promise for the response
+ */
+var login = function(env, password, remember) {
+    return env.security.login('/login', {
+        username : 'alice',
+        password : password,
+        remember : remember
+    });
+};
+
+test('srp login derives the session key of the server', function(t) {
+    var env;
+
+    return setup(t).then(function(result) {
+        env = result;
+        return login(env, 'password123');
+    }).then(function() {
+        assert.strictEqual(env.security.isLoggedIn(), true);
+        assert.strictEqual(env.security.password, env.server.srp.K);
+        env.server.recorder.requests.forEach(function(req) {
+            assert.doesNotMatch(req.body, /password123/);
+        });
+
+        return env.security.get('/account');
+    }).then(function(res) {
+        assert.deepStrictEqual(res.data, {name : 'Alice'});
+        env.server.recorder.expectAuthorization(
+            /^HMAC-SHA256 Credential="alice", /);
+    });
+});
+
+test('srp login does not store the session key in plain text', function(t) {
+    var local = new Security.MemoryStorage();
+    var env;
+
+    return setup(t, {storage : local}).then(function(result) {
+        env = result;
+        return login(env, 'password123', true);
+    }).then(function() {
+        env.security.touch();
+        assert.strictEqual(env.security.isLoggedIn(), true);
+        assert.deepStrictEqual(local.keys(), []);
+    });
+});
+
+test('srp login fails with the wrong password', function(t) {
+    var env;
+
+    return setup(t).then(function(result) {
+        env = result;
+        return assert.rejects(login(env, 'password124'),
+            helpers.isError(Security.AuthenticationError));
+    }).then(function() {
+        assert.strictEqual(env.security.isLoggedIn(), false);
+    });
+});
+
+test('srp login fails if the server cannot prove the key', function(t) {
+    return setup(t, {}, '00').then(function(env) {
+        return assert.rejects(login(env, 'password123'),
+            helpers.isError(Security.AuthenticationError, 'INVALID_PROOF'));
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Logs in to a server that accepts any credentials.
+ *
+ * @param {object} env        the 'security' instance and its 'server'
+ * @param {boolean} remember  true to store the credentials locally
+ * @returns {Promise}         promise for the response
+ */
+var login = function(env, remember) {
+    env.server.route('GET', '/login', {body : null});
+    return env.security.login('/login', {
+        username : 'alice',
+        password : 'secret',
+        remember : remember
+    });
+};
+
+test('remembered credentials go to the local backend', function(t) {
+    var local   = new Security.MemoryStorage();
+    var session = new Security.MemoryStorage();
+    var env     = helpers.setup(t, {
+        namespace      : 'app',
+        storage        : local,
+        sessionStorage : session
+    });
+
+    return login(env, true).then(function() {
+        assert.strictEqual(local.get('app.user'), 'alice');
+        assert.notStrictEqual(local.get('app.pass'), null);
+        assert.notStrictEqual(local.get('app.pass'), 'secret');
+        assert.deepStrictEqual(session.keys(), []);
+    });
+});
+
+test('other credentials go to the session backend', function(t) {
+    var local   = new Security.MemoryStorage();
+    var session = new Security.MemoryStorage();
+    var env     = helpers.setup(t, {
+        namespace      : 'app',
+        storage        : local,
+        sessionStorage : session
+    });
+
+    return login(env, false).then(function() {
+        assert.strictEqual(session.get('app.user'), 'alice');
+        assert.deepStrictEqual(local.keys(), []);
+
+        env.security.logout();
+        assert.strictEqual(session.get('app.user'), null);
+    });
+});
+
+test('stored credentials are restored by another instance', function(t) {
+    var local = new Security.MemoryStorage();
+    var env   = helpers.setup(t, {namespace : 'app', storage : local});
+
+    return login(env, true).then(function() {
+        var other = helpers.setup(t, {namespace : 'app', storage : local});
+        return other.security.start().ready.then(function() {
+            assert.strictEqual(other.security.isLoggedIn(), true);
+            assert.strictEqual(other.security.username, 'alice');
+            assert.strictEqual(other.security.password,
+                env.security.password);
+        });
+    });
+});
+
+test('custom backends are called with namespaced keys', function(t) {
+    var calls   = [];
+    var backend = {
+        get    : function(key) {
+            calls.push('get ' + key);
+            return null;
+        },
+        set    : function(key) {
+            calls.push('set ' + key);
+        },
+        remove : function(key) {
+            calls.push('remove ' + key);
+        }
+    };
+    var env = helpers.setup(t, {namespace : 'custom', storage : backend});
+
+    return login(env, true).then(function() {
+        assert.ok(calls.indexOf('set custom.user') >= 0);
+        assert.ok(calls.indexOf('set custom.pass') >= 0);
+        calls.forEach(function(call) {
+            assert.match(call, / custom\./);
+        });
+    });
+});
+
+test('an unavailable backend falls back with a warning', function(t) {
+    var env      = helpers.setup(t);
+    var warnings = [];
+    env.security.on('warning', function(detail) {
+        warnings.push(detail.message);
+    });
+
+    env.security.configureStorage({storage : 'cookie'});
+    assert.ok(env.security.localStore instanceof Security.MemoryStorage);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Cookies are not available/);
+});
+
+test('unknown backends are rejected', function(t) {
+    var env = helpers.setup(t);
+
+    assert.throws(function() {
+        env.security.configureStorage({storage : 'floppy'});
+    }, helpers.isError(Security.ValidationError, 'UNKNOWN_STORAGE'));
+});
@@ -0,0 +1,146 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+var testing = Security.testing;
+
+test('the mock server routes requests', function(t) {
+    var env = helpers.setup(t);
+    env.server
+        .route('GET', '/users/:id', function(req) {
+            return Promise.resolve({body : {id : req.params.id}});
+        })
+        .route('*', '/once', {status : 201}, {times : 1})
+        .route('GET', '/private', {body : 'secret'}, {auth : 'Bearer'});
+
+    return env.security.get('/users/a%20b').then(function(res) {
+        assert.deepStrictEqual(res.data, {id : 'a b'});
+        return env.security.put('/once', {data : {}});
+    }).then(function(res) {
+        assert.strictEqual(res.status, 201);
+        return assert.rejects(env.security.put('/once', {data : {}}),
+            function(err) {
+                return err.status === 404;
+            });
+    }).then(function() {
+        return assert.rejects(env.security.get('/private'), function(err) {
+            return err.status === 401;
+        });
+    }).then(function() {
+        assert.strictEqual(env.server.recorder.requests.length, 4);
+        env.server.reset();
+        assert.strictEqual(env.server.recorder.requests.length, 0);
+        assert.throws(function() {
+            env.server.route('GET', '/invalid', 'body');
+        }, helpers.isError(Security.ValidationError));
+    });
+});
+
+test('the mock server responds on the module clock', function(t) {
+    var clock    = helpers.installClock(t, 1000);
+    var server   = new testing.MockServer({delay : 500});
+    var env      = helpers.setup(t, {transport : server});
+    var resolved = false;
+    server.route('GET', '/slow', {body : null});
+
+    var done = env.security.get('/slow').then(function(res) {
+        resolved = true;
+        return res;
+    });
+
+    return clock.tick(499).then(function() {
+        assert.strictEqual(resolved, false);
+        return helpers.settle(clock, done, 1);
+    }).then(function(res) {
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(server.recorder.last().time, 1000);
+    });
+});
+
+test('the recorder asserts on the Authorization header', function(t) {
+    var server   = new testing.MockServer();
+    var recorder = new testing.RequestRecorder(server);
+    var env      = helpers.setup(t, {transport : recorder});
+    server.route('GET', '*', {body : null});
+
+    recorder.record({method : 'get', url : '/public', headers : {}});
+
+    return env.security.login('/login', {
+        username : 'alice',
+        password : 'secret'
+    }).then(function() {
+        assert.strictEqual(recorder.requests.length, 2);
+        assert.strictEqual(server.recorder.requests.length, 1);
+        assert.strictEqual(recorder.at(0).method, 'GET');
+        assert.strictEqual(recorder.find('get', '/login').length, 1);
+
+        recorder.expectNoAuthorization(0);
+        recorder.expectAuthorization('Basic');
+        recorder.expectAuthorization(/^Basic [\w+\/=]+$/, -1);
+
+        assert.throws(function() {
+            recorder.expectAuthorization('Bearer');
+        }, function(err) {
+            return err instanceof testing.AssertionError
+                && err.code === 'ASSERTION_FAILED'
+                && /to be authorized with "Bearer"/.test(err.message);
+        });
+        assert.throws(function() {
+            recorder.expectNoAuthorization();
+        }, testing.AssertionError);
+        assert.throws(function() {
+            recorder.expectRequest(2);
+        }, /2 were recorded/);
+    });
+});
+
+test('the fake clock fires timers in order', function(t) {
+    var clock = new testing.FakeClock(100);
+    var fired = [];
+
+    clock.setTimeout(function() { fired.push('b'); }, 20);
+    var cancelled = clock.setTimeout(function() { fired.push('x'); }, 5);
+    clock.setTimeout(function() {
+        fired.push('a');
+        clock.setTimeout(function() { fired.push('c'); }, 10);
+    }, 10);
+    clock.clearTimeout(cancelled);
+
+    assert.strictEqual(clock.pending(), 2);
+
+    return clock.tick(20).then(function() {
+        assert.deepStrictEqual(fired, ['a', 'b', 'c']);
+        assert.strictEqual(clock.now(), 120);
+        assert.strictEqual(clock.pending(), 0);
+    });
+});
+
+test('memory storage keeps values in memory', function() {
+    var storage = new testing.MemoryStorage();
+
+    storage.set('a', '1');
+    storage.set('b', '2');
+    storage.remove('a');
+
+    assert.strictEqual(storage.get('a'), null);
+    assert.strictEqual(storage.get('b'), '2');
+    assert.deepStrictEqual(storage.keys(), ['b']);
+});
@@ -0,0 +1,164 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Creates an instance with the specified timeouts and logs in to a server
+ * that accepts any credentials, letting it respond on the installed clock.
+ * The 'token' mode is used since the password hash of the 'basic' mode is
+ * computed on the real timers. The emitted 'expiring' and 'expired' events
+ * are kept in 'env.events'.
+ *
+ * @param {TestContext} t     the test context
+ * @param {FakeClock} clock   the installed clock
+ * @param {object} timeouts   the timeout options
+ * @returns {Promise}         promise for the 'security' instance and its
+ *                            'server'
+ */
+var login = function(t, clock, timeouts) {
+    var local = new Security.MemoryStorage();
+    var env   = helpers.setup(t, {
+        mode     : 'token',
+        storage  : local,
+        timeouts : timeouts
+    });
+
+    env.local  = local;
+    env.events = [];
+    env.security.on('expiring', function(detail) {
+        env.events.push(detail);
+    }).on('expired', function(detail) {
+        env.events.push(detail);
+    });
+
+    env.server.route('POST', '/login', {body : {access_token : 'a'}});
+    env.server.route('GET', '/data', {body : null});
+
+    return helpers.settle(clock, env.security.login('/login', {
+        username : 'alice',
+        password : 'secret',
+        remember : true
+    })).then(function() {
+        return env;
+    });
+};
+
+test('idle sessions are warned and then logged out', function(t) {
+    var clock = helpers.installClock(t);
+    var env;
+
+    return login(t, clock, {idle : 120, warning : 30}).then(function(result) {
+        env = result;
+        return clock.tick(89999);
+    }).then(function() {
+        assert.strictEqual(env.events.length, 0);
+        return clock.tick(1);
+    }).then(function() {
+        assert.strictEqual(env.events.length, 1);
+        assert.strictEqual(env.events[0].type, 'expiring');
+        assert.strictEqual(env.events[0].remaining, 30);
+        return clock.tick(30000);
+    }).then(function() {
+        assert.strictEqual(env.events.length, 2);
+        assert.strictEqual(env.events[1].type, 'expired');
+        assert.strictEqual(env.security.isLoggedIn(), false);
+        assert.deepStrictEqual(env.local.keys(), []);
+    });
+});
+
+test('the warning can extend the session', function(t) {
+    var clock   = helpers.installClock(t);
+    var warned  = [];
+    var options = {
+        idle      : 120,
+        warning   : 30,
+        onWarning : function(remaining, extend) {
+            warned.push(remaining);
+            extend();
+        }
+    };
+    var env;
+
+    return login(t, clock, options).then(function(result) {
+        env = result;
+        return clock.tick(90000);
+    }).then(function() {
+        assert.deepStrictEqual(warned, [30]);
+        return clock.tick(89999);
+    }).then(function() {
+        assert.deepStrictEqual(warned, [30]);
+        assert.strictEqual(env.security.isLoggedIn(), true);
+        return clock.tick(1);
+    }).then(function() {
+        assert.deepStrictEqual(warned, [30, 30]);
+    });
+});
+
+test('requests count as activity', function(t) {
+    var clock = helpers.installClock(t);
+    var env;
+
+    return login(t, clock, {idle : 120, warning : 30}).then(function(result) {
+        env = result;
+        return clock.tick(60000);
+    }).then(function() {
+        return helpers.settle(clock, env.security.get('/data'));
+    }).then(function() {
+        return clock.tick(89999);
+    }).then(function() {
+        assert.strictEqual(env.events.length, 0);
+        assert.strictEqual(env.local.get(env.security.namespace +
+            '.active'), '60000');
+        return clock.tick(1);
+    }).then(function() {
+        assert.strictEqual(env.events.length, 1);
+    });
+});
+
+test('the absolute lifetime is not extended by activity', function(t) {
+    var clock   = helpers.installClock(t);
+    var options = {absolute : 60, warning : 0};
+    var env;
+
+    return login(t, clock, options).then(function(result) {
+        env = result;
+        return clock.tick(59999);
+    }).then(function() {
+        env.security.extendSession();
+        assert.strictEqual(env.security.getExpiry(), 60000);
+        return clock.tick(1);
+    }).then(function() {
+        assert.strictEqual(env.security.isLoggedIn(), false);
+        assert.strictEqual(env.events[0].type, 'expired');
+    });
+});
+
+test('configureTimeouts rejects invalid options', function(t) {
+    var env = helpers.setup(t);
+
+    assert.throws(function() {
+        env.security.configureTimeouts({idle : '10'});
+    }, helpers.isError(Security.ValidationError));
+
+    assert.throws(function() {
+        env.security.configureTimeouts({onWarning : true});
+    }, helpers.isError(Security.ValidationError));
+});
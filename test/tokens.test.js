@@ -0,0 +1,197 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Returns an unsigned JWT with the specified claims.
+ *
+ * @param {object} claims  the claims
+ * @returns {string}       the token
+ */
+var jwt = function(claims) {
+    var encode = function(value) {
+        return Buffer.from(JSON.stringify(value)).toString('base64url');
+    };
+    return encode({alg : 'none'}) + '.' + encode(claims) + '.';
+};
+
+/**
+ * Creates an instance in the 'token' mode and routes the login and refresh
+ * requests of its server. The login issues 'access-1', valid for a minute
+ * unless the login body is given, and every refresh the next one in the
+ * sequence 'access-2', 'access-3'... until 'server.revoked' is set.
+ *
+ * @param {TestContext} t  the test context
+ * @param {object} body    the body of the login response, or undefined
+ * @returns {object}       the 'security' instance and its 'server'
+ */
+var setup = function(t, body) {
+    var env    = helpers.setup(t, {
+        mode  : 'token',
+        token : {refreshUrl : '/refresh'}
+    });
+    var issued = 1;
+
+    env.server.revoked = false;
+    env.server.route('POST', '/login', {body : body || {
+        access_token  : 'access-1',
+        refresh_token : 'refresh',
+        expires_in    : 60
+    }});
+
+    env.server.route('POST', '/refresh', function(req) {
+        if (env.server.revoked || req.data.refresh_token !== 'refresh') {
+            return {status : 401};
+        }
+        return {body : {
+            access_token : 'access-' + (++issued),
+            expires_in   : 60
+        }};
+    });
+
+    env.server.route('GET', '/data', function(req) {
+        return {body : {authorization : req.authorization}};
+    }, {auth : 'Bearer'});
+
+    return env;
+};
+
+/**
+ * Logs in, letting the server respond on the installed clock.
+ *
+ * @param {object} env       the 'security' instance and its 'server'
+ * @param {FakeClock} clock  the installed clock
+ * @returns {Promise}        promise for the response
+ */
+var login = function(env, clock) {
+    return helpers.settle(clock, env.security.login('/login', {
+        username : 'u',
+        password : 'p'
+    }));
+};
+
+test('the access token is sent as a bearer token', function(t) {
+    var clock = helpers.installClock(t);
+    var env   = setup(t);
+
+    return login(env, clock).then(function() {
+        assert.strictEqual(env.security.getAccessToken(), 'access-1');
+        assert.deepStrictEqual(env.server.recorder.at(0).data,
+            {username : 'u', password : 'p'});
+        return helpers.settle(clock, env.security.get('/data'));
+    }).then(function(res) {
+        assert.strictEqual(res.data.authorization, 'Bearer access-1');
+    });
+});
+
+test('the access token is refreshed before it expires', function(t) {
+    var clock = helpers.installClock(t);
+    var env   = setup(t);
+
+    return login(env, clock).then(function() {
+        return clock.tick(29999);
+    }).then(function() {
+        assert.strictEqual(env.server.recorder.find('POST', '/refresh')
+            .length, 0);
+        return clock.tick(1);
+    }).then(function() {
+        assert.strictEqual(env.security.getAccessToken(), 'access-2');
+        assert.deepStrictEqual(env.server.recorder.last().data,
+            {refresh_token : 'refresh'});
+        return helpers.settle(clock, env.security.get('/data'));
+    }).then(function(res) {
+        assert.strictEqual(res.data.authorization, 'Bearer access-2');
+        return clock.tick(30000);
+    }).then(function() {
+        assert.strictEqual(env.security.getAccessToken(), 'access-3');
+    });
+});
+
+test('the expiry is read from the exp claim of a JWT', function(t) {
+    var clock  = helpers.installClock(t, 1000000);
+    var access = jwt({sub : 'u', exp : 1000 + 120});
+    var env    = setup(t, {access_token : access, refresh_token : 'refresh'});
+
+    return login(env, clock).then(function() {
+        assert.strictEqual(env.security.getAccessToken(), access);
+        assert.strictEqual(env.security.isTokenExpiring(), false);
+        return clock.tick(89999);
+    }).then(function() {
+        assert.strictEqual(env.security.getAccessToken(), access);
+        assert.strictEqual(env.security.isTokenExpiring(), false);
+        return clock.tick(1);
+    }).then(function() {
+        assert.strictEqual(env.security.getAccessToken(), 'access-2');
+    });
+});
+
+test('concurrent refreshes share one request', function(t) {
+    var clock = helpers.installClock(t);
+    var env   = setup(t);
+
+    return login(env, clock).then(function() {
+        return helpers.settle(clock, Promise.all([
+            env.security.refresh(),
+            env.security.refresh()
+        ]));
+    }).then(function(tokens) {
+        assert.deepStrictEqual(tokens, ['access-2', 'access-2']);
+        assert.strictEqual(env.server.recorder.find('POST', '/refresh')
+            .length, 1);
+    });
+});
+
+test('a failed refresh ends the session with the error', function(t) {
+    var clock  = helpers.installClock(t);
+    var env    = setup(t);
+    var events = [];
+
+    env.security.on('expired', function(detail) {
+        events.push(detail);
+    });
+
+    return login(env, clock).then(function() {
+        env.server.revoked = true;
+        return clock.tick(30000);
+    }).then(function() {
+        assert.strictEqual(env.security.isLoggedIn(), false);
+        assert.strictEqual(env.security.getAccessToken(), null);
+        assert.strictEqual(events.length, 1);
+        assert.ok(events[0].error instanceof Security.AuthenticationError);
+        assert.strictEqual(clock.pending(), 0);
+    });
+});
+
+test('a login response without a token is rejected', function(t) {
+    var clock = helpers.installClock(t);
+    var env   = setup(t, {refresh_token : 'refresh'});
+
+    return assert.rejects(login(env, clock),
+        helpers.isError(Security.AuthenticationError, 'MISSING_TOKEN'));
+});
+
+test('configureTokens rejects options that are not objects', function(t) {
+    var env = setup(t);
+
+    assert.throws(function() {
+        env.security.configureTokens('/refresh');
+    }, helpers.isError(Security.ValidationError));
+});
@@ -0,0 +1,125 @@
+/**
+ * Copyright 2017 Emil Forslund
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('node:assert');
+var http     = require('node:http');
+var Security = require('../src/security.js');
+var helpers  = require('./helpers.js');
+
+/**
+ * Starts an http server on a free port of the loopback interface that
+ * responds to every request with its method, url, Authorization header and
+ * body as JSON. The server is closed once the test is done.
+ *
+ * @param {TestContext} t  the test context
+ * @returns {Promise}      promise for the base url of the server
+ */
+var listen = function(t) {
+    var server = http.createServer(function(req, res) {
+        var chunks = [];
+        req.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            res.writeHead(req.url === '/missing' ? 404 : 200,
+                {'Content-Type' : 'application/json'});
+            res.end(JSON.stringify({
+                method        : req.method,
+                url           : req.url,
+                authorization : req.headers.authorization || null,
+                body          : Buffer.concat(chunks).toString()
+            }));
+        });
+    });
+
+    t.after(function() {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    return new Promise(function(resolve) {
+        server.listen(0, '127.0.0.1', function() {
+            resolve('http://127.0.0.1:' + server.address().port);
+        });
+    });
+};
+
+['node', 'fetch'].forEach(function(transport) {
+    test('the ' + transport + ' transport talks to a server', function(t) {
+        var progress = [];
+        var env;
+
+        return listen(t).then(function(baseUrl) {
+            env = helpers.setup(t, {
+                transport : transport,
+                baseUrl   : baseUrl
+            });
+
+            return env.security.login('/login', {
+                username : 'alice',
+                password : 'secret'
+            });
+        }).then(function(res) {
+            assert.strictEqual(res.data.method, 'GET');
+            assert.match(res.data.authorization, /^Basic /);
+
+            return env.security.post('/items?page=2', {
+                data               : {name : 'first'},
+                onDownloadProgress : function(event) {
+                    progress.push(event.loaded);
+                }
+            });
+        }).then(function(res) {
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.headers['content-type'],
+                'application/json');
+            assert.strictEqual(res.data.url, '/items?page=2');
+            assert.strictEqual(res.data.body, '{"name":"first"}');
+            assert.ok(progress.length > 0);
+
+            return assert.rejects(env.security.get('/missing'),
+                function(err) {
+                    return err instanceof Security.HttpError
+                        && err.status === 404
+                        && err.body.url === '/missing';
+                });
+        });
+    });
+});
+
+test('unreachable servers fail with a network error', function(t) {
+    var env = helpers.setup(t, {
+        transport : 'node',
+        baseUrl   : 'http://127.0.0.1:9'
+    });
+
+    return assert.rejects(env.security.get('/items'),
+        helpers.isError(Security.NetworkError, 'NETWORK_ERROR'));
+});
+
+test('unknown transports are rejected', function(t) {
+    assert.throws(function() {
+        helpers.setup(t, {transport : 'carrier-pigeon'});
+    }, helpers.isError(Security.ValidationError, 'UNKNOWN_TRANSPORT'));
+});
+
+test('the ES module exports the same instance', function() {
+    return import('../src/security.mjs').then(function(module) {
+        assert.strictEqual(module.default, Security);
+    });
+});